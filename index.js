@@ -3,16 +3,51 @@ const express = require('express');
 const mongoose = require('mongoose');
 const crypto = require('crypto');
 const fs = require('fs').promises;
+const { createReadStream, createWriteStream, rmSync } = require('fs');
+const { execFile } = require('child_process');
+const { Readable, Transform } = require('stream');
+const { pipeline, finished } = require('stream/promises');
+const { once } = require('events');
+const zlib = require('zlib');
 const path = require('path');
+const readline = require('readline');
+const util = require('util');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
-const UPLOAD_DIR = path.join(__dirname, 'uploads');
+const UPLOAD_DIR = path.join(__dirname, 'uploads'); // local storage backend and resumable upload staging
 
 const SECRET_KEY = process.env.SECRET_KEY;
 const PASSWORD = process.env.PASSWORD;
 const MONGO_URI = process.env.MONGO_URI;
 
+// Login sessions: cookies are signed with SESSION_SECRET (falls back to SECRET_KEY).
+const SESSION_SECRET = process.env.SESSION_SECRET || SECRET_KEY;
+const SESSION_TTL_HOURS = Number(process.env.SESSION_TTL_HOURS) || 24 * 7;
+const SESSION_COOKIE = 'session';
+const COOKIE_SECURE = process.env.COOKIE_SECURE === 'true';
+// Account that the deprecated x-password header acts as (defaults to the oldest account).
+const PASSWORD_USER = process.env.PASSWORD_USER;
+
+// Helper: parse sizes like "500mb" or "4GB" (plain numbers are bytes)
+const parseSize = (value, fallback) => {
+  const match = String(value ?? '').trim().match(/^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb|tb)?$/i);
+  if (!match) return fallback;
+  const units = { b: 0, kb: 1, mb: 2, gb: 3, tb: 4 };
+  return Math.floor(parseFloat(match[1]) * Math.pow(1024, units[(match[2] || 'b').toLowerCase()]));
+};
+
+// Upload limits: a single file, and the whole multipart request body.
+const MAX_FILE_SIZE = parseSize(process.env.MAX_FILE_SIZE, 4 * 1024 ** 3);
+const MAX_UPLOAD_SIZE = parseSize(process.env.MAX_UPLOAD_SIZE, 10 * 1024 ** 3);
+// Resumable uploads nobody has touched for this many hours are discarded.
+const UPLOAD_SESSION_TTL_HOURS = Number(process.env.UPLOAD_SESSION_TTL_HOURS) || 24;
+
+// Behind a reverse proxy, TRUST_PROXY (a number of hops, addresses like "loopback", or
+// "true") makes req.ip the client's address from X-Forwarded-For, as the audit log records it.
+const TRUST_PROXY = process.env.TRUST_PROXY;
+if (TRUST_PROXY) app.set('trust proxy', TRUST_PROXY === 'true' ? true : /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY);
+
 // Middleware to parse URL-encoded bodies (for bulk delete form)
 app.use(express.json());
 app.use(express.urlencoded({ extended: true, limit: '500mb', parameterLimit: 10000 }));
@@ -23,7 +58,13 @@ fs.mkdir(UPLOAD_DIR, { recursive: true }).catch(err => console.error(err));
 
 // MongoDB Connection
 mongoose.connect(MONGO_URI)
-  .then(() => console.log('MongoDB connected'))
+  .then(async () => {
+    console.log('MongoDB connected');
+    // Files from before the random sort was done in the database need a randomKey.
+    await File.updateMany({ randomKey: null }, [{ $set: { randomKey: { $rand: {} } } }]);
+    // Files from before the timeline sort by their upload date until their metadata is read.
+    await File.updateMany({ takenAt: null }, [{ $set: { takenAt: '$uploadDate' } }]);
+  })
   .catch(err => console.error('MongoDB connection error:', err));
 
 // File Schema & Model
@@ -31,675 +72,6764 @@ const fileSchema = new mongoose.Schema({
   filename: String,
   originalname: String,
   iv: String,
-  uploadDate: { type: Date, default: Date.now }
+  cipher: String, // absent on files written before AES-256-CTR (those are AES-256-CBC)
+  wrappedKey: String, // per-file data key wrapped by master key `keyVersion`
+  keyVersion: Number, // without wrappedKey: the ENCRYPTION_KEYS version the file is encrypted with directly (absent: sha256(SECRET_KEY))
+  // Encrypted JPEG preview (poster frame for videos), stored like the file itself.
+  thumbnail: {
+    type: new mongoose.Schema({ filename: String, iv: String, cipher: String, wrappedKey: String, keyVersion: Number }, { _id: false }),
+    default: undefined
+  },
+  thumbnailError: String, // why no thumbnail could be made
+  // Encrypted H.264 / AAC MP4 of a video browsers can't play as uploaded (see needsTranscode).
+  playable: {
+    type: new mongoose.Schema({ filename: String, iv: String, cipher: String, wrappedKey: String, keyVersion: Number, size: Number }, { _id: false }),
+    default: undefined
+  },
+  playableError: String, // why the video could not be transcoded, after the last attempt
+  mimeType: String, // sniffed from the content at upload
+  size: Number, // plaintext size in bytes
+  contentHash: String, // sha256 of the plaintext; linked duplicates share one blob (same filename)
+  tags: { type: [String], default: undefined }, // lowercase, see normalizeTags
+  caption: String,
+  deletedAt: Date, // set while the file is in the trash
+  integrityError: String, // why the storage check moved the file to the trash
+  // Read from EXIF (images) or ffprobe (videos) after upload, see extractMetadata.
+  metadata: {
+    type: new mongoose.Schema({
+      width: Number, // as stored; orientation / rotation may turn the picture on display
+      height: Number,
+      orientation: Number, // EXIF orientation, 1-8
+      rotation: Number, // video display rotation in degrees
+      takenAt: Date, // capture date, when the file records one
+      cameraMake: String,
+      cameraModel: String,
+      latitude: Number,
+      longitude: Number,
+      altitude: Number, // metres
+      duration: Number, // seconds
+      videoCodec: String,
+      audioCodec: String
+    }, { _id: false }),
+    default: undefined
+  },
+  metadataError: String, // why no metadata could be read
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+  uploadDate: { type: Date, default: Date.now },
+  // metadata.takenAt, or the upload date for files without one: the timeline's sort key
+  takenAt: { type: Date, default: function () { return this.uploadDate; } },
+  randomKey: { type: Number, default: Math.random } // stable per-file value behind the random sort
 });
+fileSchema.index({ owner: 1, uploadDate: -1, _id: -1 });
+fileSchema.index({ owner: 1, takenAt: -1, _id: -1 });
+fileSchema.index({ owner: 1, mimeType: 1, uploadDate: -1 });
+fileSchema.index({ owner: 1, contentHash: 1 });
+fileSchema.index({ filename: 1 });
+fileSchema.index({ owner: 1, tags: 1 });
+fileSchema.index({ owner: 1, size: 1 });
+fileSchema.index({ owner: 1, deletedAt: -1 });
+// Search box: every listing query carries the owner, so it prefixes the text index.
+fileSchema.index(
+  { owner: 1, originalname: 'text', tags: 'text', caption: 'text' },
+  { name: 'file_search', default_language: 'none', weights: { tags: 5, originalname: 3, caption: 1 } }
+);
 const File = mongoose.model('File', fileSchema);
 
-// Password middleware: checks password in header, query, or body.
-const passwordMiddleware = (req, res, next) => {
-  const password = req.headers['x-password'] || req.query.password || req.body?.password;
-  if (password !== PASSWORD) {
-    return res.status(401).json({ message: 'Unauthorized: Invalid password' });
+// User Schema & Model
+const userSchema = new mongoose.Schema({
+  username: { type: String, required: true, unique: true },
+  passwordHash: String,
+  admin: Boolean, // may use the admin API (storage integrity); see `grant-admin`
+  quota: Number, // bytes this user may store, 0 for no limit (absent: STORAGE_QUOTA); see `set-quota`
+  createdAt: { type: Date, default: Date.now }
+});
+const User = mongoose.model('User', userSchema);
+
+// Login Session Schema & Model: only a hash of the id in the cookie is stored.
+// MongoDB's TTL monitor removes sessions once they expire.
+const loginSessionSchema = new mongoose.Schema({
+  idHash: { type: String, unique: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  expiresAt: { type: Date, expires: 0 }
+});
+const LoginSession = mongoose.model('LoginSession', loginSessionSchema);
+
+// API Token Schema & Model: bearer tokens for scripts and CI, stored as a SHA-256 hash.
+// The admin scope is only offered to administrators.
+const API_TOKEN_SCOPES = ['upload', 'read', 'delete', 'admin'];
+const apiTokenSchema = new mongoose.Schema({
+  name: String,
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+  tokenHash: { type: String, unique: true },
+  prefix: String, // first characters of the token, to recognise it in the list
+  scopes: [{ type: String, enum: API_TOKEN_SCOPES }],
+  expiresAt: Date, // null = never expires
+  revokedAt: Date,
+  lastUsedAt: Date,
+  lastUsedIp: String,
+  createdAt: { type: Date, default: Date.now }
+});
+const ApiToken = mongoose.model('ApiToken', apiTokenSchema);
+
+// Share Link Schema & Model: read-only public access to a set of files.
+// As with API tokens, only a hash of the link's token is stored.
+const shareLinkSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+  files: [{ type: mongoose.Schema.Types.ObjectId, ref: 'File' }],
+  tokenHash: { type: String, unique: true },
+  passwordHash: String, // optional link password
+  expiresAt: Date, // null = never expires
+  maxDownloads: Number, // null = unlimited
+  downloadCount: { type: Number, default: 0 },
+  stripMetadata: String, // 'gps' or 'all': removed from files downloaded through the link
+  revokedAt: Date,
+  createdAt: { type: Date, default: Date.now }
+});
+const ShareLink = mongoose.model('ShareLink', shareLinkSchema);
+
+// Album Schema & Model: a named collection of the owner's files.
+const albumSchema = new mongoose.Schema({
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+  name: { type: String, required: true },
+  files: [{ type: mongoose.Schema.Types.ObjectId, ref: 'File' }],
+  cover: { type: mongoose.Schema.Types.ObjectId, ref: 'File' }, // null: the newest file
+  createdAt: { type: Date, default: Date.now }
+});
+const Album = mongoose.model('Album', albumSchema);
+
+// Upload Session Schema & Model: a resumable upload that hasn't received all its bytes yet.
+// The encrypted bytes live in `${filename}.part` until the last chunk lands.
+const uploadSessionSchema = new mongoose.Schema({
+  filename: String,
+  originalname: String,
+  size: Number,
+  offset: { type: Number, default: 0 },
+  mimeType: String, // sniffed from the first chunk
+  duplicates: String, // what to do if the finished file is already in the library: keep, skip or link
+  iv: String,
+  cipher: String,
+  wrappedKey: String,
+  keyVersion: Number,
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  expiresAt: { type: Date, index: true }
+});
+const UploadSession = mongoose.model('UploadSession', uploadSessionSchema);
+
+// Integrity Report Schema & Model: the outcome of one storage check (see checkStorage).
+// Reports are kept for 90 days.
+const integrityProblemSchema = new mongoose.Schema({
+  kind: String, // missing, corrupt, missing-thumbnail, corrupt-thumbnail or orphan
+  key: String, // storage key of the blob
+  size: Number, // of an orphaned blob, in bytes
+  files: [{ _id: false, id: mongoose.Schema.Types.ObjectId, originalname: String, owner: mongoose.Schema.Types.ObjectId, deleted: Boolean }],
+  error: String,
+  action: String, // repaired, quarantined, or cleared (a thumbnail that couldn't be remade); absent when nothing was done
+  actionError: String // why the repair or quarantine failed
+}, { _id: false });
+const integrityReportSchema = new mongoose.Schema({
+  trigger: String, // command, api or schedule
+  options: { verify: Boolean, repair: Boolean, quarantine: Boolean },
+  startedAt: { type: Date, default: Date.now, expires: 90 * 24 * 60 * 60 },
+  finishedAt: Date,
+  counts: {
+    files: Number, // documents checked
+    blobs: Number, // blobs in storage
+    missing: Number,
+    corrupt: Number,
+    missingThumbnails: Number,
+    corruptThumbnails: Number,
+    orphaned: Number,
+    repaired: Number, // including cleared thumbnails
+    quarantined: Number,
+    unresolved: Number // problems still in place after the run
+  },
+  problems: [integrityProblemSchema],
+  problemsTruncated: Boolean, // more problems were found than are kept
+  error: String // the check itself failed
+});
+const IntegrityReport = mongoose.model('IntegrityReport', integrityReportSchema);
+
+// Audit Event Schema & Model: who did what to which files, and how it went (see recordAudit).
+// Events are kept for AUDIT_RETENTION_DAYS.
+const AUDIT_RETENTION_DAYS = Number(process.env.AUDIT_RETENTION_DAYS) || 365;
+const AUDIT_ACTIONS = ['upload', 'download', 'bulk-download', 'delete', 'restore', 'purge', 'share-create', 'share-revoke'];
+const auditEventSchema = new mongoose.Schema({
+  action: { type: String, enum: AUDIT_ACTIONS },
+  actor: {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // for share links, the link's owner
+    username: String,
+    via: String, // session, token, password, share or system
+    token: { type: mongoose.Schema.Types.ObjectId, ref: 'ApiToken' },
+    tokenName: String
+  },
+  share: { type: mongoose.Schema.Types.ObjectId, ref: 'ShareLink' }, // the link used, created or revoked
+  // Names are kept so events stay readable after the files are purged.
+  files: [{ _id: false, id: mongoose.Schema.Types.ObjectId, name: String }],
+  ip: String,
+  userAgent: String,
+  outcome: String, // success or failure
+  status: Number, // HTTP status of the response
+  error: String,
+  details: String,
+  createdAt: { type: Date, default: Date.now, expires: AUDIT_RETENTION_DAYS * 24 * 60 * 60 }
+});
+auditEventSchema.index({ 'actor.user': 1, createdAt: -1 });
+auditEventSchema.index({ action: 1, createdAt: -1 });
+auditEventSchema.index({ 'files.id': 1, createdAt: -1 });
+const AuditEvent = mongoose.model('AuditEvent', auditEventSchema);
+
+// Transcode Job Schema & Model: making the playable version of one video (see runTranscodeJob).
+// Linked duplicates share the blob, and with it the job. Finished jobs are kept for 30 days.
+const TRANSCODE_STATUSES = ['queued', 'running', 'done', 'failed'];
+const transcodeJobSchema = new mongoose.Schema({
+  filename: { type: String, required: true, unique: true }, // blob of the original
+  file: { type: mongoose.Schema.Types.ObjectId, ref: 'File' }, // the document it was queued for
+  originalname: String,
+  status: { type: String, enum: TRANSCODE_STATUSES, default: 'queued' },
+  attempts: { type: Number, default: 0 },
+  runAt: { type: Date, default: Date.now }, // not before; retries wait a while
+  startedAt: Date,
+  finishedAt: { type: Date, expires: 30 * 24 * 60 * 60 },
+  error: String, // of the last attempt
+  createdAt: { type: Date, default: Date.now }
+});
+transcodeJobSchema.index({ status: 1, runAt: 1 });
+transcodeJobSchema.index({ status: 1, createdAt: -1 });
+const TranscodeJob = mongoose.model('TranscodeJob', transcodeJobSchema);
+
+// Password hashing: scrypt with a random salt per user.
+const scrypt = util.promisify(crypto.scrypt);
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt:${salt.toString('hex')}:${hash.toString('hex')}`;
+};
+const verifyPassword = async (password, stored) => {
+  const [scheme, salt, hash] = String(stored).split(':');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const candidate = await scrypt(password, Buffer.from(salt, 'hex'), 64);
+  const expected = Buffer.from(hash, 'hex');
+  return candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected);
+};
+// Checked against when the username doesn't exist, so timing doesn't reveal valid usernames.
+const DUMMY_PASSWORD_HASH = `scrypt:${'0'.repeat(32)}:${'0'.repeat(128)}`;
+
+// Helper: constant-time string comparison
+const safeEqual = (a, b) => crypto.timingSafeEqual(
+  crypto.createHash('sha256').update(String(a)).digest(),
+  crypto.createHash('sha256').update(String(b)).digest()
+);
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// Signed cookie values: "<value>.<HMAC-SHA256 of value>"
+const signValue = (value) => `${value}.${crypto.createHmac('sha256', SESSION_SECRET).update(value).digest('base64url')}`;
+const unsignValue = (signed) => {
+  const value = signed.slice(0, signed.lastIndexOf('.'));
+  return value && safeEqual(signValue(value), signed) ? value : null;
+};
+const parseCookies = (req) => {
+  const cookies = {};
+  for (const pair of (req.headers.cookie || '').split(';')) {
+    const eq = pair.indexOf('=');
+    if (eq === -1) continue;
+    try {
+      cookies[pair.slice(0, eq).trim()] = decodeURIComponent(pair.slice(eq + 1).trim());
+    } catch (e) { /* ignore malformed cookie */ }
   }
-  next();
+  return cookies;
 };
 
-// Helper: derive 32-byte key from SECRET_KEY
-const getKey = () => crypto.createHash('sha256').update(SECRET_KEY).digest();
+const sessionCookieOptions = () => ({ httpOnly: true, sameSite: 'lax', secure: COOKIE_SECURE, path: '/' });
 
-// Encryption functions (AES-256-CBC)
-const encryptBuffer = (buffer) => {
-  const iv = crypto.randomBytes(16);
-  const cipher = crypto.createCipheriv('aes-256-cbc', getKey(), iv);
-  const encrypted = Buffer.concat([cipher.update(buffer), cipher.final()]);
-  return { iv: iv.toString('hex'), encrypted };
+// Create a login session for `user` and hand its id to the browser.
+const startLoginSession = async (res, user) => {
+  const id = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + SESSION_TTL_HOURS * 60 * 60 * 1000);
+  await LoginSession.create({ idHash: sha256(id), user: user._id, expiresAt });
+  res.cookie(SESSION_COOKIE, signValue(id), { ...sessionCookieOptions(), expires: expiresAt });
 };
 
-const decryptBuffer = (buffer, iv) => {
-  const decipher = crypto.createDecipheriv('aes-256-cbc', getKey(), Buffer.from(iv, 'hex'));
-  const decrypted = Buffer.concat([decipher.update(buffer), decipher.final()]);
-  return decrypted;
+// The request's login session (with its user populated), or null.
+const findLoginSession = async (req) => {
+  const signed = parseCookies(req)[SESSION_COOKIE];
+  const id = signed && unsignValue(signed);
+  if (!id) return null;
+  const session = await LoginSession.findOne({ idHash: sha256(id), expiresAt: { $gt: new Date() } }).populate('user');
+  return session && session.user ? session : null;
 };
 
-app.get('/favicon.ico', (req, res) => {
-  res.sendFile(path.join(__dirname, 'icon.ico'));
-});
+const findPasswordUser = () => PASSWORD_USER
+  ? User.findOne({ username: PASSWORD_USER })
+  : User.findOne().sort({ createdAt: 1 });
+
+// The active (unrevoked, unexpired) API token for a raw bearer token, with its user populated.
+const findApiToken = async (token) => {
+  const apiToken = await ApiToken.findOne({
+    tokenHash: sha256(token),
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+  }).populate('user');
+  return apiToken && apiToken.user ? apiToken : null;
+};
 
-// Download endpoint – supports inline display for thumbnails.
-app.get('/download/:id([0-9a-fA-F]{24})', passwordMiddleware, async (req, res) => {
+// Auth middleware factory. authMiddleware(scope) accepts an API token that has
+// `scope` (Authorization: Bearer), a login session cookie, or the deprecated
+// shared PASSWORD in the x-password header. Without a scope, API tokens are refused.
+let warnedPasswordHeader = false;
+const authMiddleware = (scope) => async (req, res, next) => {
   try {
-    const fileDoc = await File.findById(req.params.id);
-    if (!fileDoc) return res.status(404).json({ message: 'File not found' });
-    const filePath = path.join(UPLOAD_DIR, fileDoc.filename);
-    const encryptedData = await fs.readFile(filePath);
-    const decryptedData = decryptBuffer(encryptedData, fileDoc.iv);
-    const ext = path.extname(fileDoc.originalname).toLowerCase();
-    let contentType = 'application/octet-stream';
-    if (['.jpg', '.jpeg'].includes(ext)) contentType = 'image/jpeg';
-    else if (ext === '.png') contentType = 'image/png';
-    else if (ext === '.gif') contentType = 'image/gif';
-    res.setHeader('Content-Type', contentType);
-    const disposition = req.query.inline === 'true'
-      ? `inline; filename="${fileDoc.originalname}"`
-      : `attachment; filename="${fileDoc.originalname}"`;
-    res.setHeader('Content-Disposition', disposition);
-    res.send(decryptedData);
+    const bearer = (req.headers.authorization || '').match(/^Bearer\s+(\S+)$/i);
+    if (bearer) {
+      const wait = authRetryAfter(req);
+      if (wait) return tooManyRequests(res, wait, lockoutMessage(wait));
+      const apiToken = await findApiToken(bearer[1]);
+      if (!apiToken) {
+        recordAuthFailure(req);
+        res.setHeader('WWW-Authenticate', 'Bearer error="invalid_token"');
+        return res.status(401).json({ message: 'Unauthorized: Invalid, expired or revoked token' });
+      }
+      if (!scope) return res.status(403).json({ message: 'Forbidden: API tokens cannot be used here' });
+      if (!apiToken.scopes.includes(scope)) {
+        return res.status(403).json({ message: `Forbidden: token lacks the "${scope}" scope` });
+      }
+      await ApiToken.updateOne({ _id: apiToken._id }, { $set: { lastUsedAt: new Date(), lastUsedIp: req.ip } });
+      req.user = apiToken.user;
+      req.apiToken = apiToken;
+      return next();
+    }
+    const session = await findLoginSession(req);
+    if (session) {
+      if (!SAFE_METHODS.includes(req.method) && !hasCsrfToken(req, session)) {
+        return res.status(403).json({ message: 'Forbidden: missing or invalid CSRF token; reload the page and try again' });
+      }
+      req.user = session.user;
+      req.loginSession = session;
+      return next();
+    }
+    const password = req.headers['x-password'];
+    if (password) {
+      const wait = authRetryAfter(req, 'x-password');
+      if (wait) return tooManyRequests(res, wait, lockoutMessage(wait));
+      const user = PASSWORD && safeEqual(password, PASSWORD) ? await findPasswordUser() : null;
+      if (!user) {
+        recordAuthFailure(req, 'x-password');
+        return res.status(401).json({ message: 'Unauthorized: Invalid password' });
+      }
+      if (!warnedPasswordHeader) {
+        console.warn('The x-password header is deprecated; log in with a user account instead.');
+        warnedPasswordHeader = true;
+      }
+      req.user = user;
+      return next();
+    }
+    // Browsers navigating to a page are sent to the login form, everything else gets a 401.
+    if (req.method === 'GET' && req.accepts(['json', 'html']) === 'html') return res.redirect('/login');
+    res.status(401).json({ message: 'Unauthorized: Please log in' });
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ message: 'Download failed', error: err.message });
+    res.status(500).json({ message: 'Authentication failed', error: err.message });
   }
-});
+};
+
+// Admin-only routes: use after authMiddleware (with the 'admin' scope for API tokens).
+const requireAdmin = (req, res, next) => {
+  if (!req.user.admin) return res.status(403).json({ message: 'Forbidden: administrators only' });
+  next();
+};
+
+//
+// Brute-force protection and request rate limits. Failed logins, x-password attempts,
+// unknown bearer tokens and wrong share link passwords are counted per client address
+// (AUTH_MAX_FAILURES_PER_IP) and per account or link (AUTH_MAX_FAILURES); reaching either
+// limit locks further attempts out for AUTH_LOCKOUT_MINUTES, even with the right password.
+// Uploads and downloads are limited to UPLOAD_RATE_LIMIT and DOWNLOAD_RATE_LIMIT requests
+// a minute per user (per address for share links). Counters live in memory, so they
+// start over when the server restarts. Over a limit, requests get 429 with Retry-After.
+//
+
+const AUTH_MAX_FAILURES = parseInt(process.env.AUTH_MAX_FAILURES, 10) || 5;
+const AUTH_MAX_FAILURES_PER_IP = parseInt(process.env.AUTH_MAX_FAILURES_PER_IP, 10) || 20;
+const AUTH_LOCKOUT_MINUTES = Number(process.env.AUTH_LOCKOUT_MINUTES) || 15;
+// 0 turns a limit off. Resumable uploads send one request per 4 MiB chunk.
+const UPLOAD_RATE_LIMIT = parseInt(process.env.UPLOAD_RATE_LIMIT ?? 600, 10) || 0;
+const DOWNLOAD_RATE_LIMIT = parseInt(process.env.DOWNLOAD_RATE_LIMIT ?? 1200, 10) || 0;
+
+// Rate limiter factory: counts hits per key over `windowMs`; a key that reaches `limit`
+// is blocked for `windowMs` from the hit that reached it. A limit of 0 never blocks.
+const createRateLimiter = ({ limit, windowMs }) => {
+  const entries = new Map();
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of entries) if (entry.resetAt <= now) entries.delete(key);
+  }, 60 * 1000).unref();
+  const current = (key) => {
+    const entry = entries.get(key);
+    return entry && entry.resetAt > Date.now() ? entry : null;
+  };
+  return {
+    // Seconds until `key` may go on, or 0 if it isn't blocked
+    retryAfter(key) {
+      const entry = current(key);
+      return limit && entry && entry.count >= limit ? Math.ceil((entry.resetAt - Date.now()) / 1000) : 0;
+    },
+    // Count a hit for `key`; returns true for the hit that reaches the limit
+    hit(key) {
+      if (!limit) return false;
+      const entry = current(key) || { count: 0, resetAt: Date.now() + windowMs };
+      entry.count++;
+      if (entry.count >= limit) entry.resetAt = Date.now() + windowMs;
+      entries.set(key, entry);
+      return entry.count === limit;
+    },
+    reset(key) {
+      entries.delete(key);
+    }
+  };
+};
 
-// Single deletion endpoint
-app.get('/delete/:id', passwordMiddleware, async (req, res) => {
+const authLockout = AUTH_LOCKOUT_MINUTES * 60 * 1000;
+const authFailuresByIp = createRateLimiter({ limit: AUTH_MAX_FAILURES_PER_IP, windowMs: authLockout });
+const authFailuresByAccount = createRateLimiter({ limit: AUTH_MAX_FAILURES, windowMs: authLockout });
+const uploadRequests = createRateLimiter({ limit: UPLOAD_RATE_LIMIT, windowMs: 60 * 1000 });
+const downloadRequests = createRateLimiter({ limit: DOWNLOAD_RATE_LIMIT, windowMs: 60 * 1000 });
+
+// Helper: seconds until the client may try to authenticate (as `account`) again, or 0
+const authRetryAfter = (req, account) =>
+  Math.max(authFailuresByIp.retryAfter(req.ip), account ? authFailuresByAccount.retryAfter(account) : 0);
+
+// Count a failed attempt from the client (against `account`, e.g. "user:alice" or "share:<id>")
+const recordAuthFailure = (req, account) => {
+  if (authFailuresByIp.hit(req.ip)) {
+    console.warn(`Too many failed sign-ins from ${req.ip}; locked out for ${AUTH_LOCKOUT_MINUTES} minute(s)`);
+  }
+  if (account && authFailuresByAccount.hit(account)) {
+    console.warn(`Too many failed sign-ins for ${account} (last from ${req.ip}); locked out for ${AUTH_LOCKOUT_MINUTES} minute(s)`);
+  }
+};
+
+// Helper: answer 429, telling the client when to retry
+const tooManyRequests = (res, seconds, message) => {
+  res.setHeader('Retry-After', String(seconds));
+  return res.status(429).json({ message });
+};
+
+// Helper: why a locked-out client is refused
+const lockoutMessage = (seconds) => `Too many failed attempts; try again in ${Math.ceil(seconds / 60)} minute(s)`;
+
+// Request rate limit middleware factory: use after authMiddleware or shareMiddleware.
+const rateLimit = (limiter, what) => (req, res, next) => {
+  const key = req.user ? `user:${req.user._id}` : `ip:${req.ip}`;
+  const wait = limiter.retryAfter(key);
+  if (wait) return tooManyRequests(res, wait, `Too many ${what}; try again in ${wait} second(s)`);
+  limiter.hit(key);
+  next();
+};
+
+//
+// CSRF protection and security headers. Requests that change something (anything but
+// GET, HEAD and OPTIONS) are refused when their Origin (or Referer) names another origin
+// (scheme, host or port; behind a reverse proxy that needs TRUST_PROXY).
+// With a login session they must also carry the session's CSRF token, as a _csrf form
+// field or an X-CSRF-Token header; the pages put it in their forms and scripts. The body
+// of a multipart upload is read only after the check, so /upload also takes ?_csrf=. API
+// tokens and x-password aren't sent by browsers on their own, so they need neither.
+// Every response carries a Content-Security-Policy that only runs scripts from this
+// server (no inline scripts or event handlers) and may not be framed.
+//
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Helper: the CSRF token of a login session
+const sessionCsrfToken = (session) => crypto.createHmac('sha256', SESSION_SECRET).update(`csrf:${session.idHash}`).digest('base64url');
+
+// Helper: the CSRF token for the pages rendered for `req`, or null without a login session
+const csrfToken = (req) => (req.loginSession ? sessionCsrfToken(req.loginSession) : null);
+
+// Helper: a hidden form field with the CSRF token, for the pages' POST forms
+const csrfField = (token) => (token ? `<input type="hidden" name="_csrf" value="${token}">` : '');
+
+// Helper: whether the request carries the CSRF token of `session`
+const hasCsrfToken = (req, session) => {
+  const sent = req.get('x-csrf-token') || (req.body && req.body._csrf) || (req.path === '/upload' && req.query._csrf);
+  return typeof sent === 'string' && safeEqual(sent, sessionCsrfToken(session));
+};
+
+// Helper: the port the client asked for. Like req.hostname, it comes from X-Forwarded-Host
+// when the request passed a trusted proxy, else from Host; without one, the scheme's default.
+const requestPort = (req) => {
+  let host = req.get('x-forwarded-host');
+  if (!host || !req.app.get('trust proxy fn')(req.socket.remoteAddress, 0)) host = req.get('host') || '';
+  const port = /:(\d+)$/.exec(host.split(',')[0].trim());
+  return port ? port[1] : req.protocol === 'https' ? '443' : '80';
+};
+
+// Helper: whether a request comes from one of this server's pages. Clients other than
+// browsers send neither Origin nor Referer, and CSRF needs a browser. The scheme and
+// port count: another app on the same host is another origin.
+const isSameOrigin = (req) => {
+  const source = req.get('origin') || req.get('referer');
+  if (!source) return true;
   try {
-    const fileDoc = await File.findById(req.params.id);
-    if (!fileDoc) return res.status(404).json({ message: 'File not found' });
-    await fs.unlink(path.join(UPLOAD_DIR, fileDoc.filename));
-    await File.deleteOne({ _id: req.params.id });
-    res.redirect(`/?password=${req.query.password}`);
-  } catch (err) {
-    res.status(500).json({ message: 'Delete failed', error: err.message });
+    const url = new URL(source);
+    const port = url.port || (url.protocol === 'https:' ? '443' : '80');
+    return url.protocol === `${req.protocol}:` && url.hostname === req.hostname && port === requestPort(req);
+  } catch (e) {
+    return false; // "null" origins from sandboxed frames and privacy modes
   }
+};
+
+const CONTENT_SECURITY_POLICY = [
+  "default-src 'self'",
+  "script-src 'self'",
+  // Pages keep their stylesheets inline; styles can't run code.
+  "style-src 'self' 'unsafe-inline'",
+  "object-src 'none'",
+  "base-uri 'none'",
+  "form-action 'self'",
+  "frame-ancestors 'none'"
+].join('; ');
+
+app.disable('x-powered-by');
+
+app.use((req, res, next) => {
+  res.setHeader('Content-Security-Policy', CONTENT_SECURITY_POLICY);
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  res.setHeader('X-Frame-Options', 'DENY');
+  // Not no-referrer: browsers then send "Origin: null", which the check above refuses.
+  res.setHeader('Referrer-Policy', 'same-origin');
+  res.setHeader('Cross-Origin-Opener-Policy', 'same-origin');
+  if (COOKIE_SECURE) res.setHeader('Strict-Transport-Security', 'max-age=31536000');
+  if (SAFE_METHODS.includes(req.method) || isSameOrigin(req)) return next();
+  res.status(403).json({ message: 'Forbidden: cross-site request' });
 });
 
-// Bulk deletion endpoint (POST)
-app.post('/delete', passwordMiddleware, async (req, res) => {
+// Scripts for the pages (the CSP rules out inline ones).
+app.use('/static', express.static(path.join(__dirname, 'public')));
+
+// Save an audit event for `req` (null for the server's own actions, like purging the
+// trash). Failing to write it is logged but doesn't fail the request.
+function recordAudit(req, action, { files = [], outcome = 'success', status, error, details, share } = {}) {
+  const actor = !req ? { via: 'system' }
+    : req.share ? { user: req.share.user, via: 'share' }
+    : {
+        user: req.user && req.user._id,
+        username: req.user && req.user.username,
+        via: req.apiToken ? 'token' : req.loginSession ? 'session' : 'password',
+        token: req.apiToken && req.apiToken._id,
+        tokenName: req.apiToken && req.apiToken.name
+      };
+  AuditEvent.create({
+    action,
+    actor,
+    share: share || (req && req.share && req.share._id),
+    files: files.map(file => (file._id ? { id: file._id, name: file.originalname } : { id: file })),
+    ip: req ? req.ip : undefined,
+    userAgent: req ? req.get('user-agent') : undefined,
+    outcome,
+    status,
+    error,
+    details
+  }).catch(err => console.error(`Could not write ${action} to the audit log:`, err.message));
+}
+
+// Audit middleware factory: records `action` once the response is over, taking the outcome
+// from its status (and whether it was sent in full). Handlers fill in res.locals.audit:
+// `files`, `details`, `share`, and `skip` for requests that aren't worth an event.
+const auditAction = (action) => (req, res, next) => {
+  const audit = res.locals.audit = { files: [] };
+  // Error responses are JSON; their message becomes the event's error.
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 400 && body && !audit.error) audit.error = body.error || body.message;
+    return json(body);
+  };
+  res.once('close', () => {
+    if (audit.skip) return;
+    const complete = res.writableFinished;
+    recordAudit(req, action, {
+      files: audit.files,
+      details: audit.details,
+      share: audit.share,
+      status: res.statusCode,
+      outcome: complete && res.statusCode < 400 ? 'success' : 'failure',
+      error: audit.error || (complete ? undefined : 'the connection closed before the response was complete')
+    });
+  });
+  next();
+};
+
+// Helper: whether a download request starts a download, rather than showing the file
+// inline or continuing one with a Range request
+const isNewDownload = (req) => req.query.inline !== 'true' && (!req.headers.range || /^bytes=0-/.test(req.headers.range));
+
+// Helper: an Error carrying the HTTP status it should be answered with
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+// Helper: JSON for embedding in an inline <script> (can't close the script element)
+const scriptJSON = (value) => JSON.stringify(value).replace(/</g, '\\u003c');
+
+// Files whose name ends in one of these are treated as videos until their type is backfilled.
+const VIDEO_NAME_PATTERN = /\.(mp4|webm|ogg|mov|avi|flv|mkv)$/i;
+
+// Helper: escape text for use in HTML content and attribute values
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, c => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+})[c]);
+
+// Encryption keys. ENCRYPTION_KEYS lists "version:secret" pairs so files written
+// under an older key stay readable; the env key provider wraps with CURRENT_KEY_VERSION
+// (default: the highest version). Without ENCRYPTION_KEYS, SECRET_KEY is key version 1.
+const encryptionSecrets = new Map();
+for (const entry of (process.env.ENCRYPTION_KEYS || '').split(',').map(entry => entry.trim()).filter(Boolean)) {
+  const separator = entry.indexOf(':');
+  const version = Number(entry.slice(0, separator));
+  if (separator === -1 || !Number.isInteger(version) || version < 1 || !entry.slice(separator + 1)) {
+    throw new Error('ENCRYPTION_KEYS must look like "2:new-secret,1:old-secret"');
+  }
+  encryptionSecrets.set(version, entry.slice(separator + 1));
+}
+if (encryptionSecrets.size === 0 && SECRET_KEY) encryptionSecrets.set(1, SECRET_KEY);
+const CURRENT_KEY_VERSION = Number(process.env.CURRENT_KEY_VERSION) || Math.max(0, ...encryptionSecrets.keys());
+if (CURRENT_KEY_VERSION && !encryptionSecrets.has(CURRENT_KEY_VERSION)) {
+  throw new Error(`CURRENT_KEY_VERSION ${CURRENT_KEY_VERSION} is not listed in ENCRYPTION_KEYS`);
+}
+
+// Helper: 32-byte key for a key version, derived with scrypt (cached per version).
+// Used directly only by files from before envelope encryption; files from before
+// key versioning have no keyVersion and use sha256(SECRET_KEY).
+const derivedKeys = new Map();
+const getKey = (version) => {
+  if (!version) return crypto.createHash('sha256').update(SECRET_KEY).digest();
+  if (!derivedKeys.has(version)) {
+    const secret = encryptionSecrets.get(version);
+    if (!secret) throw new Error(`Encryption key version ${version} is not configured`);
+    const salt = `image_video_uploader/file-key/v${version}`;
+    derivedKeys.set(version, crypto.scryptSync(secret, salt, 32, { N: 2 ** 15, r: 8, p: 1, maxmem: 64 * 1024 * 1024 }));
+  }
+  return derivedKeys.get(version);
+};
+
+// Envelope encryption: every file (and resumable upload) is encrypted with its own
+// random 32-byte data key. The data key is stored on the document, wrapped by a
+// master key held by the key provider, so rotating the master key only rewraps
+// data keys. KEY_PROVIDER selects where master keys live:
+//   env        derived from ENCRYPTION_KEYS / SECRET_KEY (default)
+//   file       KEY_FILE, JSON { "currentVersion": 1, "keys": { "1": "<32 bytes, base64>" } }
+//   local-kms  stand-in for a cloud KMS: a keyring in LOCAL_KMS_KEYRING, created on first use
+// A provider is { currentVersion(), wrapKey(dataKey), unwrapKey(wrappedKey, keyVersion) },
+// all async, so a real KMS client can be dropped in behind the same interface.
+const KEY_PROVIDER = process.env.KEY_PROVIDER || 'env';
+const KEY_FILE = path.resolve(__dirname, process.env.KEY_FILE || 'master-keys.json');
+const LOCAL_KMS_KEYRING = path.resolve(__dirname, process.env.LOCAL_KMS_KEYRING || '.local-kms.json');
+
+// Helper: wrap a data key under a master key; the version is bound in as AAD so a
+// wrapped key cannot be passed off as belonging to another master key version.
+const wrapDataKey = (masterKey, version, dataKey) => {
+  const nonce = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', masterKey, nonce);
+  cipher.setAAD(Buffer.from(`v${version}`));
+  return Buffer.concat([nonce, cipher.update(dataKey), cipher.final(), cipher.getAuthTag()]).toString('base64');
+};
+
+const unwrapDataKey = (masterKey, version, wrappedKey) => {
+  const wrapped = Buffer.from(wrappedKey, 'base64');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', masterKey, wrapped.subarray(0, 12));
+  decipher.setAAD(Buffer.from(`v${version}`));
+  decipher.setAuthTag(wrapped.subarray(wrapped.length - TAG_SIZE));
   try {
-    let ids = req.body.ids;
-    if (!ids) return res.redirect(`/?password=${req.query.password}`);
-    if (!Array.isArray(ids)) ids = [ids];
-    for (let id of ids) {
-      const fileDoc = await File.findById(id);
-      if (fileDoc) {
-        await fs.unlink(path.join(UPLOAD_DIR, fileDoc.filename));
-        await File.deleteOne({ _id: id });
-      }
-    }
-    console.log(`Deleted files: ${ids.join(', ')}`);
-    res.redirect(`/?password=${req.query.password}`);
+    return Buffer.concat([decipher.update(wrapped.subarray(12, wrapped.length - TAG_SIZE)), decipher.final()]);
   } catch (err) {
-    res.status(500).json({ message: 'Bulk delete failed', error: err.message });
+    throw new Error(`Could not unwrap data key with master key version ${version}`);
   }
-});
+};
 
-// Minimal ZIP generator (store method, no compression)
-function makeCRCTable() {
-  let c, crcTable = [];
-  for (let n = 0; n < 256; n++) {
-    c = n;
-    for (let k = 0; k < 8; k++) {
-      c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
-    }
-    crcTable[n] = c;
+// Helper: read a keyring file; `create` starts a new one with a random key if missing.
+async function readKeyringFile(filePath, { create = false } = {}) {
+  let data;
+  try {
+    data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT' || !create) throw new Error(`Could not read keyring ${filePath}: ${err.message}`);
+    data = { currentVersion: 1, keys: { 1: crypto.randomBytes(32).toString('base64') } };
+    await writeKeyringFile(filePath, data);
+    console.log(`Created keyring ${filePath}`);
   }
-  return crcTable;
-}
-const crcTable = makeCRCTable();
-function crc32(buf) {
-  let crc = 0 ^ (-1);
-  for (let i = 0; i < buf.length; i++) {
-    crc = (crc >>> 8) ^ crcTable[(crc ^ buf[i]) & 0xFF];
+  const keys = new Map(Object.entries(data.keys || {}).map(([version, key]) => [Number(version), Buffer.from(key, 'base64')]));
+  if (![...keys.values()].every(key => key.length === 32) || !keys.has(data.currentVersion)) {
+    throw new Error(`Keyring ${filePath} needs 32-byte base64 keys and a currentVersion that is one of them`);
   }
-  return (crc ^ (-1)) >>> 0;
+  return { currentVersion: data.currentVersion, keys };
 }
 
-// Bulk download endpoint: accepts comma-separated file IDs via "ids"
-app.post('/download/bulk', passwordMiddleware, async (req, res) => {
-  try {
-    // Expect req.body.ids to be either an array or a comma-separated string.
-    let ids = req.body.ids;
-    if (!ids) {
-      return res.status(400).json({ message: 'No file IDs provided' });
+async function writeKeyringFile(filePath, data) {
+  const tempPath = `${filePath}.tmp`;
+  await fs.writeFile(tempPath, `${JSON.stringify(data, null, 2)}\n`, { mode: 0o600 });
+  await fs.rename(tempPath, filePath);
+}
+
+// Helper: key provider over a keyring loaded once by `loadKeyring()`,
+// which resolves to { currentVersion, keys: Map(version -> 32-byte key) }.
+// A failed load isn't kept, so the next use tries again.
+const createKeyringProvider = (loadKeyring) => {
+  let keyring = null;
+  const getKeyring = () => {
+    if (!keyring) {
+      keyring = Promise.resolve().then(loadKeyring).catch(err => {
+        keyring = null;
+        throw err;
+      });
     }
-    if (!Array.isArray(ids)) {
-      // If a comma-separated string was sent, convert it to an array.
-      ids = typeof ids === 'string' ? ids.split(',') : [ids];
+    return keyring;
+  };
+  return {
+    currentVersion: async () => (await getKeyring()).currentVersion,
+    wrapKey: async (dataKey) => {
+      const { currentVersion, keys } = await getKeyring();
+      return { wrappedKey: wrapDataKey(keys.get(currentVersion), currentVersion, dataKey), keyVersion: currentVersion };
+    },
+    unwrapKey: async (wrappedKey, keyVersion) => {
+      const { keys } = await getKeyring();
+      if (!keys.has(keyVersion)) throw new Error(`Master key version ${keyVersion} is not available from the ${KEY_PROVIDER} key provider`);
+      return unwrapDataKey(keys.get(keyVersion), keyVersion, wrappedKey);
+    }
+  };
+};
+
+const keyProviders = {
+  env: () => createKeyringProvider(async () => {
+    const keys = new Map();
+    for (const [version, secret] of encryptionSecrets) {
+      const salt = `image_video_uploader/master-key/v${version}`;
+      keys.set(version, await scrypt(secret, salt, 32, { N: 2 ** 15, r: 8, p: 1, maxmem: 64 * 1024 * 1024 }));
     }
+    if (!keys.has(CURRENT_KEY_VERSION)) throw new Error('Set ENCRYPTION_KEYS or SECRET_KEY');
+    return { currentVersion: CURRENT_KEY_VERSION, keys };
+  }),
+  file: () => createKeyringProvider(() => readKeyringFile(KEY_FILE)),
+  'local-kms': () => createKeyringProvider(() => readKeyringFile(LOCAL_KMS_KEYRING, { create: true }))
+};
+if (!keyProviders[KEY_PROVIDER]) {
+  throw new Error(`KEY_PROVIDER must be one of: ${Object.keys(keyProviders).join(', ')}`);
+}
+const keyProvider = keyProviders[KEY_PROVIDER]();
 
-    // Set headers for ZIP download.
-    res.setHeader('Content-Type', 'application/zip');
-    res.setHeader('Content-Disposition', 'attachment; filename="files.zip"');
+// Helper: fresh data key for a new file, along with its wrapped form for the document
+const newDataKey = async () => {
+  const key = crypto.randomBytes(32);
+  return { key, ...(await keyProvider.wrapKey(key)) };
+};
 
-    // Retrieve file records from the database.
-    const files = await File.find({ _id: { $in: ids } });
-    
-    let offset = 0;
-    const centralDirectoryRecords = [];
-    
-    // Process files sequentially.
-    for (const fileDoc of files) {
-      const filePath = path.join(UPLOAD_DIR, fileDoc.filename);
-      // Read encrypted file and decrypt it.
-      const encryptedData = await fs.readFile(filePath);
-      const decryptedData = decryptBuffer(encryptedData, fileDoc.iv);
-      
-      // Compute CRC and size.
-      const crc = crc32(decryptedData);
-      const size = decryptedData.length;
-      
-      // Create local file header.
-      const localHeader = createLocalHeader(fileDoc.originalname, crc, size);
-      const headerOffset = offset; // Record starting offset.
-      res.write(localHeader);
-      offset += localHeader.length;
-      
-      // Write file data.
-      res.write(decryptedData);
-      offset += decryptedData.length;
-      
-      // Create central directory record for this file.
-      const centralRecord = createCentralDirectoryRecord(fileDoc.originalname, crc, size, headerOffset);
-      centralDirectoryRecords.push(centralRecord);
-    }
-    
-    // Build and write the central directory.
-    const centralDirectoryBuffer = Buffer.concat(centralDirectoryRecords);
-    res.write(centralDirectoryBuffer);
-    const centralDirectorySize = centralDirectoryBuffer.length;
-    const centralDirectoryOffset = offset;
-    offset += centralDirectorySize;
-    
-    // Write End Of Central Directory Record.
-    const eocdr = createEOCDRecord(centralDirectoryRecords.length, centralDirectorySize, centralDirectoryOffset);
-    res.write(eocdr);
-    res.end();
-    
+// Helper: the key a stored file or upload session is encrypted with
+const fileKey = async (doc) => doc.wrappedKey
+  ? keyProvider.unwrapKey(doc.wrappedKey, doc.keyVersion)
+  : getKey(doc.keyVersion);
+
+// New uploads use AES-256-GCM over 64 KiB segments. Each segment is stored as its
+// ciphertext followed by a 16-byte auth tag; its nonce is the file's 12-byte base
+// nonce plus the segment index, and the last segment is flagged in the additional
+// authenticated data, so tampering, reordering and truncation are all detected.
+// Segments decrypt independently, which keeps Range requests cheap.
+// Older files are AES-256-CTR, or AES-256-CBC when they have no cipher field.
+const CIPHER = 'aes-256-gcm-chunked';
+const CTR_CIPHER = 'aes-256-ctr';
+const LEGACY_CIPHER = 'aes-256-cbc';
+const SEGMENT_SIZE = 64 * 1024;
+const TAG_SIZE = 16;
+const ENCRYPTED_SEGMENT_SIZE = SEGMENT_SIZE + TAG_SIZE;
+
+const integrityError = () => Object.assign(
+  new Error('File failed its integrity check (corrupted or tampered with)'),
+  { code: 'EINTEGRITY' }
+);
+
+const segmentNonce = (iv, index) => {
+  const nonce = Buffer.from(iv, 'hex');
+  nonce.writeUInt32BE((nonce.readUInt32BE(8) + index) >>> 0, 8);
+  return nonce;
+};
+
+const encryptSegment = (key, iv, index, plaintext, final) => {
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, segmentNonce(iv, index));
+  cipher.setAAD(Buffer.from([final ? 1 : 0]));
+  return Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+};
+
+const decryptSegment = (key, iv, index, segment, final) => {
+  if (segment.length < TAG_SIZE) throw integrityError();
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, segmentNonce(iv, index));
+  decipher.setAAD(Buffer.from([final ? 1 : 0]));
+  decipher.setAuthTag(segment.subarray(segment.length - TAG_SIZE));
+  try {
+    return Buffer.concat([decipher.update(segment.subarray(0, segment.length - TAG_SIZE)), decipher.final()]);
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ message: 'Bulk download failed', error: err.message });
+    throw integrityError();
   }
-});
+};
 
-//
-// Helper functions to build ZIP structures (store method, no compression)
-//
+// Helper: number of segments in a segmented file of `encryptedSize` bytes (an empty file still has one)
+const segmentCount = (encryptedSize) => Math.max(1, Math.ceil(encryptedSize / ENCRYPTED_SEGMENT_SIZE));
 
-// Local File Header Creator.
-function createLocalHeader(filename, crc, size) {
-  const filenameBuf = Buffer.from(filename, 'utf8');
-  const header = Buffer.alloc(30);
-  header.writeUInt32LE(0x04034b50, 0);    // Local file header signature.
-  header.writeUInt16LE(20, 4);              // Version needed to extract.
-  header.writeUInt16LE(0, 6);               // General purpose bit flag.
-  header.writeUInt16LE(0, 8);               // Compression method (0 = store).
-  header.writeUInt16LE(0, 10);              // Last mod file time.
-  header.writeUInt16LE(0, 12);              // Last mod file date.
-  header.writeUInt32LE(crc, 14);            // CRC-32.
-  header.writeUInt32LE(size, 18);           // Compressed size.
-  header.writeUInt32LE(size, 22);           // Uncompressed size.
-  header.writeUInt16LE(filenameBuf.length, 26); // File name length.
-  header.writeUInt16LE(0, 28);              // Extra field length.
-  return Buffer.concat([header, filenameBuf]);
-}
+// Helper: plaintext size of a stored file from its size on disk (not for legacy CBC files)
+const plaintextSize = (fileDoc, encryptedSize) => fileDoc.cipher === CIPHER
+  ? Math.max(0, encryptedSize - segmentCount(encryptedSize) * TAG_SIZE)
+  : encryptedSize;
 
-// Central Directory Record Creator.
-function createCentralDirectoryRecord(filename, crc, size, offset) {
-  const filenameBuf = Buffer.from(filename, 'utf8');
-  const record = Buffer.alloc(46);
-  record.writeUInt32LE(0x02014b50, 0);     // Central file header signature.
-  record.writeUInt16LE(20, 4);              // Version made by.
-  record.writeUInt16LE(20, 6);              // Version needed to extract.
-  record.writeUInt16LE(0, 8);               // General purpose bit flag.
-  record.writeUInt16LE(0, 10);              // Compression method.
-  record.writeUInt16LE(0, 12);              // Last mod file time.
-  record.writeUInt16LE(0, 14);              // Last mod file date.
-  record.writeUInt32LE(crc, 16);            // CRC-32.
-  record.writeUInt32LE(size, 20);           // Compressed size.
-  record.writeUInt32LE(size, 24);           // Uncompressed size.
-  record.writeUInt16LE(filenameBuf.length, 28); // File name length.
-  record.writeUInt16LE(0, 30);              // Extra field length.
-  record.writeUInt16LE(0, 32);              // File comment length.
-  record.writeUInt16LE(0, 34);              // Disk number start.
-  record.writeUInt16LE(0, 36);              // Internal file attributes.
-  record.writeUInt32LE(0, 38);              // External file attributes.
-  record.writeUInt32LE(offset, 42);         // Relative offset of local header.
-  return Buffer.concat([record, filenameBuf]);
-}
+// Encryption functions
+const encryptBuffer = async (buffer) => {
+  const { key, wrappedKey, keyVersion } = await newDataKey();
+  const iv = crypto.randomBytes(12).toString('hex');
+  const count = Math.max(1, Math.ceil(buffer.length / SEGMENT_SIZE));
+  const segments = [];
+  for (let index = 0; index < count; index++) {
+    const plaintext = buffer.subarray(index * SEGMENT_SIZE, (index + 1) * SEGMENT_SIZE);
+    segments.push(encryptSegment(key, iv, index, plaintext, index === count - 1));
+  }
+  return { iv, cipher: CIPHER, wrappedKey, keyVersion, encrypted: Buffer.concat(segments) };
+};
 
-// End Of Central Directory Record Creator.
-function createEOCDRecord(totalEntries, centralDirectorySize, centralDirectoryOffset) {
-  const eocdr = Buffer.alloc(22);
-  eocdr.writeUInt32LE(0x06054b50, 0);       // EOCD signature.
-  eocdr.writeUInt16LE(0, 4);                // Number of this disk.
-  eocdr.writeUInt16LE(0, 6);                // Disk where central directory starts.
-  eocdr.writeUInt16LE(totalEntries, 8);     // Number of central directory records on this disk.
-  eocdr.writeUInt16LE(totalEntries, 10);    // Total number of central directory records.
-  eocdr.writeUInt32LE(centralDirectorySize, 12); // Size of central directory (bytes).
-  eocdr.writeUInt32LE(centralDirectoryOffset, 16); // Offset of start of central directory.
-  eocdr.writeUInt16LE(0, 20);               // ZIP file comment length.
-  return eocdr;
-}
-/* 
-  Custom multipart parser.
-  This function splits the raw buffer using the boundary string.
-  It returns an array of parts, each with a "headers" string and a "data" Buffer.
-*/
-function parseMultipart(buffer, boundary) {
-  const parts = [];
-  const boundaryBuffer = Buffer.from(`--${boundary}`, 'utf-8');
-  let start = buffer.indexOf(boundaryBuffer);
-  if (start === -1) return parts;
-  start += boundaryBuffer.length;
-  while (true) {
-    let end = buffer.indexOf(boundaryBuffer, start);
-    if (end === -1) break;
-    let partBuffer = buffer.slice(start, end);
-    // Trim leading and trailing CRLF
-    if (partBuffer.slice(0, 2).toString() === '\r\n') {
-      partBuffer = partBuffer.slice(2);
-    }
-    if (partBuffer.slice(-2).toString() === '\r\n') {
-      partBuffer = partBuffer.slice(0, partBuffer.length - 2);
-    }
-    // Split headers and body by the first occurrence of double CRLF.
-    const delimiter = Buffer.from('\r\n\r\n');
-    const headerEnd = partBuffer.indexOf(delimiter);
-    if (headerEnd !== -1) {
-      const headers = partBuffer.slice(0, headerEnd).toString('utf-8');
-      const data = partBuffer.slice(headerEnd + delimiter.length);
-      parts.push({ headers, data });
-    }
-    start = end + boundaryBuffer.length;
-    // Check if this is the final boundary marker.
-    if (buffer.slice(start, start + 2).toString() === '--') break;
-  }
-  return parts;
-}
-
-app.post('/upload', passwordMiddleware, (req, res) => {
-  console.log(`User logged in. Upload started at ${new Date().toISOString()}`);
-  const contentType = req.headers['content-type'];
-  const boundaryMatch = contentType && contentType.match(/boundary=(.+)$/);
-  if (!boundaryMatch) {
-    return res.status(400).json({ message: 'Invalid form-data: No boundary found' });
+// Decrypt a whole stored file; `fileDoc` supplies iv, cipher and its key.
+const decryptBuffer = async (buffer, fileDoc) => {
+  const { iv, cipher = LEGACY_CIPHER } = fileDoc;
+  const key = await fileKey(fileDoc);
+  if (cipher === CIPHER) {
+    const count = segmentCount(buffer.length);
+    const plaintext = [];
+    for (let index = 0; index < count; index++) {
+      const segment = buffer.subarray(index * ENCRYPTED_SEGMENT_SIZE, (index + 1) * ENCRYPTED_SEGMENT_SIZE);
+      plaintext.push(decryptSegment(key, iv, index, segment, index === count - 1));
+    }
+    return Buffer.concat(plaintext);
   }
-  const boundary = boundaryMatch[1];
-  const chunks = [];
-  req.on('data', chunk => chunks.push(chunk));
-  req.on('end', async () => {
-    try {
-      const buffer = Buffer.concat(chunks);
-      const parts = parseMultipart(buffer, boundary);
-      const fileUploads = [];
-      for (let part of parts) {
-        if (part.headers.includes('Content-Disposition') && part.headers.includes('filename="')) {
-          const filenameMatch = part.headers.match(/filename="([^"]+)"/);
-          if (!filenameMatch) continue;
-          const originalname = filenameMatch[1];
-          // Encrypt the file data using your encryptBuffer function.
-          const { iv, encrypted } = encryptBuffer(part.data);
-          const uniqueFilename = `${Date.now()}-${originalname}`;
-          const filePath = path.join(UPLOAD_DIR, uniqueFilename);
-          await fs.writeFile(filePath, encrypted);
-          fileUploads.push({ originalname, filename: uniqueFilename, iv });
-          console.log(`Uploaded file: ${originalname} as ${uniqueFilename}`);
+  const decipher = crypto.createDecipheriv(cipher, key, Buffer.from(iv, 'hex'));
+  const decrypted = Buffer.concat([decipher.update(buffer), decipher.final()]);
+  return decrypted;
+};
+
+// Create an encrypted blob in storage and feed it plaintext as it arrives.
+const createEncryptedWriter = async (filename) => {
+  const { key, wrappedKey, keyVersion } = await newDataKey();
+  const iv = crypto.randomBytes(12).toString('hex');
+  const blob = await storage.createWriter(filename);
+  let pending = Buffer.alloc(0);
+  let index = 0;
+  const writer = {
+    iv,
+    cipher: CIPHER,
+    wrappedKey,
+    keyVersion,
+    size: 0,
+    write: async (chunk) => {
+      writer.size += chunk.length;
+      pending = pending.length ? Buffer.concat([pending, chunk]) : chunk;
+      // A segment is only written once more data follows it, so the last one can be flagged final.
+      while (pending.length > SEGMENT_SIZE) {
+        await blob.write(encryptSegment(key, iv, index++, pending.subarray(0, SEGMENT_SIZE), false));
+        pending = pending.subarray(SEGMENT_SIZE);
+      }
+    },
+    end: async () => {
+      await blob.write(encryptSegment(key, iv, index, pending, true));
+      await blob.end();
+    },
+    abort: () => blob.abort()
+  };
+  return writer;
+};
+
+// Helper: CTR cipher positioned at byte `offset` of the stream started with `iv`
+const createCipherAt = (iv, offset) => {
+  const cipher = crypto.createCipheriv(CTR_CIPHER, getKey(), ctrIvAt(iv, offset));
+  cipher.update(Buffer.alloc(offset % 16)); // discard keystream before offset
+  return cipher;
+};
+
+// Helper: CTR counter block for the AES block that holds byte `offset`.
+// OpenSSL treats the whole 16-byte IV as one big-endian counter.
+const ctrIvAt = (iv, offset) => {
+  const counter = (BigInt(`0x${iv}`) + BigInt(Math.floor(offset / 16))) % (1n << 128n);
+  return Buffer.from(counter.toString(16).padStart(32, '0'), 'hex');
+};
+
+// Streams (for pipeline) yielding the decrypted bytes start..end (inclusive) of a
+// segmented or CTR file whose blob is `encryptedSize` bytes.
+const createDecryptStream = async (fileDoc, start, end, encryptedSize) => {
+  const key = await fileKey(fileDoc);
+  if (fileDoc.cipher === CIPHER) {
+    const count = segmentCount(encryptedSize);
+    const first = Math.floor(start / SEGMENT_SIZE);
+    const last = Math.floor(end / SEGMENT_SIZE);
+    let index = first;
+    let skip = start - first * SEGMENT_SIZE;
+    let remaining = end - start + 1;
+    let pending = Buffer.alloc(0);
+    const decryptNext = (segment) => {
+      let plaintext = decryptSegment(key, fileDoc.iv, index, segment, index === count - 1);
+      index++;
+      plaintext = plaintext.subarray(skip, skip + remaining);
+      skip = 0;
+      remaining -= plaintext.length;
+      return plaintext;
+    };
+    const decrypt = new Transform({
+      transform(chunk, encoding, callback) {
+        pending = pending.length ? Buffer.concat([pending, chunk]) : chunk;
+        try {
+          while (pending.length >= ENCRYPTED_SEGMENT_SIZE) {
+            this.push(decryptNext(pending.subarray(0, ENCRYPTED_SEGMENT_SIZE)));
+            pending = pending.subarray(ENCRYPTED_SEGMENT_SIZE);
+          }
+          callback();
+        } catch (err) {
+          callback(err);
+        }
+      },
+      flush(callback) {
+        try {
+          // The file's last segment may be short; a missing one means the file was truncated.
+          if (index <= last) this.push(decryptNext(pending));
+          callback();
+        } catch (err) {
+          callback(err);
         }
       }
-      if (fileUploads.length > 0) {
-        await File.insertMany(fileUploads);
-        console.log(`Successfully saved ${fileUploads.length} file(s) to database.`);
+    });
+    const readEnd = Math.min(encryptedSize, (last + 1) * ENCRYPTED_SEGMENT_SIZE) - 1;
+    return [await storage.createReadStream(fileDoc.filename, { start: first * ENCRYPTED_SEGMENT_SIZE, end: readEnd }), decrypt];
+  }
+
+  const alignedStart = start - (start % 16);
+  let skip = start - alignedStart;
+  const decipher = crypto.createDecipheriv(CTR_CIPHER, key, ctrIvAt(fileDoc.iv, alignedStart));
+  const trim = new Transform({
+    transform(chunk, encoding, callback) {
+      if (skip > 0) {
+        const dropped = Math.min(skip, chunk.length);
+        chunk = chunk.subarray(dropped);
+        skip -= dropped;
       }
-      // Build a simple HTML response that includes login status and an advertisement snippet.
-      const responseHTML = `
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <title>Upload Status</title>
-        <style>
-          body { font-family: Arial, sans-serif; background-color: #f5f5f5; padding: 20px; }
-          .container { background: white; padding: 20px; border-radius: 8px; max-width: 600px; margin: auto; }
-          .ad { background: #e2e2e2; padding: 10px; margin-top: 20px; border-radius: 4px; text-align: center; }
-        </style>
-      </head>
-      <body>
-        <div class="container">
-          <h1>Upload Complete</h1>
-          <p>You are logged in.</p>
-          <p>Uploaded ${fileUploads.length} file(s) successfully.</p>
-          <p><a href="/?password=${req.query.password}">Return to Gallery</a></p>
-          <div class="ad">
-            <p>Advertisement: Upgrade to our premium plan for faster uploads and exclusive features!</p>
-          </div>
-        </div>
-      </body>
-      </html>`;
-      res.send(responseHTML);
-    } catch (err) {
-      console.error(err);
-      res.status(500).json({ message: 'Upload failed', error: err.message });
+      callback(null, chunk);
     }
   });
-});
+  return [await storage.createReadStream(fileDoc.filename, { start: alignedStart, end }), decipher, trim];
+};
 
-// Helper function to format file sizes
-function formatBytes(bytes, decimals = 2) {
-  if (bytes === 0) return '0 Bytes';
-  const k = 1024,
-        dm = decimals < 0 ? 0 : decimals,
-        sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'],
-        i = Math.floor(Math.log(bytes) / Math.log(k));
-  return parseFloat((bytes / Math.pow(k, i)).toFixed(dm)) + ' ' + sizes[i];
-}
+//
+// Storage backends hold the encrypted blobs, keyed by File.filename. STORAGE_BACKEND
+// selects one:
+//   local  files in UPLOAD_DIR (default)
+//   s3     an S3-compatible bucket (AWS S3, MinIO, ...) configured by the S3_* settings
+// A backend is { name, createWriter(key), importFile(key, localPath), read(key),
+// createReadStream(key, { start, end }), size(key), exists(key), remove(key), list() },
+// where list() yields { key, size, modified } for every blob it holds.
+// Resumable uploads are always staged in UPLOAD_DIR and handed over with importFile.
+//
 
-// Gallery view endpoint
-app.get('/', passwordMiddleware, async (req, res) => {
-  try {
-    const password = req.query.password;
-    const sortOption = req.query.sort || 'desc';
-    let files 
-    if (sortOption === 'asc') {
-      files = await File.find({}, 'originalname _id filename uploadDate').sort({ uploadDate: 1 });
-    } else if (sortOption === 'desc') {
-      files = await File.find({}, 'originalname _id filename uploadDate').sort({ uploadDate: -1 });
-    } else if (sortOption === 'random') {
-      files = await File.find({}, 'originalname _id filename uploadDate');
-      files.sort(() => Math.random() - 0.5);
-    } else if (sortOption === 'gif') {
-        files = await File.find({}, 'originalname _id filename uploadDate');
-        files.sort((a, b) => {
-          const isAGif = a.filename.endsWith('.gif') ? -1 : 1;
-          const isBGif = b.filename.endsWith('.gif') ? -1 : 1;
-          return isAGif - isBGif || b.uploadDate - a.uploadDate;
-        });
-    } else if (sortOption === 'video') {
-        files = await File.find({}, 'originalname _id filename uploadDate');
-        files.sort((a, b) => {
-          const isAVideo = /\.(mp4|mov|avi|mkv|webm)$/i.test(a.filename) ? -1 : 1;
-          const isBVideo = /\.(mp4|mov|avi|mkv|webm)$/i.test(b.filename) ? -1 : 1;
-          return isAVideo - isBVideo || b.uploadDate - a.uploadDate;
-        });
-    } else {
-      files = await File.find({}, 'originalname _id filename uploadDate').sort({ uploadDate: -1 });
-    }
-    const galleryFiles = files.map(file => {
-      const ext = path.extname(file.originalname).toLowerCase();
-      const type = ['.mp4', '.webm', '.ogg', '.mov', '.avi', '.flv'].includes(ext) ? 'video' : 'image';
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'local';
+// S3 multipart uploads need parts of at least 5 MiB (except the last).
+const S3_PART_SIZE = Math.max(5 * 1024 * 1024, parseSize(process.env.S3_PART_SIZE, 8 * 1024 * 1024));
+
+const createLocalStorage = (dir) => {
+  const blobPath = (key) => path.join(dir, path.basename(key));
+  return {
+    name: 'local',
+    createWriter: async (key) => {
+      const handle = await fs.open(blobPath(key), 'w');
       return {
-        id: file._id,
-        originalname: file.originalname,
-        type,
-        url: `/download/${file._id}?password=${password}&inline=true`,
-        filename: file.filename
+        write: async (chunk) => { await handle.write(chunk); },
+        end: () => handle.close(),
+        abort: async () => {
+          await handle.close().catch(() => {});
+          await fs.unlink(blobPath(key)).catch(() => {});
+        }
       };
-        })
-    const galleryItems = await Promise.all(galleryFiles.map(async (file, index) => {
-      const filePath = path.join(UPLOAD_DIR, file.filename);
-      let sizeStr = "N/A";
-      try {
-        const stats = await fs.stat(filePath);
-        sizeStr = formatBytes(stats.size);
-      } catch (e) { /* ignore error */ }
-      const mediaTag = file.type === 'image'
-        ? `<img loading="lazy" src="${file.url}" alt="${file.originalname}">`
-        : `<video loading="lazy" src="${file.url}" muted playsinline preload="auto"></video>`;
-      return `
-      <div class="gallery-item" data-index="${index}" data-id="${file.id}" onclick="handleGalleryItemClick(event, ${index}, '${file.id}')">
-        <div class="image-box">${mediaTag}</div>
-        <div class="info-box">
-          <div class="file-details">
-            <div class="file-name">${file.originalname}</div>
-            <div class="file-size">${sizeStr}</div>
-          </div>
-          <div class="actions">
-            <a href="/download/${file.id}?password=${password}">Download</a>
-            <a href="/delete/${file.id}?password=${password}" onclick="return confirm('Delete ${file.originalname}?')">Delete</a>
-          </div>
-        </div>
-        <!-- Hidden checkbox for bulk actions -->
-        <input type="checkbox" name="ids" value="${file.id}" id="cb-${file.id}" style="display:none;">
-      </div>`;
-    }));
-    const header = `
-      <div style="text-align:center; margin-bottom:20px; color:#fff; font-size:1.2em;">
-        Total files: ${galleryFiles.length}
-      </div>
-    `;
+    },
+    importFile: (key, localPath) => fs.rename(localPath, blobPath(key)),
+    read: (key) => fs.readFile(blobPath(key)),
+    createReadStream: async (key, { start, end } = {}) => createReadStream(blobPath(key), { start, end }),
+    size: async (key) => (await fs.stat(blobPath(key))).size,
+    exists: (key) => fs.stat(blobPath(key)).then(() => true, err => {
+      if (err.code === 'ENOENT') return false;
+      throw err;
+    }),
+    remove: (key) => fs.unlink(blobPath(key)).catch(err => {
+      if (err.code !== 'ENOENT') throw err;
+    }),
+    list: async function* () {
+      for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+        if (!entry.isFile()) continue;
+        // Skip files removed since the directory was read.
+        const stat = await fs.stat(path.join(dir, entry.name)).catch(() => null);
+        if (stat) yield { key: entry.name, size: stat.size, modified: stat.mtime };
+      }
+    }
+  };
+};
 
-    const sortOptionsHTML = `
-      <div class="sort-options" style="text-align:center; margin-bottom:20px;">
-        <label for="sortSelect" style="margin-right: 10px;">Sort by:</label>
-        <select id="sortSelect">
-          <option value="desc" ${sortOption==='desc'?'selected':''}>Last Uploaded</option>
-          <option value="asc" ${sortOption==='asc'?'selected':''}>First Uploaded</option>
-          <option value="random" ${sortOption==='random'?'selected':''}>Random</option>
-          <option value="gif" ${sortOption==='gif'?'selected':''}>gif</option>
-          <option value="video" ${sortOption==='video'?'selected':''}>video</option>
-        </select>
-      </div>
+// Helper: percent-encode a URI component the way AWS Signature Version 4 expects
+const awsUriEncode = (value) => encodeURIComponent(value)
+  .replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+
+// Helper: AWS Signature Version 4 for one request. `path` must already be
+// encoded with awsUriEncode; every header in `headers` is signed.
+function signAwsRequest({ method, host, path: requestPath, query = {}, headers = {}, body, region, service = 's3', accessKeyId, secretAccessKey, date = new Date() }) {
+  const amzDate = date.toISOString().replace(/[-:]|\.\d{3}/g, '');
+  const scope = `${amzDate.slice(0, 8)}/${region}/${service}/aws4_request`;
+  const payloadHash = sha256(body || '');
+  const signedHeaders = { host, 'x-amz-content-sha256': payloadHash, 'x-amz-date': amzDate };
+  for (const [name, value] of Object.entries(headers)) signedHeaders[name.toLowerCase()] = String(value).trim();
+  const headerNames = Object.keys(signedHeaders).sort();
+  const canonicalQuery = Object.entries(query)
+    .map(([name, value]) => `${awsUriEncode(name)}=${awsUriEncode(String(value))}`)
+    .sort()
+    .join('&');
+  const canonicalRequest = [
+    method,
+    requestPath,
+    canonicalQuery,
+    headerNames.map(name => `${name}:${signedHeaders[name]}\n`).join(''),
+    headerNames.join(';'),
+    payloadHash
+  ].join('\n');
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+  const hmac = (key, value) => crypto.createHmac('sha256', key).update(value).digest();
+  let signingKey = `AWS4${secretAccessKey}`;
+  for (const part of scope.split('/')) signingKey = hmac(signingKey, part);
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+  delete signedHeaders.host;
+  return {
+    ...signedHeaders,
+    authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${headerNames.join(';')}, Signature=${signature}`
+  };
+}
+
+// Helper: text from an XML element, with entities decoded
+const unescapeXml = (text) => text.replace(/&(?:#x([0-9a-fA-F]+)|#(\d+)|(lt|gt|quot|apos|amp));/g, (match, hex, decimal, name) => (
+  name ? { lt: '<', gt: '>', quot: '"', apos: "'", amp: '&' }[name] : String.fromCodePoint(parseInt(hex || decimal, hex ? 16 : 10))
+));
+
+const createS3Storage = ({ endpoint, region, bucket, accessKeyId, secretAccessKey, prefix = '' }) => {
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('The s3 storage backend needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+  }
+  // A custom endpoint (MinIO and friends) uses path-style URLs; AWS uses the bucket's own host.
+  const base = new URL(endpoint || `https://${bucket}.s3.${region}.amazonaws.com`);
+  const basePath = endpoint ? `${base.pathname.replace(/\/$/, '')}/${awsUriEncode(bucket)}` : '';
+
+  // Helper: signed request to an encoded path; statuses in `allow` are returned instead of thrown.
+  // `label` names what is requested in errors.
+  const send = async (method, requestPath, label, { query = {}, headers = {}, body, allow = [] } = {}) => {
+    const signed = signAwsRequest({ method, host: base.host, path: requestPath, query, headers, body, region, accessKeyId, secretAccessKey });
+    const search = Object.entries(query).map(([name, value]) => `${awsUriEncode(name)}=${awsUriEncode(String(value))}`).join('&');
+    const response = await fetch(`${base.origin}${requestPath}${search ? `?${search}` : ''}`, { method, headers: signed, body });
+    if (response.ok || allow.includes(response.status)) return response;
+    const text = await response.text().catch(() => '');
+    const code = (text.match(/<Code>([^<]*)<\/Code>/) || [])[1] || response.statusText;
+    throw new Error(`S3 ${method} ${label} failed: ${response.status} ${code}`);
+  };
+  // Helper: signed request for object `key`
+  const request = (method, key, options) => send(method, `${basePath}/${`${prefix}${key}`.split('/').map(awsUriEncode).join('/')}`, key, options);
+
+  const storage = {
+    name: 's3',
+    // Small files are sent with one PUT; larger ones as a multipart upload.
+    createWriter: async (key) => {
+      let buffered = [];
+      let bufferedSize = 0;
+      let uploadId = null;
+      const etags = [];
+      const flushPart = async () => {
+        if (!uploadId) {
+          const created = await (await request('POST', key, { query: { uploads: '' } })).text();
+          uploadId = (created.match(/<UploadId>([^<]+)<\/UploadId>/) || [])[1];
+          if (!uploadId) throw new Error(`S3 did not start a multipart upload for ${key}`);
+        }
+        const body = Buffer.concat(buffered);
+        buffered = [];
+        bufferedSize = 0;
+        const response = await request('PUT', key, { query: { partNumber: etags.length + 1, uploadId }, body });
+        etags.push(response.headers.get('etag'));
+      };
+      return {
+        write: async (chunk) => {
+          buffered.push(chunk);
+          bufferedSize += chunk.length;
+          if (bufferedSize >= S3_PART_SIZE) await flushPart();
+        },
+        end: async () => {
+          if (!uploadId) {
+            await request('PUT', key, { body: Buffer.concat(buffered) });
+            return;
+          }
+          if (bufferedSize > 0) await flushPart();
+          const parts = etags.map((etag, index) => `<Part><PartNumber>${index + 1}</PartNumber><ETag>${escapeHtml(etag)}</ETag></Part>`);
+          const body = Buffer.from(`<CompleteMultipartUpload>${parts.join('')}</CompleteMultipartUpload>`);
+          // S3 may report a failed completion inside a 200 response.
+          const result = await (await request('POST', key, { query: { uploadId }, body })).text();
+          if (result.includes('<Error>')) throw new Error(`S3 could not complete the upload of ${key}`);
+        },
+        abort: async () => {
+          if (uploadId) await request('DELETE', key, { query: { uploadId } }).catch(() => {});
+        }
+      };
+    },
+    importFile: async (key, localPath) => {
+      const writer = await storage.createWriter(key);
+      try {
+        for await (const chunk of createReadStream(localPath, { highWaterMark: 1024 * 1024 })) await writer.write(chunk);
+        await writer.end();
+      } catch (err) {
+        await writer.abort();
+        throw err;
+      }
+      await fs.unlink(localPath);
+    },
+    read: async (key) => Buffer.from(await (await request('GET', key)).arrayBuffer()),
+    createReadStream: async (key, { start, end } = {}) => {
+      const headers = start !== undefined ? { range: `bytes=${start}-${end ?? ''}` } : {};
+      return Readable.fromWeb((await request('GET', key, { headers })).body);
+    },
+    size: async (key) => Number((await request('HEAD', key)).headers.get('content-length')),
+    exists: async (key) => (await request('HEAD', key, { allow: [404] })).status !== 404,
+    remove: async (key) => {
+      await request('DELETE', key, { allow: [404] });
+    },
+    // ListObjectsV2, a page of up to 1000 keys at a time.
+    list: async function* () {
+      let continuationToken = null;
+      do {
+        const query = { 'list-type': 2, prefix, ...(continuationToken ? { 'continuation-token': continuationToken } : {}) };
+        const xml = await (await send('GET', `${basePath}/`, 'list', { query })).text();
+        const field = (text, name) => unescapeXml((text.match(new RegExp(`<${name}>([^<]*)</${name}>`)) || [])[1] || '');
+        for (const [, item] of xml.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+          yield { key: field(item, 'Key').slice(prefix.length), size: Number(field(item, 'Size')), modified: new Date(field(item, 'LastModified')) };
+        }
+        continuationToken = field(xml, 'IsTruncated') === 'true' ? field(xml, 'NextContinuationToken') : null;
+      } while (continuationToken);
+    }
+  };
+  return storage;
+};
+
+const storageBackends = {
+  local: () => createLocalStorage(UPLOAD_DIR),
+  s3: () => createS3Storage({
+    endpoint: process.env.S3_ENDPOINT,
+    region: process.env.S3_REGION || 'us-east-1',
+    bucket: process.env.S3_BUCKET,
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    prefix: process.env.S3_PREFIX || ''
+  })
+};
+if (!storageBackends[STORAGE_BACKEND]) {
+  throw new Error(`STORAGE_BACKEND must be one of: ${Object.keys(storageBackends).join(', ')}`);
+}
+const storage = storageBackends[STORAGE_BACKEND]();
+
+// Helper: apply the request's Range header to a body of `size` bytes.
+// Sets status and length headers and returns the inclusive byte window,
+// or null when a 416 has already been sent.
+const resolveRange = (req, res, size) => {
+  res.setHeader('Accept-Ranges', 'bytes');
+  const ranges = req.headers.range ? req.range(size, { combine: true }) : undefined;
+  if (ranges === -1) {
+    res.status(416).setHeader('Content-Range', `bytes */${size}`);
+    res.end();
+    return null;
+  }
+  // Malformed or multi-range requests fall back to the whole body.
+  if (!Array.isArray(ranges) || ranges.type !== 'bytes' || ranges.length !== 1) {
+    res.setHeader('Content-Length', size);
+    return { start: 0, end: size - 1 };
+  }
+  const { start, end } = ranges[0];
+  res.status(206);
+  res.setHeader('Content-Range', `bytes ${start}-${end}/${size}`);
+  res.setHeader('Content-Length', end - start + 1);
+  return { start, end };
+};
+
+app.get('/favicon.ico', (req, res) => {
+  res.sendFile(path.join(__dirname, 'icon.ico'));
+});
+
+// Login page
+const renderLoginPage = (error) => `
+    <!DOCTYPE html>
+    <html lang="en">
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1">
+        <title>Log in – Image & Video Uploader & Downloader</title>
+        <link rel="icon" href="/favicon.ico" type="image/x-icon">
+        <style>
+          body { background: #202123; color: #E4E6EB; font-family: Arial, sans-serif; margin: 0; padding: 20px; }
+          .container { max-width: 360px; margin: 60px auto; background: #2D2F31; padding: 20px; border-radius: 8px; box-shadow: 0 2px 8px rgba(0,0,0,0.5); }
+          h1 { color: #ffffff; text-align: center; font-size: 1.4em; }
+          input { display: block; width: 100%; box-sizing: border-box; margin-bottom: 10px; background: #3A3B3C; color: #ffffff; border: none; padding: 10px; border-radius: 4px; font-size: 1em; }
+          button { width: 100%; background: #4A90E2; color: #ffffff; border: none; padding: 10px 20px; border-radius: 4px; cursor: pointer; font-size: 1em; }
+          button:hover { background: #357ABD; }
+          .error { color: #ff6b6b; text-align: center; margin-bottom: 10px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <h1>Log in</h1>
+          ${error ? `<div class="error">${error}</div>` : ''}
+          <form action="/login" method="POST">
+            <input type="text" name="username" placeholder="Username" autocomplete="username" required autofocus>
+            <input type="password" name="password" placeholder="Password" autocomplete="current-password" required>
+            <button type="submit">Log in</button>
+          </form>
+        </div>
+      </body>
+    </html>`;
+
+app.get('/login', async (req, res) => {
+  try {
+    if (await findLoginSession(req)) return res.redirect('/');
+    res.send(renderLoginPage());
+  } catch (err) {
+    res.status(500).json({ message: 'Error rendering login page', error: err.message });
+  }
+});
+
+app.post('/login', async (req, res) => {
+  try {
+    const { username, password } = req.body;
+    // Unknown usernames are counted too, so lockouts don't reveal which accounts exist.
+    const account = `user:${typeof username === 'string' ? username.trim() : ''}`;
+    const wait = authRetryAfter(req, account);
+    if (wait) {
+      res.setHeader('Retry-After', String(wait));
+      return res.status(429).send(renderLoginPage(lockoutMessage(wait)));
+    }
+    const user = typeof username === 'string' ? await User.findOne({ username: username.trim() }) : null;
+    const valid = await verifyPassword(String(password || ''), user ? user.passwordHash : DUMMY_PASSWORD_HASH);
+    if (!user || !valid) {
+      recordAuthFailure(req, account);
+      return res.status(401).send(renderLoginPage('Invalid username or password'));
+    }
+    authFailuresByAccount.reset(account);
+    await startLoginSession(res, user);
+    console.log(`User ${user.username} logged in at ${new Date().toISOString()}`);
+    res.redirect('/');
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Login failed', error: err.message });
+  }
+});
+
+app.post('/logout', async (req, res) => {
+  try {
+    const session = await findLoginSession(req);
+    if (session) await LoginSession.deleteOne({ _id: session._id });
+    res.clearCookie(SESSION_COOKIE, sessionCookieOptions());
+    res.redirect('/login');
+  } catch (err) {
+    res.status(500).json({ message: 'Logout failed', error: err.message });
+  }
+});
+
+//
+// API tokens: managed from a logged-in browser session (GET/POST /tokens) or as
+// JSON (/api/tokens). Tokens themselves can't be used to manage tokens.
+//
+
+// Helper: the scopes `user` may give a token
+const userTokenScopes = (user) => API_TOKEN_SCOPES.filter(scope => scope !== 'admin' || user.admin);
+
+// Create a token for `user`. Returns the document and the raw token, which is only shown once.
+async function createApiToken(user, { name, scopes, expiresInDays }) {
+  name = typeof name === 'string' ? name.trim() : '';
+  scopes = [].concat(scopes || []);
+  const days = Number(expiresInDays);
+  if (!name || name.length > 100) throw httpError(400, 'A token name of at most 100 characters is required');
+  const allowedScopes = userTokenScopes(user);
+  if (scopes.length === 0 || !scopes.every(scope => allowedScopes.includes(scope))) {
+    throw httpError(400, `Scopes must be one or more of: ${allowedScopes.join(', ')}`);
+  }
+  if (expiresInDays && !(days > 0)) throw httpError(400, 'expiresInDays must be a positive number');
+  const token = `ivu_${crypto.randomBytes(32).toString('base64url')}`;
+  const apiToken = await ApiToken.create({
+    name,
+    user: user._id,
+    tokenHash: sha256(token),
+    prefix: token.slice(0, 12),
+    scopes: [...new Set(scopes)],
+    expiresAt: expiresInDays ? new Date(Date.now() + days * 24 * 60 * 60 * 1000) : null
+  });
+  console.log(`User ${user.username} created API token "${name}" (${apiToken.scopes.join(', ')})`);
+  return { apiToken, token };
+}
+
+const revokeApiToken = (user, id) => ApiToken.findOneAndUpdate(
+  { _id: id, user: user._id, revokedAt: null },
+  { $set: { revokedAt: new Date() } },
+  { new: true }
+);
+
+const apiTokenJSON = (apiToken) => ({
+  id: apiToken._id,
+  name: apiToken.name,
+  prefix: apiToken.prefix,
+  scopes: apiToken.scopes,
+  createdAt: apiToken.createdAt,
+  expiresAt: apiToken.expiresAt,
+  revokedAt: apiToken.revokedAt,
+  lastUsedAt: apiToken.lastUsedAt,
+  lastUsedIp: apiToken.lastUsedIp
+});
+
+const formatDate = (date) => date ? new Date(date).toISOString().replace('T', ' ').slice(0, 16) : '–';
+
+const renderTokensPage = (user, apiTokens, { newToken, error, csrfToken } = {}) => {
+  const rows = apiTokens.map(apiToken => {
+    const status = apiToken.revokedAt ? 'Revoked'
+      : apiToken.expiresAt && apiToken.expiresAt < new Date() ? 'Expired' : 'Active';
+    return `
+            <tr>
+              <td>${escapeHtml(apiToken.name)}<div class="prefix">${escapeHtml(apiToken.prefix)}…</div></td>
+              <td>${apiToken.scopes.join(', ')}</td>
+              <td>${formatDate(apiToken.createdAt)}</td>
+              <td>${apiToken.expiresAt ? formatDate(apiToken.expiresAt) : 'Never'}</td>
+              <td>${formatDate(apiToken.lastUsedAt)}${apiToken.lastUsedIp ? `<div class="prefix">${escapeHtml(apiToken.lastUsedIp)}</div>` : ''}</td>
+              <td>${status}</td>
+              <td>${status === 'Active' ? `
+                <form action="/tokens/${apiToken._id}/revoke" method="POST" data-confirm="Revoke this token?">
+                  ${csrfField(csrfToken)}
+                  <button type="submit">Revoke</button>
+                </form>` : ''}
+              </td>
+            </tr>`;
+  });
+  return `
+    <!DOCTYPE html>
+    <html lang="en">
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1">
+        <title>API Tokens – Image & Video Uploader & Downloader</title>
+        <link rel="icon" href="/favicon.ico" type="image/x-icon">
+        <style>
+          body { background: #202123; color: #E4E6EB; font-family: Arial, sans-serif; margin: 0; padding: 20px; }
+          .container { max-width: 1000px; margin: auto; background: #2D2F31; padding: 20px; border-radius: 8px; box-shadow: 0 2px 8px rgba(0,0,0,0.5); }
+          h1, h2 { color: #ffffff; text-align: center; }
+          a { color: #4A90E2; }
+          table { width: 100%; border-collapse: collapse; margin-bottom: 20px; font-size: 0.9em; }
+          th, td { text-align: left; padding: 6px; border-bottom: 1px solid #3A3B3C; vertical-align: top; }
+          .prefix { color: #999; font-family: monospace; font-size: 0.9em; }
+          input[type="text"], select { background: #3A3B3C; color: #ffffff; border: none; padding: 8px; border-radius: 4px; }
+          button { background: #4A90E2; color: #ffffff; border: none; padding: 8px 16px; border-radius: 4px; cursor: pointer; }
+          button:hover { background: #357ABD; }
+          .create-form { text-align: center; }
+          .create-form label { margin: 0 8px; }
+          .new-token { background: #1E3A1E; padding: 10px; border-radius: 4px; margin-bottom: 20px; word-break: break-all; }
+          .new-token code { font-size: 1.1em; }
+          .error { color: #ff6b6b; text-align: center; margin-bottom: 10px; }
+        </style>
+        <script src="/static/forms.js" defer></script>
+      </head>
+      <body>
+        <div class="container">
+          <p><a href="/">Return to Gallery</a></p>
+          <h1>API Tokens</h1>
+          ${error ? `<div class="error">${escapeHtml(error)}</div>` : ''}
+          ${newToken ? `
+          <div class="new-token">
+            Copy your new token now, it won't be shown again:<br>
+            <code>${newToken}</code>
+          </div>` : ''}
+          <table>
+            <tr><th>Name</th><th>Scopes</th><th>Created</th><th>Expires</th><th>Last used</th><th>Status</th><th></th></tr>
+            ${rows.join('') || '<tr><td colspan="7">No tokens yet.</td></tr>'}
+          </table>
+          <h2>New token</h2>
+          <form class="create-form" action="/tokens" method="POST">
+            ${csrfField(csrfToken)}
+            <input type="text" name="name" placeholder="Name, e.g. nightly backup job" maxlength="100" required>
+            ${userTokenScopes(user).map(scope => `<label><input type="checkbox" name="scopes" value="${scope}"${scope === 'upload' ? ' checked' : ''}> ${scope}</label>`).join('')}
+            <select name="expiresInDays">
+              <option value="7">7 days</option>
+              <option value="30">30 days</option>
+              <option value="90" selected>90 days</option>
+              <option value="365">1 year</option>
+              <option value="">Never expires</option>
+            </select>
+            <button type="submit">Create</button>
+          </form>
+        </div>
+      </body>
+    </html>`;
+};
+
+const findUserTokens = (user) => ApiToken.find({ user: user._id }).sort({ createdAt: -1 });
+
+app.get('/tokens', authMiddleware(), async (req, res) => {
+  try {
+    res.send(renderTokensPage(req.user, await findUserTokens(req.user), { csrfToken: csrfToken(req) }));
+  } catch (err) {
+    res.status(500).json({ message: 'Error rendering tokens page', error: err.message });
+  }
+});
+
+app.post('/tokens', authMiddleware(), async (req, res) => {
+  try {
+    const { token } = await createApiToken(req.user, req.body);
+    res.status(201).send(renderTokensPage(req.user, await findUserTokens(req.user), { newToken: token, csrfToken: csrfToken(req) }));
+  } catch (err) {
+    if (!err.status) return res.status(500).json({ message: 'Could not create token', error: err.message });
+    res.status(err.status).send(renderTokensPage(req.user, await findUserTokens(req.user), { error: err.message, csrfToken: csrfToken(req) }));
+  }
+});
+
+app.post('/tokens/:id([0-9a-fA-F]{24})/revoke', authMiddleware(), async (req, res) => {
+  try {
+    await revokeApiToken(req.user, req.params.id);
+    res.redirect('/tokens');
+  } catch (err) {
+    res.status(500).json({ message: 'Could not revoke token', error: err.message });
+  }
+});
+
+app.get('/api/tokens', authMiddleware(), async (req, res) => {
+  try {
+    res.json((await findUserTokens(req.user)).map(apiTokenJSON));
+  } catch (err) {
+    res.status(500).json({ message: 'Could not list tokens', error: err.message });
+  }
+});
+
+app.post('/api/tokens', authMiddleware(), async (req, res) => {
+  try {
+    const { apiToken, token } = await createApiToken(req.user, req.body);
+    res.status(201).json({ ...apiTokenJSON(apiToken), token });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: 'Could not create token', error: err.message });
+  }
+});
+
+app.delete('/api/tokens/:id([0-9a-fA-F]{24})', authMiddleware(), async (req, res) => {
+  try {
+    const apiToken = await revokeApiToken(req.user, req.params.id);
+    if (!apiToken) return res.status(404).json({ message: 'Token not found or already revoked' });
+    console.log(`User ${req.user.username} revoked API token "${apiToken.name}"`);
+    res.json(apiTokenJSON(apiToken));
+  } catch (err) {
+    res.status(500).json({ message: 'Could not revoke token', error: err.message });
+  }
+});
+
+// Helper: Content-Disposition value with an ASCII fallback name and the real UTF-8 name
+const contentDisposition = (type, filename) => {
+  const fallback = filename.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+};
+
+//
+// Media types: the real type of an upload is sniffed from its first bytes and stored
+// as File.mimeType, which drives Content-Type, the gallery and type filters.
+// ALLOWED_MIME_TYPES is a comma-separated allowlist; "image/*" style wildcards work.
+//
+
+const ALLOWED_MIME_TYPES = (process.env.ALLOWED_MIME_TYPES || 'image/*,video/*').split(',').map(type => type.trim()).filter(Boolean);
+const SNIFF_BYTES = 512;
+
+// Helper: MIME type from a file's leading bytes, or null when unrecognised
+const sniffMimeType = (head) => {
+  const ascii = (start, end) => head.toString('latin1', start, end);
+  if (ascii(0, 3) === '\xff\xd8\xff') return 'image/jpeg';
+  if (ascii(0, 8) === '\x89PNG\r\n\x1a\n') return 'image/png';
+  if (ascii(0, 6) === 'GIF87a' || ascii(0, 6) === 'GIF89a') return 'image/gif';
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return 'image/webp';
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'AVI ') return 'video/x-msvideo';
+  if (ascii(0, 2) === 'BM' && ascii(6, 10) === '\0\0\0\0') return 'image/bmp';
+  if (ascii(0, 4) === 'II*\0' || ascii(0, 4) === 'MM\0*') return 'image/tiff';
+  if (ascii(4, 8) === 'ftyp') {
+    // ISO base media files (MP4, MOV, HEIF, AVIF, ...) name their flavour in the major brand.
+    const brand = ascii(8, 12);
+    if (['avif', 'avis'].includes(brand)) return 'image/avif';
+    if (['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis'].includes(brand)) return 'image/heic';
+    if (['mif1', 'msf1'].includes(brand)) return 'image/heif';
+    if (brand === 'qt  ') return 'video/quicktime';
+    if (brand.startsWith('M4V')) return 'video/x-m4v';
+    if (brand.startsWith('M4A')) return 'audio/mp4';
+    if (brand.startsWith('3g')) return 'video/3gpp';
+    return 'video/mp4';
+  }
+  if (ascii(0, 4) === '\x1a\x45\xdf\xa3') return head.includes('webm') ? 'video/webm' : 'video/x-matroska';
+  if (ascii(0, 4) === 'OggS') return 'video/ogg';
+  if (ascii(0, 3) === 'FLV') return 'video/x-flv';
+  return null;
+};
+
+const isAllowedMimeType = (mimeType) => Boolean(mimeType) && ALLOWED_MIME_TYPES.some(allowed =>
+  allowed === mimeType || (allowed.endsWith('/*') && mimeType.startsWith(allowed.slice(0, -1))));
+
+// Helper: 415 error unless the sniffed type of `head` is allowed; returns the type
+const checkUploadType = (head, originalname) => {
+  const mimeType = sniffMimeType(head);
+  if (!isAllowedMimeType(mimeType)) {
+    throw httpError(415, `${originalname} is not an allowed file type (${mimeType || 'unrecognised content'})`);
+  }
+  return mimeType;
+};
+
+// Helper: 'video' or 'image' for the gallery; files not yet backfilled are judged by name
+const mediaKind = (fileDoc) => {
+  if (!fileDoc.mimeType) return VIDEO_NAME_PATTERN.test(fileDoc.originalname) ? 'video' : 'image';
+  return fileDoc.mimeType.startsWith('video/') ? 'video' : 'image';
+};
+
+// Helper: sniffed type, plaintext size and sha256 of a stored file, read back in full
+// (for documents from before these were recorded)
+async function readMediaInfo(fileDoc) {
+  const hash = crypto.createHash('sha256');
+  let head = Buffer.alloc(0);
+  let size = 0;
+  const consume = (chunk) => {
+    hash.update(chunk);
+    if (head.length < SNIFF_BYTES) head = Buffer.concat([head, chunk.subarray(0, SNIFF_BYTES - head.length)]);
+    size += chunk.length;
+  };
+  if (!fileDoc.cipher) {
+    consume(await decryptBuffer(await storage.read(fileDoc.filename), fileDoc));
+  } else {
+    const encryptedSize = await storage.size(fileDoc.filename);
+    const length = plaintextSize(fileDoc, encryptedSize);
+    if (length > 0) {
+      await pipeline(...await createDecryptStream(fileDoc, 0, length - 1, encryptedSize), async (source) => {
+        for await (const chunk of source) consume(chunk);
+      });
+    }
+  }
+  return { mimeType: sniffMimeType(head), size, contentHash: hash.digest('hex') };
+}
+
+// Decrypt a stored file to the client, honouring Range requests.
+// Shared by the download endpoint and share links.
+async function sendStoredFile(req, res, fileDoc, { inline = false, strip = null } = {}) {
+  res.setHeader('Content-Type', fileDoc.mimeType || 'application/octet-stream');
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  res.setHeader('Content-Disposition', contentDisposition(inline ? 'inline' : 'attachment', fileDoc.originalname));
+
+  if (strip) checkStrippable(fileDoc);
+  // A video is copied without its metadata into a temporary file, which is sent from there.
+  if (strip && fileDoc.mimeType.startsWith('video/')) {
+    return withStrippedVideo(fileDoc, async (strippedPath) => {
+      const { size } = await fs.stat(strippedPath);
+      const range = resolveRange(req, res, size);
+      if (!range) return;
+      if (req.method === 'HEAD' || size === 0) return res.end();
+      await pipeline(createReadStream(strippedPath, range), res);
+    });
+  }
+  // Stripping metadata rewrites the image, so it is sent whole, without Range support.
+  if (strip) {
+    const data = stripMetadata(fileDoc, await decryptBuffer(await storage.read(fileDoc.filename), fileDoc), strip);
+    res.setHeader('Content-Length', data.length);
+    return res.end(req.method === 'HEAD' ? undefined : data);
+  }
+
+  // Legacy CBC files can only be decrypted as a whole.
+  if (!fileDoc.cipher) {
+    const decryptedData = await decryptBuffer(await storage.read(fileDoc.filename), fileDoc);
+    const range = resolveRange(req, res, decryptedData.length);
+    if (range) res.end(decryptedData.subarray(range.start, range.end + 1));
+    return;
+  }
+
+  const encryptedSize = await storage.size(fileDoc.filename);
+  const size = plaintextSize(fileDoc, encryptedSize);
+  const range = resolveRange(req, res, size);
+  if (!range) return;
+  if (req.method === 'HEAD' || size === 0) return res.end();
+  await pipeline(...await createDecryptStream(fileDoc, range.start, range.end, encryptedSize), res);
+}
+
+// Download endpoint – supports inline display for thumbnails and Range
+// requests so the browser can seek in videos. ?strip=gps|all removes metadata (see stripMetadata).
+// ?width=, ?height=, ?fit=, ?format= and ?quality= send an image rendition instead.
+app.get('/download/:id([0-9a-fA-F]{24})', authMiddleware('read'), rateLimit(downloadRequests, 'downloads'), auditAction('download'), async (req, res) => {
+  res.locals.audit.skip = !isNewDownload(req);
+  res.locals.audit.files = [req.params.id];
+  try {
+    const strip = parseStripMode(req.query.strip);
+    const rendition = parseRenditionQuery(req.query);
+    const fileDoc = await File.findOne({ _id: req.params.id, owner: req.user._id });
+    if (!fileDoc) return res.status(404).json({ message: 'File not found' });
+    res.locals.audit.files = [fileDoc];
+    if (rendition) {
+      const full = renditionFor(fileDoc, rendition);
+      res.locals.audit.details = `rendition ${describeRendition(full)}`;
+      return await sendRendition(req, res, fileDoc, full, { inline: req.query.inline === 'true' });
+    }
+    await sendStoredFile(req, res, fileDoc, { inline: req.query.inline === 'true', strip });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    // Once streaming has started (or the client went away) all we can do is drop the connection.
+    if (res.headersSent) return res.destroy();
+    console.error(err);
+    res.status(500).json({ message: 'Download failed', error: err.message });
+  }
+});
+
+//
+// Thumbnails: after upload each file gets a small JPEG (for videos, a poster frame)
+// made with ffmpeg, encrypted and stored next to the original as
+// "thumb-<filename>.jpg" and referenced from File.thumbnail. Files without one
+// (ffmpeg missing, unsupported format, uploaded earlier) fall back to the original
+// in the gallery; `node index.js backfill-thumbnails` fills them in.
+//
+
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const THUMBNAIL_SIZE = Number(process.env.THUMBNAIL_SIZE) || 480;
+const execFileAsync = util.promisify(execFile);
+// ffmpeg and ffprobe need to seek in their input (MP4s may keep their index at the end),
+// so files are decrypted for them into this directory, which only the app's user can
+// read. The server empties it when it starts, in case it was stopped mid-job.
+const MEDIA_TEMP_DIR = path.resolve(__dirname, process.env.MEDIA_TEMP_DIR || 'media-tmp');
+
+// Helper: decrypt a stored file to a local path (ffmpeg needs to seek in videos).
+async function decryptToFile(fileDoc, targetPath) {
+  if (!fileDoc.cipher) {
+    const decryptedData = await decryptBuffer(await storage.read(fileDoc.filename), fileDoc);
+    return fs.writeFile(targetPath, decryptedData, { mode: 0o600 });
+  }
+  const encryptedSize = await storage.size(fileDoc.filename);
+  const size = plaintextSize(fileDoc, encryptedSize);
+  if (size === 0) throw new Error('File is empty');
+  await pipeline(...await createDecryptStream(fileDoc, 0, size - 1, encryptedSize), createWriteStream(targetPath, { mode: 0o600 }));
+}
+
+// ffmpeg filters that turn a picture upright for each EXIF orientation.
+const ORIENTATION_FILTERS = {
+  2: 'hflip',
+  3: 'hflip,vflip',
+  4: 'vflip',
+  5: 'transpose=0',
+  6: 'transpose=1',
+  7: 'transpose=3',
+  8: 'transpose=2'
+};
+
+// Helper: one JPEG frame of `inputPath`, scaled to fit THUMBNAIL_SIZE, or an empty buffer.
+// ffmpeg ignores EXIF orientation in images, so `orientation` is applied here.
+async function renderThumbnail(inputPath, { seek, orientation } = {}) {
+  const scale = `scale=${THUMBNAIL_SIZE}:${THUMBNAIL_SIZE}:force_original_aspect_ratio=decrease`;
+  const args = [
+    '-v', 'error',
+    ...(seek ? ['-ss', String(seek)] : []),
+    ...(ORIENTATION_FILTERS[orientation] ? ['-noautorotate'] : []),
+    '-i', inputPath,
+    '-frames:v', '1',
+    '-vf', ORIENTATION_FILTERS[orientation] ? `${ORIENTATION_FILTERS[orientation]},${scale}` : scale,
+    '-f', 'image2', '-c:v', 'mjpeg', '-q:v', '5',
+    'pipe:1'
+  ];
+  const { stdout } = await execFileAsync(FFMPEG_PATH, args, { encoding: 'buffer', maxBuffer: 16 * 1024 * 1024, timeout: 60 * 1000 });
+  return stdout;
+}
+
+// Helper: decrypt a file to a temporary path, run `work(path)` and remove the copy again.
+async function withDecryptedFile(fileDoc, work) {
+  await fs.mkdir(MEDIA_TEMP_DIR, { recursive: true, mode: 0o700 });
+  const tempDir = await fs.mkdtemp(path.join(MEDIA_TEMP_DIR, 'media-'));
+  try {
+    const inputPath = path.join(tempDir, `input${path.extname(fileDoc.originalname)}`);
+    await decryptToFile(fileDoc, inputPath);
+    return await work(inputPath);
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+// Helper: the thumbnail image for the decrypted file at `inputPath`
+async function makeThumbnail(fileDoc, inputPath) {
+  const orientation = fileDoc.metadata?.orientation;
+  let image = await renderThumbnail(inputPath, { seek: mediaKind(fileDoc) === 'video' ? 1 : 0, orientation });
+  // Videos shorter than a second have no frame at 1s.
+  if (image.length === 0) image = await renderThumbnail(inputPath, { orientation });
+  if (image.length === 0) throw new Error('ffmpeg produced no image');
+  return image;
+}
+
+// Make and store the thumbnail for one file, from `inputPath` if it is already decrypted.
+// Failures are recorded on the document (so the backfill doesn't retry them forever)
+// unless ffmpeg itself is missing.
+async function createThumbnail(fileDoc, inputPath = null) {
+  try {
+    const image = inputPath
+      ? await makeThumbnail(fileDoc, inputPath)
+      : await withDecryptedFile(fileDoc, decryptedPath => makeThumbnail(fileDoc, decryptedPath));
+
+    const filename = `thumb-${fileDoc.filename}.jpg`;
+    const writer = await createEncryptedWriter(filename);
+    await writer.write(image);
+    await writer.end();
+    const thumbnail = { filename, iv: writer.iv, cipher: writer.cipher, wrappedKey: writer.wrappedKey, keyVersion: writer.keyVersion };
+    // Linked duplicates share the thumbnail along with the blob.
+    const { matchedCount } = await File.updateMany({ filename: fileDoc.filename }, { $set: { thumbnail }, $unset: { thumbnailError: 1 } });
+    // The file was deleted while we worked.
+    if (matchedCount === 0) await storage.remove(filename);
+    fileDoc.thumbnail = thumbnail;
+    return true;
+  } catch (err) {
+    if (err.code === 'ENOENT' && err.path === FFMPEG_PATH) throw new Error(`ffmpeg not found at "${FFMPEG_PATH}" (set FFMPEG_PATH)`);
+    fileDoc.thumbnailError = String(err.stderr || err.message).trim().split('\n').pop();
+    await File.updateMany({ filename: fileDoc.filename }, { $set: { thumbnailError: fileDoc.thumbnailError } });
+    return false;
+  }
+}
+
+// Uploads queue their files here. In the background, one file at a time is decrypted
+// once to read its metadata and make its thumbnail; then videos browsers can't play are
+// queued for transcoding (which needs the codecs from the metadata).
+const mediaQueue = [];
+let mediaWorker = null;
+
+const queueMediaProcessing = (fileDocs) => {
+  mediaQueue.push(...fileDocs.map(fileDoc => fileDoc._id));
+  if (!mediaWorker) {
+    mediaWorker = processMediaQueue().finally(() => { mediaWorker = null; });
+  }
+};
+
+async function processMediaQueue() {
+  // Without ffmpeg every thumbnail would fail the same way; metadata still works for images.
+  let ffmpegMissing = false;
+  while (mediaQueue.length > 0) {
+    const id = mediaQueue.shift();
+    try {
+      const fileDoc = await File.findById(id);
+      if (!fileDoc) continue;
+      if (!fileDoc.metadata || (!fileDoc.thumbnail && !ffmpegMissing)) {
+        await withDecryptedFile(fileDoc, async (inputPath) => {
+          if (!fileDoc.metadata && !await extractMetadata(fileDoc, inputPath)) {
+            console.warn(`No metadata for ${fileDoc.originalname}: ${fileDoc.metadataError || 'ffprobe not found'}`);
+          }
+          if (!fileDoc.thumbnail && !ffmpegMissing) {
+            try {
+              if (!await createThumbnail(fileDoc, inputPath)) console.warn(`No thumbnail for ${fileDoc.originalname}`);
+            } catch (err) {
+              if (!/ffmpeg not found/.test(err.message)) throw err;
+              ffmpegMissing = true;
+              console.error(`Thumbnail generation failed: ${err.message}`);
+            }
+          }
+        });
+      }
+      await queueTranscode(fileDoc);
+    } catch (err) {
+      console.error(`Processing upload ${id} failed: ${err.message}`);
+    }
+  }
+}
+
+//
+// Image renditions: /download/:id (and a share link's file URL) with any of ?width=,
+// ?height=, ?fit=, ?format= or ?quality= returns a copy of an image made with ffmpeg
+// instead of the original. `fit` is contain (the default: fit inside the box, never
+// enlarged), cover (fill the box and crop the middle) or fill (stretch to the box);
+// `format` is jpeg, png, webp or avif (default: the original's, else jpeg). Renditions
+// are kept encrypted in RENDITION_CACHE_DIR, named after the blob and the parameters,
+// and the least recently used are removed once the cache outgrows RENDITION_CACHE_SIZE.
+// They carry no EXIF metadata; the picture is turned upright first.
+//
+
+const RENDITION_CACHE_DIR = path.resolve(__dirname, process.env.RENDITION_CACHE_DIR || 'rendition-cache');
+// 0 turns the cache off: every rendition is made afresh.
+const RENDITION_CACHE_SIZE = parseSize(process.env.RENDITION_CACHE_SIZE, 1024 ** 3);
+const MAX_RENDITION_DIMENSION = 4096;
+const DEFAULT_RENDITION_QUALITY = 80;
+const RENDITION_FITS = ['contain', 'cover', 'fill'];
+// How many renditions ffmpeg makes at once; further requests wait their turn.
+const RENDITION_CONCURRENCY = 2;
+
+// ffmpeg output settings per format; `quality` is 1-100.
+const RENDITION_FORMATS = {
+  jpeg: { mimeType: 'image/jpeg', extension: 'jpg', args: (quality) => ['-c:v', 'mjpeg', '-q:v', String(Math.round(2 + (100 - quality) * 29 / 99)), '-f', 'image2'] },
+  png: { mimeType: 'image/png', extension: 'png', args: () => ['-c:v', 'png', '-f', 'image2'] },
+  webp: { mimeType: 'image/webp', extension: 'webp', args: (quality) => ['-c:v', 'libwebp', '-quality', String(quality), '-f', 'webp'] },
+  avif: { mimeType: 'image/avif', extension: 'avif', args: (quality) => ['-c:v', 'libaom-av1', '-still-picture', '1', '-cpu-used', '6', '-crf', String(Math.round((100 - quality) * 0.63)), '-f', 'avif'] }
+};
+
+// Renditions being made, by cache name, so simultaneous requests share the work.
+const renditionsInProgress = new Map();
+let renditionsRunning = 0;
+const renditionWaiters = [];
+
+// Cache entries ({ size, usedAt } by file name), read from disk on first use.
+let renditionCacheIndex = null;
+
+// Helper: the rendition asked for in `query` ({ width, height, fit, format, quality },
+// unset parts null), or null for the original. Throws a 400 for invalid values.
+function parseRenditionQuery(query) {
+  if (!['width', 'height', 'fit', 'format', 'quality'].some(name => query[name] !== undefined)) return null;
+  const dimension = (name) => {
+    if (query[name] === undefined || query[name] === '') return null;
+    const value = Number(query[name]);
+    if (!Number.isInteger(value) || value < 1 || value > MAX_RENDITION_DIMENSION) {
+      throw httpError(400, `${name} must be a whole number from 1 to ${MAX_RENDITION_DIMENSION}`);
+    }
+    return value;
+  };
+  const width = dimension('width');
+  const height = dimension('height');
+  const fit = query.fit || 'contain';
+  if (!RENDITION_FITS.includes(fit)) throw httpError(400, `fit must be one of ${RENDITION_FITS.join(', ')}`);
+  if (fit !== 'contain' && !(width && height)) throw httpError(400, `fit=${fit} needs both width and height`);
+  const format = query.format ? String(query.format).toLowerCase().replace(/^jpg$/, 'jpeg') : null;
+  if (format && !RENDITION_FORMATS[format]) throw httpError(400, `format must be one of ${Object.keys(RENDITION_FORMATS).join(', ')}`);
+  const quality = query.quality === undefined || query.quality === '' ? null : Number(query.quality);
+  if (quality !== null && (!Number.isInteger(quality) || quality < 1 || quality > 100)) {
+    throw httpError(400, 'quality must be a whole number from 1 to 100');
+  }
+  return { width, height, fit, format, quality };
+}
+
+// Helper: the rendition with its defaults filled in for `fileDoc`
+const renditionFor = (fileDoc, rendition) => {
+  const format = rendition.format || Object.keys(RENDITION_FORMATS).find(name => RENDITION_FORMATS[name].mimeType === fileDoc.mimeType) || 'jpeg';
+  // PNG is lossless, so quality doesn't apply (nor split the cache).
+  const quality = format === 'png' ? null : rendition.quality || DEFAULT_RENDITION_QUALITY;
+  return { ...rendition, format, quality };
+};
+
+// Helper: "800×600 cover webp q80", for the audit log
+const describeRendition = ({ width, height, fit, format, quality }) =>
+  `${width || 'any'}×${height || 'any'} ${fit} ${format}${quality ? ` q${quality}` : ''}`;
+
+// Helper: cache file name of a rendition of a blob; the blob's part lets its renditions
+// be found when the blob goes
+const renditionBlobPrefix = (filename) => sha256(filename).slice(0, 16);
+const renditionCacheName = (filename, { width, height, fit, format, quality }) =>
+  `${renditionBlobPrefix(filename)}-${sha256([filename, width, height, fit, format, quality].join('|')).slice(0, 32)}`;
+
+// The cache index (see above); a failed read is retried by the next caller.
+function renditionCache() {
+  if (!renditionCacheIndex) {
+    renditionCacheIndex = (async () => {
+      await fs.mkdir(RENDITION_CACHE_DIR, { recursive: true });
+      const index = new Map();
+      for (const name of await fs.readdir(RENDITION_CACHE_DIR)) {
+        const stats = await fs.stat(path.join(RENDITION_CACHE_DIR, name)).catch(() => null);
+        if (stats && stats.isFile()) index.set(name, { size: stats.size, usedAt: stats.mtimeMs });
+      }
+      return index;
+    })().catch(err => {
+      renditionCacheIndex = null;
+      throw err;
+    });
+  }
+  return renditionCacheIndex;
+}
+
+// A cached rendition's image, or null. Entries that don't decrypt (say, under a retired
+// key) are dropped and made again.
+async function readCachedRendition(name) {
+  if (!RENDITION_CACHE_SIZE) return null;
+  const index = await renditionCache();
+  const entry = index.get(name);
+  if (!entry) return null;
+  const cachePath = path.join(RENDITION_CACHE_DIR, name);
+  try {
+    // Stored as a 4-byte header length, the JSON header with the key fields, then the ciphertext.
+    const data = await fs.readFile(cachePath);
+    const headerLength = data.readUInt32BE(0);
+    const header = JSON.parse(data.toString('utf8', 4, 4 + headerLength));
+    const image = await decryptBuffer(data.subarray(4 + headerLength), header);
+    entry.usedAt = Date.now();
+    // The modification time keeps the order of use across restarts.
+    fs.utimes(cachePath, new Date(), new Date()).catch(() => {});
+    return image;
+  } catch (err) {
+    console.warn(`Dropping unreadable cached rendition ${name}: ${err.message}`);
+    index.delete(name);
+    await fs.rm(cachePath, { force: true });
+    return null;
+  }
+}
+
+// Encrypt `image` into the cache, then evict the least recently used entries over RENDITION_CACHE_SIZE.
+async function writeCachedRendition(name, image) {
+  if (!RENDITION_CACHE_SIZE) return;
+  const index = await renditionCache();
+  const { encrypted, ...keyFields } = await encryptBuffer(image);
+  const header = Buffer.from(JSON.stringify(keyFields));
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(header.length);
+  const data = Buffer.concat([length, header, encrypted]);
+  // Written under a temporary name and renamed, so readers never see half a file.
+  const cachePath = path.join(RENDITION_CACHE_DIR, name);
+  await fs.writeFile(`${cachePath}.tmp`, data, { mode: 0o600 });
+  await fs.rename(`${cachePath}.tmp`, cachePath);
+  index.set(name, { size: data.length, usedAt: Date.now() });
+  let total = [...index.values()].reduce((sum, entry) => sum + entry.size, 0);
+  for (const [oldName, entry] of [...index].sort((a, b) => a[1].usedAt - b[1].usedAt)) {
+    if (total <= RENDITION_CACHE_SIZE) break;
+    index.delete(oldName);
+    total -= entry.size;
+    await fs.rm(path.join(RENDITION_CACHE_DIR, oldName), { force: true });
+  }
+}
+
+// Remove every cached rendition of the blob `filename` (once the blob itself is gone).
+async function removeRenditions(filename) {
+  if (!RENDITION_CACHE_SIZE) return;
+  const index = await renditionCache();
+  const prefix = `${renditionBlobPrefix(filename)}-`;
+  for (const name of [...index.keys()].filter(name => name.startsWith(prefix))) {
+    index.delete(name);
+    await fs.rm(path.join(RENDITION_CACHE_DIR, name), { force: true });
+  }
+}
+
+// Helper: run `work` once fewer than RENDITION_CONCURRENCY renditions are being made
+async function withRenditionSlot(work) {
+  while (renditionsRunning >= RENDITION_CONCURRENCY) await new Promise(resolve => renditionWaiters.push(resolve));
+  renditionsRunning++;
+  try {
+    return await work();
+  } finally {
+    renditionsRunning--;
+    const next = renditionWaiters.shift();
+    if (next) next();
+  }
+}
+
+// Helper: the rendition of the decrypted image at `inputPath`, upright per `orientation`
+async function renderImage(inputPath, { width, height, fit, format, quality }, orientation) {
+  const filters = ORIENTATION_FILTERS[orientation] ? [ORIENTATION_FILTERS[orientation]] : [];
+  if (fit === 'cover') filters.push(`scale=${width}:${height}:force_original_aspect_ratio=increase`, `crop=${width}:${height}`);
+  else if (fit === 'fill') filters.push(`scale=${width}:${height}`);
+  else if (width || height) {
+    filters.push(`scale=w=${width ? `'min(iw,${width})'` : 'iw'}:h=${height ? `'min(ih,${height})'` : 'ih'}:force_original_aspect_ratio=decrease`);
+  }
+  // Some muxers (AVIF) need to seek in their output, so it goes to a file next to the input.
+  const outputPath = path.join(path.dirname(inputPath), `rendition.${RENDITION_FORMATS[format].extension}`);
+  const args = [
+    '-v', 'error',
+    ...(ORIENTATION_FILTERS[orientation] ? ['-noautorotate'] : []),
+    '-i', inputPath,
+    '-frames:v', '1',
+    ...(filters.length ? ['-vf', filters.join(',')] : []),
+    ...RENDITION_FORMATS[format].args(quality),
+    '-y', outputPath
+  ];
+  try {
+    await execFileAsync(FFMPEG_PATH, args, { timeout: 60 * 1000 });
+  } catch (err) {
+    if (err.code === 'ENOENT' && err.path === FFMPEG_PATH) throw httpError(503, `Image transformations need ffmpeg, which was not found at "${FFMPEG_PATH}" (set FFMPEG_PATH)`);
+    const reason = String(err.stderr || err.message).trim().split('\n').pop();
+    if (/Unknown encoder|Encoder not found|Requested output format .* is not known/i.test(reason)) {
+      throw httpError(501, `This server's ffmpeg cannot write ${format} images`);
+    }
+    throw httpError(422, `Could not transform this image: ${reason}`);
+  }
+  const image = await fs.readFile(outputPath);
+  if (image.length === 0) throw httpError(422, 'Could not transform this image: ffmpeg produced no image');
+  return image;
+}
+
+// The image of a rendition of `fileDoc`, from the cache or made now (and cached).
+async function getRendition(fileDoc, rendition) {
+  const name = renditionCacheName(fileDoc.filename, rendition);
+  const cached = await readCachedRendition(name);
+  if (cached) return cached;
+  if (!renditionsInProgress.has(name)) {
+    const making = withRenditionSlot(async () => {
+      const image = await withDecryptedFile(fileDoc, inputPath => renderImage(inputPath, rendition, fileDoc.metadata?.orientation));
+      await writeCachedRendition(name, image).catch(err => console.error(`Could not cache a rendition of ${fileDoc.originalname}:`, err.message));
+      return image;
+    }).finally(() => renditionsInProgress.delete(name));
+    renditionsInProgress.set(name, making);
+  }
+  return renditionsInProgress.get(name);
+}
+
+// Send a rendition of an image (see above) instead of the file itself.
+// Shared by the download endpoint and share links.
+async function sendRendition(req, res, fileDoc, rendition, { inline = false } = {}) {
+  if (mediaKind(fileDoc) !== 'image') throw httpError(400, 'Only images can be resized or converted');
+  const { mimeType, extension } = RENDITION_FORMATS[rendition.format];
+  const image = await getRendition(fileDoc, rendition);
+  const name = `${path.basename(fileDoc.originalname, path.extname(fileDoc.originalname))}.${extension}`;
+  res.setHeader('Content-Type', mimeType);
+  res.setHeader('Content-Disposition', contentDisposition(inline ? 'inline' : 'attachment', name));
+  res.setHeader('Content-Length', image.length);
+  // The same URL always gives the same picture, so the browser may keep it for a while.
+  res.setHeader('Cache-Control', 'private, max-age=86400');
+  res.end(req.method === 'HEAD' ? undefined : image);
+}
+
+//
+// Video transcoding: browsers play MP4 and WebM with common codecs, but not QuickTime,
+// AVI, Matroska or Flash video. After upload such videos get a TranscodeJob, and the
+// server works through the queued jobs, TRANSCODE_CONCURRENCY at a time: each video is
+// converted to an H.264 / AAC MP4, encrypted and stored next to the original as
+// "play-<filename>.mp4", referenced from File.playable. The gallery plays that version
+// and shows the video as processing until it exists; downloads still get the original.
+// A failed job is retried after a growing delay, up to TRANSCODE_MAX_ATTEMPTS times;
+// then its error is kept on the file and the gallery tries the original after all.
+// `node index.js transcode-videos` queues videos uploaded earlier, and
+// GET /api/admin/transcodes shows the queue.
+//
+
+const TRANSCODE_CONCURRENCY = parseInt(process.env.TRANSCODE_CONCURRENCY, 10) || 1;
+const TRANSCODE_MAX_ATTEMPTS = parseInt(process.env.TRANSCODE_MAX_ATTEMPTS, 10) || 3;
+const TRANSCODE_TIMEOUT_MINUTES = Number(process.env.TRANSCODE_TIMEOUT_MINUTES) || 120;
+// What browsers play as it is; until its metadata is read, only a video's type is known.
+const WEB_VIDEO_TYPES = ['video/mp4', 'video/x-m4v', 'video/webm'];
+const WEB_VIDEO_CODECS = ['h264', 'vp8', 'vp9', 'av1'];
+const WEB_AUDIO_CODECS = ['aac', 'mp3', 'opus', 'vorbis'];
+
+// Only the server runs jobs; maintenance commands just queue them.
+let transcodingEnabled = false;
+let transcodeWorkers = 0;
+
+// Helper: whether browsers can't play a video as uploaded
+const needsTranscode = (fileDoc) => {
+  if (!fileDoc.mimeType?.startsWith('video/')) return false;
+  if (!WEB_VIDEO_TYPES.includes(fileDoc.mimeType)) return true;
+  const { videoCodec, audioCodec } = fileDoc.metadata || {};
+  return Boolean((videoCodec && !WEB_VIDEO_CODECS.includes(videoCodec)) || (audioCodec && !WEB_AUDIO_CODECS.includes(audioCodec)));
+};
+
+// Helper: whether the gallery should show a video as processing
+const isTranscoding = (fileDoc) => !fileDoc.playable && !fileDoc.playableError && needsTranscode(fileDoc);
+
+// Queue a video for transcoding unless it has a playable version, or a job that is
+// waiting, running or (without `retry`) failed. Returns whether it was queued.
+async function queueTranscode(fileDoc, { retry = false } = {}) {
+  if (!needsTranscode(fileDoc) || fileDoc.playable || (fileDoc.playableError && !retry)) return false;
+  const job = await TranscodeJob.findOne({ filename: fileDoc.filename }, 'status');
+  if (job && (['queued', 'running'].includes(job.status) || (job.status === 'failed' && !retry))) return false;
+  await TranscodeJob.updateOne(
+    { filename: fileDoc.filename },
+    {
+      $set: { file: fileDoc._id, originalname: fileDoc.originalname, status: 'queued', attempts: 0, runAt: new Date(), createdAt: new Date() },
+      $unset: { error: 1, startedAt: 1, finishedAt: 1 }
+    },
+    { upsert: true }
+  );
+  if (fileDoc.playableError) await File.updateMany({ filename: fileDoc.filename }, { $unset: { playableError: 1 } });
+  startTranscodeWorkers();
+  return true;
+}
+
+// Helper: convert the decrypted video at `inputPath` to an MP4 every browser plays,
+// encrypt it into storage and return the fields for File.playable
+async function storeTranscode(fileDoc, inputPath) {
+  const outputPath = path.join(path.dirname(inputPath), 'playable.mp4');
+  const args = [
+    '-v', 'error', '-y',
+    '-i', inputPath,
+    '-map', '0:v:0', '-map', '0:a:0?',
+    // H.264 wants even dimensions, and yuv420p is the pixel format all browsers decode.
+    '-vf', 'scale=trunc(iw/2)*2:trunc(ih/2)*2',
+    '-c:v', 'libx264', '-preset', 'veryfast', '-crf', '23', '-pix_fmt', 'yuv420p',
+    '-c:a', 'aac', '-b:a', '160k',
+    // Like the original's stripped downloads, the copy carries no tags (such as where it
+    // was filmed) or chapters.
+    '-map_metadata', '-1', '-map_chapters', '-1',
+    // The index goes first, so playback can start before the whole file has loaded.
+    '-movflags', '+faststart',
+    '-f', 'mp4', outputPath
+  ];
+  try {
+    await execFileAsync(FFMPEG_PATH, args, { maxBuffer: 4 * 1024 * 1024, timeout: TRANSCODE_TIMEOUT_MINUTES * 60 * 1000 });
+  } catch (err) {
+    if (err.code === 'ENOENT' && err.path === FFMPEG_PATH) throw new Error(`ffmpeg not found at "${FFMPEG_PATH}" (set FFMPEG_PATH)`);
+    if (err.killed) throw new Error(`ffmpeg took longer than ${TRANSCODE_TIMEOUT_MINUTES} minute(s)`);
+    throw new Error(String(err.stderr || err.message).trim().split('\n').pop());
+  }
+
+  const filename = `play-${fileDoc.filename}.mp4`;
+  const writer = await createEncryptedWriter(filename);
+  try {
+    await pipeline(createReadStream(outputPath), async (source) => {
+      for await (const chunk of source) await writer.write(chunk);
+    });
+    await writer.end();
+  } catch (err) {
+    await writer.abort();
+    throw err;
+  }
+  return { filename, iv: writer.iv, cipher: writer.cipher, wrappedKey: writer.wrappedKey, keyVersion: writer.keyVersion, size: writer.size };
+}
+
+// Run one claimed job and record how it went on the job and on the files using the blob.
+async function runTranscodeJob(job) {
+  const fileDoc = await File.findOne({ filename: job.filename });
+  // The file was deleted while the job waited.
+  if (!fileDoc) return TranscodeJob.deleteOne({ _id: job._id });
+  try {
+    if (!fileDoc.playable) {
+      const playable = await withDecryptedFile(fileDoc, inputPath => storeTranscode(fileDoc, inputPath));
+      // Linked duplicates share the playable version along with the blob.
+      const { matchedCount } = await File.updateMany({ filename: job.filename }, { $set: { playable }, $unset: { playableError: 1 } });
+      // The file was deleted while we worked.
+      if (matchedCount === 0) await storage.remove(playable.filename);
+    }
+    await TranscodeJob.updateOne({ _id: job._id }, { $set: { status: 'done', finishedAt: new Date() }, $unset: { error: 1 } });
+  } catch (err) {
+    const failed = job.attempts >= TRANSCODE_MAX_ATTEMPTS;
+    // Retries wait 5, 10, 20, ... minutes, at most an hour.
+    const delay = Math.min(60, 5 * 2 ** (job.attempts - 1)) * 60 * 1000;
+    await TranscodeJob.updateOne({ _id: job._id }, {
+      $set: failed
+        ? { status: 'failed', error: err.message, finishedAt: new Date() }
+        : { status: 'queued', error: err.message, runAt: new Date(Date.now() + delay) }
+    });
+    if (failed) await File.updateMany({ filename: job.filename }, { $set: { playableError: err.message } });
+    console.warn(`Transcoding ${fileDoc.originalname} failed (attempt ${job.attempts} of ${TRANSCODE_MAX_ATTEMPTS}${failed ? '' : ', will retry'}): ${err.message}`);
+  }
+}
+
+// Worker: claim due jobs one at a time until there are none left. Claiming is a single
+// atomic update, so workers never run the same job.
+async function runTranscodeWorker() {
+  for (;;) {
+    const job = await TranscodeJob.findOneAndUpdate(
+      { status: 'queued', runAt: { $lte: new Date() } },
+      { $set: { status: 'running', startedAt: new Date() }, $inc: { attempts: 1 } },
+      { sort: { runAt: 1 }, new: true }
+    );
+    if (!job) return;
+    await runTranscodeJob(job);
+  }
+}
+
+// Start workers up to TRANSCODE_CONCURRENCY (only in the server).
+function startTranscodeWorkers() {
+  if (!transcodingEnabled) return;
+  while (transcodeWorkers < TRANSCODE_CONCURRENCY) {
+    transcodeWorkers++;
+    runTranscodeWorker()
+      .catch(err => console.error('Transcode worker failed:', err))
+      .finally(() => { transcodeWorkers--; });
+  }
+}
+
+// Run jobs in this process from now on. Jobs the last run left running (the server
+// stopped mid-job) are queued again, and retries that come due are picked up every minute.
+async function startTranscoding() {
+  transcodingEnabled = true;
+  await TranscodeJob.updateMany({ status: 'running' }, { $set: { status: 'queued', runAt: new Date() } });
+  startTranscodeWorkers();
+  setInterval(startTranscodeWorkers, 60 * 1000).unref();
+}
+
+// Helper: a video's playable version in the shape sendStoredFile expects
+const playableFile = (fileDoc) => ({
+  filename: fileDoc.playable.filename,
+  iv: fileDoc.playable.iv,
+  cipher: fileDoc.playable.cipher,
+  wrappedKey: fileDoc.playable.wrappedKey,
+  keyVersion: fileDoc.playable.keyVersion,
+  mimeType: 'video/mp4',
+  originalname: `${path.basename(fileDoc.originalname, path.extname(fileDoc.originalname))}.mp4`
+});
+
+// Stream a video's playable version to the gallery's player; 404 until it is made.
+async function sendPlayable(req, res, fileDoc) {
+  if (!fileDoc.playable) return res.status(404).json({ message: 'This video has no playable version (yet)' });
+  await sendStoredFile(req, res, playableFile(fileDoc), { inline: true });
+}
+
+// Like thumbnails, playing a video in the gallery isn't a download and isn't audited.
+app.get('/play/:id([0-9a-fA-F]{24})', authMiddleware('read'), rateLimit(downloadRequests, 'downloads'), async (req, res) => {
+  try {
+    const fileDoc = await File.findOne({ _id: req.params.id, owner: req.user._id }, 'originalname playable');
+    if (!fileDoc) return res.status(404).json({ message: 'File not found' });
+    await sendPlayable(req, res, fileDoc);
+  } catch (err) {
+    if (res.headersSent) return res.destroy();
+    console.error(err);
+    res.status(500).json({ message: 'Could not play video', error: err.message });
+  }
+});
+
+// Helper: a job for the admin API
+const transcodeJobJSON = (job) => ({
+  id: job._id,
+  file: job.file,
+  originalname: job.originalname,
+  status: job.status,
+  attempts: job.attempts,
+  error: job.error || null,
+  runAt: job.runAt,
+  startedAt: job.startedAt || null,
+  finishedAt: job.finishedAt || null,
+  createdAt: job.createdAt
+});
+
+// GET /api/admin/transcodes?status=&limit=: how many jobs there are of each status, and
+// the latest ones (of one status), newest first
+app.get('/api/admin/transcodes', authMiddleware('admin'), requireAdmin, async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status !== undefined && !TRANSCODE_STATUSES.includes(status)) {
+      return res.status(400).json({ message: `status must be one of ${TRANSCODE_STATUSES.join(', ')}` });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+    const [jobs, totals] = await Promise.all([
+      TranscodeJob.find(status ? { status } : {}).sort({ createdAt: -1 }).limit(limit),
+      TranscodeJob.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }])
+    ]);
+    const counts = Object.fromEntries(TRANSCODE_STATUSES.map(name => [name, totals.find(total => total._id === name)?.count || 0]));
+    res.json({ counts, workers: transcodeWorkers, jobs: jobs.map(transcodeJobJSON) });
+  } catch (err) {
+    res.status(500).json({ message: 'Could not list transcode jobs', error: err.message });
+  }
+});
+
+//
+// Photo and video metadata: EXIF (capture date, camera, orientation, GPS) is read from
+// JPEG, TIFF, PNG and WebP images in plain JavaScript; ffprobe reports duration,
+// resolution, codecs, recording date and location for videos (and the size of images
+// whose format we don't parse). The timeline sorts by File.takenAt. Downloads and share
+// links can strip location or all metadata from copies of JPEG, PNG, WebP and GIF images
+// (in plain JavaScript) and of videos (remuxed by ffmpeg); other types are refused then.
+//
+
+const FFPROBE_PATH = process.env.FFPROBE_PATH || 'ffprobe';
+const METADATA_SCAN_BYTES = 512 * 1024; // image metadata sits at the start of the file
+const METADATA_STRIP_MODES = ['gps', 'all'];
+const TIFF_TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 8: 2, 9: 4, 10: 8 };
+const EXIF_HEADER = Buffer.from('Exif\0\0', 'latin1');
+let ffprobeMissingWarned = false;
+
+// Helper: accessors for a TIFF structure (the body of an EXIF block), or null if it isn't one
+function tiffReader(tiff) {
+  const order = tiff.toString('latin1', 0, 2);
+  if (tiff.length < 8 || (order !== 'II' && order !== 'MM')) return null;
+  const le = order === 'II';
+  const u16 = (offset) => le ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset);
+  const u32 = (offset) => le ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset);
+  const i32 = (offset) => le ? tiff.readInt32LE(offset) : tiff.readInt32BE(offset);
+  // The entries of the IFD at `offset`, each with where its value is and how long it is
+  const entries = (offset) => {
+    if (!offset || offset + 2 > tiff.length) return [];
+    const list = [];
+    for (let i = 0, n = u16(offset); i < n; i++) {
+      const entry = offset + 2 + i * 12;
+      if (entry + 12 > tiff.length) break;
+      const type = u16(entry + 2);
+      const count = u32(entry + 4);
+      const size = (TIFF_TYPE_SIZES[type] || 0) * count;
+      const at = size <= 4 ? entry + 8 : u32(entry + 8);
+      if (size > 0 && at + size <= tiff.length) list.push({ tag: u16(entry), type, count, at, size });
+    }
+    return list;
+  };
+  // A value as a string (ASCII), a number, or an array of up to three rationals
+  const value = ({ type, count, at }) => {
+    if (type === 2) return tiff.toString('latin1', at, at + count).replace(/\0[\s\S]*$/, '').trim();
+    if (type === 5 || type === 10) {
+      const numbers = [];
+      for (let i = 0; i < Math.min(count, 3); i++) {
+        const p = at + i * 8;
+        numbers.push(type === 5 ? u32(p) / u32(p + 4) : i32(p) / i32(p + 4));
+      }
+      return count === 1 ? numbers[0] : numbers;
+    }
+    if (type === 3 || type === 8) return u16(at);
+    if (type === 4 || type === 9) return type === 4 ? u32(at) : i32(at);
+    return tiff[at];
+  };
+  const tags = (offset) => new Map(entries(offset).map(entry => [entry.tag, value(entry)]));
+  return { firstIfd: u32(4), u16, u32, entries, tags };
+}
+
+// Helper: an EXIF "YYYY:MM:DD HH:MM:SS" date (UTC unless an offset is recorded), or undefined
+const parseExifDate = (value, offset) => {
+  const match = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/.exec(typeof value === 'string' ? value : '');
+  if (!match) return undefined;
+  const zone = typeof offset === 'string' && /^[+-]\d{2}:\d{2}$/.test(offset) ? offset : 'Z';
+  const date = new Date(`${match[1]}-${match[2]}-${match[3]}T${match[4]}:${match[5]}:${match[6]}${zone}`);
+  return Number.isNaN(date.getTime()) || date.getUTCFullYear() < 1900 ? undefined : date;
+};
+
+// Helper: degrees from EXIF degrees/minutes/seconds and an N/S/E/W reference, or undefined
+const exifCoordinate = (value, ref, limit) => {
+  if (!Array.isArray(value) || value.length !== 3 || !value.every(Number.isFinite)) return undefined;
+  const degrees = (value[0] + value[1] / 60 + value[2] / 3600) * (ref === 'S' || ref === 'W' ? -1 : 1);
+  return Math.abs(degrees) <= limit ? degrees : undefined;
+};
+
+// Helper: the metadata we keep from an EXIF block's TIFF body
+function parseExif(tiff) {
+  const reader = tiffReader(tiff);
+  if (!reader) return {};
+  const ifd0 = reader.tags(reader.firstIfd);
+  const exif = reader.tags(ifd0.get(0x8769));
+  const gps = reader.tags(ifd0.get(0x8825));
+  const text = (value) => typeof value === 'string' && value ? value : undefined;
+  const orientation = ifd0.get(0x0112);
+  const altitude = gps.get(0x0006);
+  return {
+    // Pixel size: a TIFF's own (IFD0), else what the camera recorded for the JPEG
+    width: ifd0.get(0x0100) || exif.get(0xA002),
+    height: ifd0.get(0x0101) || exif.get(0xA003),
+    orientation: Number.isInteger(orientation) && orientation >= 1 && orientation <= 8 ? orientation : undefined,
+    takenAt: parseExifDate(exif.get(0x9003), exif.get(0x9011)) || parseExifDate(exif.get(0x9004), exif.get(0x9012))
+      || parseExifDate(ifd0.get(0x0132), exif.get(0x9010)),
+    cameraMake: text(ifd0.get(0x010F)),
+    cameraModel: text(ifd0.get(0x0110)),
+    latitude: exifCoordinate(gps.get(0x0002), gps.get(0x0001), 90),
+    longitude: exifCoordinate(gps.get(0x0004), gps.get(0x0003), 180),
+    altitude: Number.isFinite(altitude) ? (gps.get(0x0005) === 1 ? -altitude : altitude) : undefined
+  };
+}
+
+// Helper: the marker segments of a JPEG up to its image data, as { marker, start, end }
+// (`start` at the 0xFF, `end` just past the segment). The last one is the start of scan,
+// which runs to the end of the buffer.
+function* jpegSegments(data) {
+  let pos = 2;
+  while (pos + 4 <= data.length && data[pos] === 0xFF) {
+    const marker = data[pos + 1];
+    if (marker === 0xFF) { pos++; continue; } // fill byte
+    if (marker === 0xDA) return yield { marker, start: pos, end: data.length };
+    const end = pos + 2 + data.readUInt16BE(pos + 2);
+    yield { marker, start: pos, end };
+    pos = end;
+  }
+}
+
+// Helper: pixel size and EXIF of an image from its first bytes. Formats we don't
+// parse yield {} (ffprobe fills in the size).
+function readImageMetadata(head) {
+  let size = {};
+  let exif = null;
+  if (head[0] === 0xFF && head[1] === 0xD8) {
+    for (const { marker, start, end } of jpegSegments(head)) {
+      const body = head.subarray(start + 4, Math.min(end, head.length));
+      if (marker === 0xE1 && !exif && body.subarray(0, 6).equals(EXIF_HEADER)) exif = body.subarray(6);
+      // Start of frame (C0-CF except the DHT, JPG and DAC markers)
+      if (marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker) && body.length >= 5) {
+        size = { height: body.readUInt16BE(1), width: body.readUInt16BE(3) };
+        break;
+      }
+    }
+  } else if (head.toString('latin1', 1, 4) === 'PNG' && head.length >= 24) {
+    size = { width: head.readUInt32BE(16), height: head.readUInt32BE(20) };
+    for (let pos = 8; pos + 8 <= head.length;) {
+      const length = head.readUInt32BE(pos);
+      const type = head.toString('latin1', pos + 4, pos + 8);
+      if (type === 'eXIf') exif = head.subarray(pos + 8, pos + 8 + length);
+      if (type === 'IDAT' || type === 'eXIf') break;
+      pos += 12 + length;
+    }
+  } else if (head.toString('latin1', 0, 4) === 'RIFF' && head.toString('latin1', 8, 12) === 'WEBP') {
+    for (let pos = 12; pos + 8 <= head.length;) {
+      const type = head.toString('latin1', pos, pos + 4);
+      const length = head.readUInt32LE(pos + 4);
+      const body = head.subarray(pos + 8, pos + 8 + length);
+      if (type === 'VP8X' && body.length >= 10) size = { width: body.readUIntLE(4, 3) + 1, height: body.readUIntLE(7, 3) + 1 };
+      if (type === 'VP8 ' && body.length >= 10 && !size.width) size = { width: body.readUInt16LE(6) & 0x3FFF, height: body.readUInt16LE(8) & 0x3FFF };
+      if (type === 'VP8L' && body.length >= 5 && !size.width) {
+        const bits = body.readUInt32LE(1);
+        size = { width: (bits & 0x3FFF) + 1, height: ((bits >>> 14) & 0x3FFF) + 1 };
+      }
+      if (type === 'EXIF') exif = body.subarray(0, 6).equals(EXIF_HEADER) ? body.subarray(6) : body;
+      pos += 8 + length + (length % 2);
+    }
+  } else if (head.toString('latin1', 0, 4) === 'GIF8' && head.length >= 10) {
+    size = { width: head.readUInt16LE(6), height: head.readUInt16LE(8) };
+  } else if (head.toString('latin1', 0, 2) === 'BM' && head.length >= 26) {
+    size = { width: head.readInt32LE(18), height: Math.abs(head.readInt32LE(22)) };
+  } else if (tiffReader(head)) {
+    exif = head;
+  }
+  return { ...(exif ? parseExif(exif) : {}), ...size };
+}
+
+// Helper: a video date tag as a Date; encoders that don't know the date write 1970 or 1904
+const parseVideoDate = (value) => {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) && date.getUTCFullYear() > 1970 ? date : undefined;
+};
+
+// Helper: latitude, longitude and altitude from an ISO 6709 location ("+52.3667+004.8945+001.000/")
+const parseIso6709 = (value) => {
+  const match = /^([+-]\d+(?:\.\d+)?)([+-]\d+(?:\.\d+)?)([+-]\d+(?:\.\d+)?)?/.exec(typeof value === 'string' ? value : '');
+  if (!match || Math.abs(match[1]) > 90 || Math.abs(match[2]) > 180) return {};
+  return { latitude: Number(match[1]), longitude: Number(match[2]), altitude: match[3] ? Number(match[3]) : undefined };
+};
+
+// Helper: what ffprobe reports about the media file at `inputPath`
+async function probeMedia(inputPath) {
+  const args = ['-v', 'error', '-print_format', 'json', '-show_format', '-show_streams', inputPath];
+  const { stdout } = await execFileAsync(FFPROBE_PATH, args, { maxBuffer: 4 * 1024 * 1024, timeout: 60 * 1000 });
+  const { format = {}, streams = [] } = JSON.parse(stdout);
+  // Cover art in audio-only files shows up as a video stream.
+  const video = streams.find(stream => stream.codec_type === 'video' && !stream.disposition?.attached_pic);
+  const audio = streams.find(stream => stream.codec_type === 'audio');
+  const tags = { ...video?.tags, ...format.tags };
+  const rotation = Number(video?.side_data_list?.find(data => data.rotation !== undefined)?.rotation ?? video?.tags?.rotate);
+  return {
+    width: video?.width,
+    height: video?.height,
+    rotation: Number.isFinite(rotation) && rotation % 360 !== 0 ? ((rotation % 360) + 360) % 360 : undefined,
+    duration: Number.parseFloat(format.duration) || undefined,
+    videoCodec: video?.codec_name,
+    audioCodec: audio?.codec_name,
+    // Phones record the local capture time here; creation_time is when the file was written.
+    takenAt: parseVideoDate(tags['com.apple.quicktime.creationdate']) || parseVideoDate(tags.creation_time),
+    ...parseIso6709(tags['com.apple.quicktime.location.ISO6709'] || tags.location)
+  };
+}
+
+// Helper: the metadata of the decrypted file at `inputPath`. Throws if ffprobe is missing
+// and the file needs it (all videos; images whose size we couldn't read ourselves).
+async function readMetadata(fileDoc, inputPath) {
+  let metadata = {};
+  if (mediaKind(fileDoc) === 'image') {
+    const handle = await fs.open(inputPath);
+    try {
+      const { buffer, bytesRead } = await handle.read(Buffer.alloc(METADATA_SCAN_BYTES), 0, METADATA_SCAN_BYTES, 0);
+      metadata = readImageMetadata(buffer.subarray(0, bytesRead));
+    } finally {
+      await handle.close();
+    }
+    if (!metadata.width) {
+      const { width, height } = await probeMedia(inputPath);
+      metadata = { ...metadata, width, height };
+    }
+  } else {
+    metadata = await probeMedia(inputPath);
+  }
+  return Object.fromEntries(Object.entries(metadata).filter(([, value]) => value !== undefined && value !== ''));
+}
+
+// Read and store the metadata of one file, from `inputPath` if it is already decrypted.
+// Like thumbnails, failures are recorded on the document; a missing ffprobe isn't (the
+// backfill can retry once it is installed), nor is it fatal for images.
+async function extractMetadata(fileDoc, inputPath = null) {
+  let metadata;
+  try {
+    if (!['image', 'video'].includes(mediaKind(fileDoc))) throw new Error('Not an image or video');
+    metadata = inputPath
+      ? await readMetadata(fileDoc, inputPath)
+      : await withDecryptedFile(fileDoc, decryptedPath => readMetadata(fileDoc, decryptedPath));
+  } catch (err) {
+    if (err.code === 'ENOENT' && err.path === FFPROBE_PATH) {
+      if (!ffprobeMissingWarned) console.warn(`ffprobe not found at "${FFPROBE_PATH}" (set FFPROBE_PATH); video metadata is not read`);
+      ffprobeMissingWarned = true;
+      return false;
+    }
+    fileDoc.metadataError = String(err.stderr || err.message).trim().split('\n').pop();
+    await File.updateMany({ filename: fileDoc.filename }, { $set: { metadataError: fileDoc.metadataError } });
+    return false;
+  }
+  // Linked duplicates share the metadata along with the blob.
+  const update = { metadata, ...(metadata.takenAt && { takenAt: metadata.takenAt }) };
+  await File.updateMany({ filename: fileDoc.filename }, { $set: update, $unset: { metadataError: 1 } });
+  Object.assign(fileDoc, update);
+  return true;
+}
+
+// Helper: a ?strip= value (gps or all; empty or "none" for no stripping)
+const parseStripMode = (value) => {
+  if (value === undefined || value === '' || value === 'none') return null;
+  if (!METADATA_STRIP_MODES.includes(value)) throw httpError(400, 'strip must be "gps" or "all"');
+  return value;
+};
+
+// Helper: an EXIF body (TIFF) recording only `orientation`, so stripped photos stay upright
+const orientationTiff = (orientation) => {
+  const tiff = Buffer.alloc(26);
+  tiff.write('MM\0*', 0, 'latin1');
+  tiff.writeUInt32BE(8, 4); // IFD0 right after the header
+  tiff.writeUInt16BE(1, 8); // one entry: Orientation, SHORT, count 1
+  tiff.writeUInt16BE(0x0112, 10);
+  tiff.writeUInt16BE(3, 12);
+  tiff.writeUInt32BE(1, 14);
+  tiff.writeUInt16BE(orientation, 18);
+  return tiff;
+};
+
+// Helper: a JPEG EXIF segment recording only `orientation`
+const orientationExifSegment = (orientation) => {
+  const tiff = orientationTiff(orientation);
+  const header = Buffer.from([0xFF, 0xE1, 0, 0]);
+  header.writeUInt16BE(2 + EXIF_HEADER.length + tiff.length, 2);
+  return Buffer.concat([header, EXIF_HEADER, tiff]);
+};
+
+// Helper: a copy of an EXIF body (TIFF) whose GPS block is emptied in place
+const tiffWithoutGps = (body) => {
+  const tiff = Buffer.from(body);
+  const reader = tiffReader(tiff);
+  const pointer = reader && reader.entries(reader.firstIfd).find(entry => entry.tag === 0x8825);
+  if (!pointer) return tiff;
+  const gpsOffset = reader.u32(pointer.at);
+  if (gpsOffset + 2 > tiff.length) return tiff;
+  for (const entry of reader.entries(gpsOffset)) tiff.fill(0, entry.at, entry.at + entry.size);
+  // Zero the entry count, the entries and the next-IFD link: an empty IFD.
+  tiff.fill(0, gpsOffset, Math.min(gpsOffset + 2 + 12 * reader.u16(gpsOffset) + 4, tiff.length));
+  return tiff;
+};
+
+// Helper: a copy of a JPEG EXIF segment whose GPS block is emptied
+const withoutGps = (segment) => {
+  const start = 4 + EXIF_HEADER.length;
+  return Buffer.concat([segment.subarray(0, start), tiffWithoutGps(segment.subarray(start))]);
+};
+
+// Helper: what is left of an EXIF body (TIFF) after stripping: without GPS ('gps'), or
+// only the orientation ('all'; null when there is none to keep)
+const strippedTiff = (tiff, mode) => {
+  if (mode === 'gps') return tiffWithoutGps(tiff);
+  const { orientation } = parseExif(tiff);
+  return orientation > 1 ? orientationTiff(orientation) : null;
+};
+
+// Remove location ('gps') or all metadata ('all') from a JPEG. XMP can carry location
+// too and is dropped in both modes, as are extra images after the main one (MPF
+// previews with EXIF of their own). 'all' keeps only what decoding needs (JFIF, ICC
+// profile, Adobe colour transform) plus the orientation.
+function stripJpegMetadata(data, mode) {
+  const parts = [data.subarray(0, 2)];
+  for (const { marker, start, end } of jpegSegments(data)) {
+    const segment = data.subarray(start, end);
+    const body = segment.subarray(4);
+    if (marker === 0xDA) {
+      // The image data ends at the first EOI marker (0xFF bytes inside it are escaped).
+      const eoi = data.indexOf(Buffer.from([0xFF, 0xD9]), start);
+      parts.push(eoi === -1 ? segment : data.subarray(start, eoi + 2));
+      return Buffer.concat(parts);
+    }
+    const isExif = marker === 0xE1 && body.subarray(0, 6).equals(EXIF_HEADER);
+    if (isExif && mode === 'gps') {
+      parts.push(withoutGps(segment));
+    } else if (isExif) {
+      const { orientation } = parseExif(body.subarray(6));
+      if (orientation > 1) parts.push(orientationExifSegment(orientation));
+    } else if (marker === 0xE1 || (marker === 0xE2 && body.toString('latin1', 0, 4) === 'MPF\0')) {
+      continue;
+    } else if (mode === 'all' && (marker === 0xFE || (marker >= 0xE1 && marker <= 0xEF
+      && !(marker === 0xE2 && body.toString('latin1', 0, 12) === 'ICC_PROFILE\0') && marker !== 0xEE))) {
+      continue;
+    } else {
+      parts.push(segment);
+    }
+  }
+  // No start of scan: not a JPEG we can vouch for, so don't send it with its metadata.
+  throw new Error('Could not read the JPEG to remove its metadata');
+}
+
+// PNG chunks that 'all' keeps: the image, its colour and the APNG animation
+const PNG_KEPT_CHUNKS = ['IHDR', 'PLTE', 'IDAT', 'IEND', 'tRNS', 'cHRM', 'gAMA', 'iCCP', 'sBIT', 'sRGB', 'cICP', 'pHYs', 'acTL', 'fcTL', 'fdAT'];
+
+// Helper: a PNG chunk of `type` holding `body`
+const pngChunk = (type, body) => {
+  const chunk = Buffer.alloc(12 + body.length);
+  chunk.writeUInt32BE(body.length, 0);
+  chunk.write(type, 4, 'latin1');
+  body.copy(chunk, 8);
+  chunk.writeUInt32BE(crc32(chunk.subarray(4, 8 + body.length)), 8 + body.length);
+  return chunk;
+};
+
+// Remove location ('gps') or all metadata ('all') from a PNG, like stripJpegMetadata. The
+// eXIf chunk loses its GPS block (or all but the orientation), and text chunks holding XMP
+// or an EXIF profile go in both modes; 'all' keeps only PNG_KEPT_CHUNKS.
+function stripPngMetadata(data, mode) {
+  const parts = [data.subarray(0, 8)];
+  for (let pos = 8; pos + 12 <= data.length;) {
+    const length = data.readUInt32BE(pos);
+    const type = data.toString('latin1', pos + 4, pos + 8);
+    const end = pos + 12 + length;
+    if (end > data.length) break;
+    const body = data.subarray(pos + 8, pos + 8 + length);
+    const keyword = ['tEXt', 'zTXt', 'iTXt'].includes(type) ? body.toString('latin1', 0, Math.max(0, body.indexOf(0))) : null;
+    if (type === 'eXIf') {
+      const tiff = strippedTiff(body, mode);
+      if (tiff) parts.push(pngChunk(type, tiff));
+    } else if (keyword === 'XML:com.adobe.xmp' || keyword?.startsWith('Raw profile type')) {
+      // XMP, or EXIF, IPTC and XMP written as hex text (ImageMagick)
+    } else if (mode !== 'all' || PNG_KEPT_CHUNKS.includes(type)) {
+      parts.push(data.subarray(pos, end));
+    }
+    if (type === 'IEND') return Buffer.concat(parts);
+    pos = end;
+  }
+  throw new Error('Could not read the PNG to remove its metadata');
+}
+
+// WebP chunks that 'all' keeps: the image, its alpha, colour profile and animation
+const WEBP_KEPT_CHUNKS = ['VP8 ', 'VP8L', 'VP8X', 'ALPH', 'ANIM', 'ANMF', 'ICCP'];
+
+// Remove location ('gps') or all metadata ('all') from a WebP, like stripJpegMetadata:
+// the EXIF chunk loses its GPS block (or all but the orientation), XMP goes in both modes.
+function stripWebpMetadata(data, mode) {
+  const chunks = [];
+  for (let pos = 12; pos + 8 <= data.length;) {
+    const type = data.toString('latin1', pos, pos + 4);
+    const length = data.readUInt32LE(pos + 4);
+    if (pos + 8 + length > data.length) throw new Error('Could not read the WebP to remove its metadata');
+    const body = data.subarray(pos + 8, pos + 8 + length);
+    if (type === 'EXIF') {
+      // Some writers keep the JPEG "Exif" prefix in front of the TIFF.
+      const prefixed = body.subarray(0, 6).equals(EXIF_HEADER);
+      const tiff = strippedTiff(prefixed ? body.subarray(6) : body, mode);
+      if (tiff) chunks.push({ type, body: prefixed ? Buffer.concat([EXIF_HEADER, tiff]) : tiff });
+    } else if (type !== 'XMP ' && (mode !== 'all' || WEBP_KEPT_CHUNKS.includes(type))) {
+      chunks.push({ type, body });
+    }
+    pos += 8 + length + (length % 2);
+  }
+  if (!chunks.some(chunk => ['VP8 ', 'VP8L', 'ANMF'].includes(chunk.type))) throw new Error('Could not read the WebP to remove its metadata');
+  // VP8X flags which optional chunks follow: XMP (0x04) is gone, and EXIF (0x08) may be.
+  const extended = chunks.find(chunk => chunk.type === 'VP8X');
+  if (extended) {
+    extended.body = Buffer.from(extended.body);
+    extended.body[0] &= ~(0x04 | (chunks.some(chunk => chunk.type === 'EXIF') ? 0 : 0x08));
+  }
+  const parts = [Buffer.from('RIFF\0\0\0\0WEBP', 'latin1')];
+  for (const { type, body } of chunks) {
+    const header = Buffer.alloc(8);
+    header.write(type, 0, 'latin1');
+    header.writeUInt32LE(body.length, 4);
+    parts.push(header, body, Buffer.alloc(body.length % 2));
+  }
+  const webp = Buffer.concat(parts);
+  webp.writeUInt32LE(webp.length - 8, 4);
+  return webp;
+}
+
+// GIF application extensions that 'all' keeps: looping and the colour profile
+const GIF_KEPT_APPLICATIONS = ['NETSCAPE2.0', 'ANIMEXTS1.0', 'ICCRGBG1012'];
+
+// Remove metadata from a GIF: XMP goes in both modes; 'all' also drops comments and
+// application extensions other than GIF_KEPT_APPLICATIONS. GIFs have no EXIF.
+function stripGifMetadata(data, mode) {
+  // Helper: the end of the data sub-blocks starting at `pos` (each is a length byte and
+  // that many bytes; a zero length ends them)
+  const subBlocksEnd = (pos) => {
+    while (pos < data.length && data[pos] !== 0) pos += data[pos] + 1;
+    return pos + 1;
+  };
+  const colorTableSize = (packed) => (packed & 0x80 ? 3 * 2 ** ((packed & 0x07) + 1) : 0);
+  let pos = 13 + colorTableSize(data[10]);
+  const parts = [data.subarray(0, pos)];
+  while (pos < data.length) {
+    const start = pos;
+    if (data[pos] === 0x3B) { // trailer
+      parts.push(data.subarray(pos, pos + 1));
+      return Buffer.concat(parts);
+    }
+    if (data[pos] === 0x2C) { // image: descriptor, local colour table, LZW code size, data
+      pos = subBlocksEnd(pos + 10 + colorTableSize(data[pos + 9]) + 1);
+      parts.push(data.subarray(start, pos));
+    } else if (data[pos] === 0x21) { // extension: label, then sub-blocks
+      const label = data[pos + 1];
+      const application = label === 0xFF ? data.toString('latin1', pos + 3, pos + 14) : null;
+      pos = subBlocksEnd(pos + 2);
+      const dropped = application === 'XMP DataXMP'
+        || (mode === 'all' && (label === 0xFE || (application && !GIF_KEPT_APPLICATIONS.includes(application))));
+      if (!dropped) parts.push(data.subarray(start, pos));
+    } else {
+      break;
+    }
+  }
+  throw new Error('Could not read the GIF to remove its metadata');
+}
+
+// How metadata is removed from each image type; BMPs carry none.
+const METADATA_STRIPPERS = {
+  'image/jpeg': stripJpegMetadata,
+  'image/png': stripPngMetadata,
+  'image/webp': stripWebpMetadata,
+  'image/gif': stripGifMetadata,
+  'image/bmp': (data) => data
+};
+
+// ffmpeg muxers for remuxing videos without their metadata, by type
+const STRIPPED_VIDEO_FORMATS = {
+  'video/mp4': 'mp4',
+  'video/x-m4v': 'mp4',
+  'video/quicktime': 'mov',
+  'video/3gpp': '3gp',
+  'video/webm': 'webm',
+  'video/x-matroska': 'matroska',
+  'video/ogg': 'ogg',
+  'video/x-flv': 'flv',
+  'video/x-msvideo': 'avi'
+};
+
+// Helper: whether metadata can be removed from copies of `fileDoc`
+const canStripMetadata = (fileDoc) => Boolean(METADATA_STRIPPERS[fileDoc.mimeType] || STRIPPED_VIDEO_FORMATS[fileDoc.mimeType]);
+
+// Helper: a 415 error unless metadata can be removed from `fileDoc`; files it can't be
+// removed from are refused rather than sent with it
+const checkStrippable = (fileDoc) => {
+  if (canStripMetadata(fileDoc)) return;
+  const type = fileDoc.mimeType ? `${fileDoc.mimeType} files` : 'files of unknown type';
+  throw httpError(415, `Metadata can't be removed from ${type}, so ${fileDoc.originalname} can't be sent without it`);
+};
+
+// Helper: an image's plaintext with metadata stripped per `strip` (see checkStrippable)
+const stripMetadata = (fileDoc, data, strip) => {
+  if (!strip) return data;
+  checkStrippable(fileDoc);
+  return METADATA_STRIPPERS[fileDoc.mimeType](data, strip);
+};
+
+// Copy a video's streams into a temporary file without its metadata, then run
+// `work(path)`. The container's and streams' tags (location, dates, device), chapters and
+// data tracks are all dropped, in both modes; the picture and sound are copied as they are.
+async function withStrippedVideo(fileDoc, work) {
+  return withDecryptedFile(fileDoc, async (inputPath) => {
+    const outputPath = path.join(path.dirname(inputPath), 'stripped');
+    const args = [
+      '-v', 'error', '-y',
+      '-i', inputPath,
+      '-map', '0:v', '-map', '0:a?', '-map', '0:s?', '-c', 'copy',
+      // With no output specifier, -1 drops the streams' metadata along with the file's.
+      '-map_metadata', '-1', '-map_chapters', '-1',
+      '-f', STRIPPED_VIDEO_FORMATS[fileDoc.mimeType], outputPath
+    ];
+    try {
+      await execFileAsync(FFMPEG_PATH, args, { maxBuffer: 4 * 1024 * 1024, timeout: 10 * 60 * 1000 });
+    } catch (err) {
+      if (err.code === 'ENOENT' && err.path === FFMPEG_PATH) throw httpError(503, `Removing metadata from videos needs ffmpeg, which was not found at "${FFMPEG_PATH}" (set FFMPEG_PATH)`);
+      throw httpError(422, `Could not remove the metadata from this video: ${String(err.stderr || err.message).trim().split('\n').pop()}`);
+    }
+    return work(outputPath);
+  });
+}
+
+// Helper: the metadata as shown in the gallery. Width and height are as displayed;
+// a share link that strips metadata doesn't show what it strips.
+const metadataJSON = (metadata, strip) => {
+  if (!metadata) return null;
+  const turned = [5, 6, 7, 8].includes(metadata.orientation) || [90, 270].includes(metadata.rotation);
+  const make = metadata.cameraMake || '';
+  const model = metadata.cameraModel || '';
+  const hasLocation = metadata.latitude !== undefined && metadata.longitude !== undefined;
+  return {
+    width: (turned ? metadata.height : metadata.width) ?? null,
+    height: (turned ? metadata.width : metadata.height) ?? null,
+    takenAt: strip === 'all' ? null : metadata.takenAt || null,
+    // Models usually repeat the make ("Canon" / "Canon EOS 80D").
+    camera: strip === 'all' ? null : (model.toLowerCase().startsWith(make.toLowerCase()) ? model : `${make} ${model}`).trim() || null,
+    location: hasLocation && !strip
+      ? { latitude: metadata.latitude, longitude: metadata.longitude, altitude: metadata.altitude ?? null }
+      : null,
+    duration: metadata.duration ?? null,
+    videoCodec: metadata.videoCodec || null,
+    audioCodec: metadata.audioCodec || null
+  };
+};
+
+// Decrypt a file's thumbnail to the client; 404 when it has none yet.
+async function sendThumbnail(res, fileDoc) {
+  if (!fileDoc.thumbnail) return res.status(404).json({ message: 'No thumbnail for this file' });
+  const image = await decryptBuffer(await storage.read(fileDoc.thumbnail.filename), fileDoc.thumbnail);
+  res.setHeader('Content-Type', 'image/jpeg');
+  res.setHeader('Cache-Control', 'private, max-age=86400');
+  res.end(image);
+}
+
+app.get('/thumb/:id([0-9a-fA-F]{24})', authMiddleware('read'), async (req, res) => {
+  try {
+    const fileDoc = await File.findOne({ _id: req.params.id, owner: req.user._id }, 'thumbnail');
+    if (!fileDoc) return res.status(404).json({ message: 'File not found' });
+    await sendThumbnail(res, fileDoc);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Could not load thumbnail', error: err.message });
+  }
+});
+
+// Helper: remove a file's blobs from storage (the original, its thumbnail and playable
+// version) unless a linked duplicate still references them. Call it after deleting or
+// repointing the document.
+const removeFileBlobs = async (fileDoc) => {
+  if (!await File.exists({ filename: fileDoc.filename })) {
+    await storage.remove(fileDoc.filename);
+    await removeRenditions(fileDoc.filename);
+    await TranscodeJob.deleteOne({ filename: fileDoc.filename });
+  }
+  if (fileDoc.thumbnail && !await File.exists({ 'thumbnail.filename': fileDoc.thumbnail.filename })) {
+    await storage.remove(fileDoc.thumbnail.filename);
+  }
+  if (fileDoc.playable && !await File.exists({ 'playable.filename': fileDoc.playable.filename })) {
+    await storage.remove(fileDoc.playable.filename);
+  }
+};
+
+//
+// Duplicates: uploads are hashed before encryption, and the uploader picks what happens
+// when the owner already has the same content: keep both copies, skip the new one, or
+// link it to the existing blob. Linked documents share filename and keys; the blob goes
+// when the last of them is deleted.
+//
+
+const DUPLICATE_POLICIES = ['keep', 'skip', 'link'];
+
+// Helper: duplicate policy from a request parameter (default keep), or null if invalid
+const parseDuplicatePolicy = (value) => {
+  if (value === undefined || value === '') return 'keep';
+  return DUPLICATE_POLICIES.includes(value) ? value : null;
+};
+
+// Helper: the fields that make a document point at another file's blob
+const sharedBlobFields = (fileDoc) => ({
+  filename: fileDoc.filename,
+  iv: fileDoc.iv,
+  cipher: fileDoc.cipher,
+  wrappedKey: fileDoc.wrappedKey,
+  keyVersion: fileDoc.keyVersion,
+  ...(fileDoc.thumbnail ? { thumbnail: fileDoc.thumbnail } : {}),
+  ...(fileDoc.playable ? { playable: fileDoc.playable } : {}),
+  ...(fileDoc.metadata ? { metadata: fileDoc.metadata } : {}),
+  ...(fileDoc.metadata?.takenAt ? { takenAt: fileDoc.metadata.takenAt } : {})
+});
+
+// Apply the duplicate policy to a freshly stored upload. Returns the fields to save
+// (repointed at the existing blob for 'link', whose own blob is then removed) or null
+// for 'skip', plus the file it duplicates. `pending` holds this request's unsaved uploads.
+async function applyDuplicatePolicy(fields, policy, pending = []) {
+  if (policy === 'keep') return { fields, duplicateOf: null };
+  const duplicateOf = pending.find(other => other.contentHash === fields.contentHash)
+    || await File.findOne({ owner: fields.owner, contentHash: fields.contentHash, deletedAt: null }).sort({ uploadDate: 1 });
+  if (!duplicateOf) return { fields, duplicateOf: null };
+  await storage.remove(fields.filename);
+  if (policy === 'skip') return { fields: null, duplicateOf };
+  return { fields: { ...fields, ...sharedBlobFields(duplicateOf) }, duplicateOf };
+}
+
+//
+// Trash: deleting a file only sets File.deletedAt, which hides it everywhere except the
+// trash page. From there it can be restored or deleted for good; files left in the trash
+// longer than TRASH_RETENTION_DAYS are purged in the background. Blobs go with the last
+// document that references them, so a linked duplicate in the trash keeps its copy.
+//
+
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+const TRASH_RETENTION_MS = TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+// Helper: where to go after deleting from a gallery page, duplicates or an album (default /)
+const deleteReturnPath = (value) => (/^\/(duplicates|albums\/[0-9a-fA-F]{24})?$/.test(String(value)) ? String(value) : '/');
+
+// Delete files for good: the documents first, then the blobs no other document references.
+// A blob that can't be removed is left behind for the storage check to find as an orphan.
+async function purgeFiles(fileDocs) {
+  for (const fileDoc of fileDocs) {
+    await File.deleteOne({ _id: fileDoc._id });
+    await removeFileBlobs(fileDoc).catch(err => console.error(`Could not remove the stored copy of ${fileDoc.originalname}:`, err.message));
+  }
+}
+
+// Deleting changes data, so it is never a GET (link prefetchers and crawlers follow those).
+app.get('/delete/:id', (req, res) => {
+  res.setHeader('Allow', 'POST');
+  res.status(405).json({ message: 'Files are deleted with POST /delete (ids=...)' });
+});
+
+// Move the files in `ids` (one or several) to the trash.
+app.post('/delete', authMiddleware('delete'), auditAction('delete'), async (req, res) => {
+  try {
+    const files = await File.find({ _id: { $in: parseIds(req.body.ids) }, owner: req.user._id, deletedAt: null }, 'originalname');
+    res.locals.audit.files = files;
+    if (files.length > 0) {
+      const { modifiedCount } = await File.updateMany(
+        { _id: { $in: files.map(file => file._id) }, deletedAt: null },
+        { $set: { deletedAt: new Date() } }
+      );
+      console.log(`User ${req.user.username} moved ${modifiedCount} file(s) to the trash`);
+    }
+    res.redirect(deleteReturnPath(req.body.returnTo));
+  } catch (err) {
+    res.status(500).json({ message: 'Delete failed', error: err.message });
+  }
+});
+
+const findTrashedFiles = (user) => File.find({ owner: user._id, deletedAt: { $ne: null } }).sort({ deletedAt: -1, _id: -1 });
+
+// Helper: when a file in the trash is purged
+const purgeDate = (fileDoc) => new Date(fileDoc.deletedAt.getTime() + TRASH_RETENTION_MS);
+
+const renderTrashPage = (files, { csrfToken } = {}) => {
+  const rows = files.map(fileDoc => `
+              <tr>
+                <td><input type="checkbox" name="ids" value="${fileDoc._id}"></td>
+                <td>${fileDoc.thumbnail ? `<img src="/thumb/${fileDoc._id}" alt="" loading="lazy">` : ''}</td>
+                <td><a href="/download/${fileDoc._id}">${escapeHtml(fileDoc.originalname)}</a>${fileDoc.integrityError ? `<div class="damaged">Damaged: ${escapeHtml(fileDoc.integrityError)}</div>` : ''}</td>
+                <td>${typeof fileDoc.size === 'number' ? formatBytes(fileDoc.size) : ''}</td>
+                <td>${formatDate(fileDoc.deletedAt)}</td>
+                <td>${formatDate(purgeDate(fileDoc))}</td>
+              </tr>`);
+  return `
+    <!DOCTYPE html>
+    <html lang="en">
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1">
+        <title>Trash – Image & Video Uploader & Downloader</title>
+        <link rel="icon" href="/favicon.ico" type="image/x-icon">
+        <style>
+          body { background: #202123; color: #E4E6EB; font-family: Arial, sans-serif; margin: 0; padding: 20px; }
+          .container { max-width: 1000px; margin: auto; background: #2D2F31; padding: 20px; border-radius: 8px; box-shadow: 0 2px 8px rgba(0,0,0,0.5); }
+          h1 { color: #ffffff; text-align: center; }
+          a { color: #4A90E2; }
+          .summary { text-align: center; color: #999; }
+          form { display: inline-block; margin: 10px 10px 10px 0; }
+          table { border-collapse: collapse; width: 100%; margin-bottom: 10px; font-size: 0.9em; }
+          th, td { text-align: left; padding: 6px; border-bottom: 1px solid #3A3B3C; }
+          td img { width: 64px; height: 64px; object-fit: cover; border-radius: 4px; display: block; }
+          .damaged { color: #ff6b6b; font-size: 0.9em; }
+          button { background: #4A90E2; color: #ffffff; border: none; padding: 8px 16px; border-radius: 4px; cursor: pointer; }
+          button:hover { background: #357ABD; }
+          button.danger { background: #C0392B; }
+          button.danger:hover { background: #992D22; }
+        </style>
+        <script src="/static/forms.js" defer></script>
+      </head>
+      <body>
+        <div class="container">
+          <p><a href="/">Return to Gallery</a></p>
+          <h1>Trash</h1>
+          <p class="summary">${files.length ? `${files.length} file(s) in the trash.` : 'The trash is empty.'}
+            Files are deleted for good ${TRASH_RETENTION_DAYS} day(s) after they were moved here.</p>${files.length ? `
+          <form id="trashForm" action="/trash/restore" method="POST">
+            ${csrfField(csrfToken)}
+            <table>
+              <tr><th><input type="checkbox" title="Select all" data-select-all="#trashForm input[name=ids]"></th><th></th><th>Name</th><th>Size</th><th>Deleted</th><th>Purged</th></tr>
+              ${rows.join('')}
+            </table>
+            <button type="submit">Restore checked</button>
+            <button type="submit" class="danger" formaction="/trash/delete" data-confirm="Delete the checked files for good? This cannot be undone.">Delete checked for good</button>
+          </form>
+          <form action="/trash/empty" method="POST" data-confirm="Delete every file in the trash for good? This cannot be undone.">
+            ${csrfField(csrfToken)}
+            <button type="submit" class="danger">Empty trash</button>
+          </form>` : ''}
+        </div>
+      </body>
+    </html>`;
+};
+
+app.get('/trash', authMiddleware(), async (req, res) => {
+  try {
+    res.send(renderTrashPage(await findTrashedFiles(req.user), { csrfToken: csrfToken(req) }));
+  } catch (err) {
+    res.status(500).json({ message: 'Error rendering trash', error: err.message });
+  }
+});
+
+app.get('/api/trash', authMiddleware('read'), async (req, res) => {
+  try {
+    const files = await findTrashedFiles(req.user);
+    res.json({
+      retentionDays: TRASH_RETENTION_DAYS,
+      files: await Promise.all(files.map(async fileDoc => ({
+        ...await galleryFileJSON(fileDoc),
+        deletedAt: fileDoc.deletedAt,
+        purgeAt: purgeDate(fileDoc)
+      })))
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Could not list trash', error: err.message });
+  }
+});
+
+app.post('/trash/restore', authMiddleware('delete'), auditAction('restore'), async (req, res) => {
+  try {
+    const files = await File.find({ _id: { $in: parseIds(req.body.ids) }, owner: req.user._id, deletedAt: { $ne: null } }, 'originalname');
+    res.locals.audit.files = files;
+    const { modifiedCount } = await File.updateMany(
+      { _id: { $in: files.map(file => file._id) }, deletedAt: { $ne: null } },
+      { $unset: { deletedAt: 1, integrityError: 1 } }
+    );
+    console.log(`User ${req.user.username} restored ${modifiedCount} file(s) from the trash`);
+    res.redirect('/trash');
+  } catch (err) {
+    res.status(500).json({ message: 'Restore failed', error: err.message });
+  }
+});
+
+app.post('/trash/delete', authMiddleware('delete'), auditAction('purge'), async (req, res) => {
+  try {
+    const files = await File.find({ _id: { $in: parseIds(req.body.ids) }, owner: req.user._id, deletedAt: { $ne: null } });
+    res.locals.audit.files = files;
+    await purgeFiles(files);
+    console.log(`User ${req.user.username} deleted ${files.length} file(s) for good`);
+    res.redirect('/trash');
+  } catch (err) {
+    res.status(500).json({ message: 'Delete failed', error: err.message });
+  }
+});
+
+app.post('/trash/empty', authMiddleware('delete'), auditAction('purge'), async (req, res) => {
+  try {
+    const files = await findTrashedFiles(req.user);
+    Object.assign(res.locals.audit, { files, details: 'emptied the trash' });
+    await purgeFiles(files);
+    console.log(`User ${req.user.username} emptied the trash (${files.length} file(s))`);
+    res.redirect('/trash');
+  } catch (err) {
+    res.status(500).json({ message: 'Emptying the trash failed', error: err.message });
+  }
+});
+
+// Purge files that have been in the trash longer than the retention period.
+async function purgeExpiredTrash() {
+  const expired = await File.find({ deletedAt: { $lt: new Date(Date.now() - TRASH_RETENTION_MS) } });
+  await purgeFiles(expired);
+  if (expired.length > 0) {
+    console.log(`Purged ${expired.length} file(s) from the trash`);
+    recordAudit(null, 'purge', { files: expired, details: `in the trash for over ${TRASH_RETENTION_DAYS} day(s)` });
+  }
+}
+setInterval(() => {
+  purgeExpiredTrash().catch(err => console.error('Trash purge failed:', err));
+}, 60 * 60 * 1000).unref();
+
+// The owner's files that share content with another of their files, grouped by hash and
+// largest first. `storedCopies` counts distinct blobs; linking brings it down to one.
+async function findDuplicateGroups(owner) {
+  const groups = await File.aggregate([
+    { $match: { owner, contentHash: { $ne: null }, deletedAt: null } },
+    { $group: { _id: '$contentHash', count: { $sum: 1 }, blobs: { $addToSet: '$filename' }, size: { $first: '$size' } } },
+    { $match: { count: { $gt: 1 } } },
+    { $sort: { size: -1, _id: 1 } }
+  ]);
+  const files = await File.find({ owner, contentHash: { $in: groups.map(group => group._id) }, deletedAt: null }).sort({ uploadDate: 1 });
+  return groups.map(group => ({
+    contentHash: group._id,
+    size: group.size,
+    storedCopies: group.blobs.length,
+    files: files.filter(fileDoc => fileDoc.contentHash === group._id)
+  }));
+}
+
+const renderDuplicatesPage = (groups, { csrfToken } = {}) => {
+  const reclaimable = groups.reduce((sum, group) => sum + (group.storedCopies - 1) * (group.size || 0), 0);
+  const sections = groups.map(group => `
+          <div class="group">
+            <h2>${group.files.length} files, ${formatBytes(group.size || 0)} each, stored ${group.storedCopies === 1 ? 'once' : `${group.storedCopies} times`}</h2>
+            <form action="/delete" method="POST" data-confirm="Move the checked files to the trash?">
+              ${csrfField(csrfToken)}
+              <input type="hidden" name="returnTo" value="/duplicates">
+              <table>
+                ${group.files.map((fileDoc, index) => `
+                <tr>
+                  <td><input type="checkbox" name="ids" value="${fileDoc._id}"${index > 0 ? ' checked' : ''}></td>
+                  <td><a href="/download/${fileDoc._id}">${escapeHtml(fileDoc.originalname)}</a></td>
+                  <td>${formatDate(fileDoc.uploadDate)}</td>
+                  <td>${fileDoc.filename === group.files[0].filename ? 'shares the first copy' : 'separate copy'}</td>
+                </tr>`).join('')}
+              </table>
+              <button type="submit">Move checked to trash</button>
+            </form>${group.storedCopies > 1 ? `
+            <form action="/duplicates/link" method="POST">
+              ${csrfField(csrfToken)}
+              <input type="hidden" name="contentHash" value="${group.contentHash}">
+              <button type="submit">Keep all, store once</button>
+            </form>` : ''}
+          </div>`);
+  return `
+    <!DOCTYPE html>
+    <html lang="en">
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1">
+        <title>Duplicates – Image & Video Uploader & Downloader</title>
+        <link rel="icon" href="/favicon.ico" type="image/x-icon">
+        <style>
+          body { background: #202123; color: #E4E6EB; font-family: Arial, sans-serif; margin: 0; padding: 20px; }
+          .container { max-width: 1000px; margin: auto; background: #2D2F31; padding: 20px; border-radius: 8px; box-shadow: 0 2px 8px rgba(0,0,0,0.5); }
+          h1 { color: #ffffff; text-align: center; }
+          h2 { color: #ffffff; font-size: 1em; }
+          a { color: #4A90E2; }
+          .summary { text-align: center; color: #999; }
+          .group { border-top: 1px solid #3A3B3C; padding-top: 10px; margin-bottom: 20px; }
+          .group form { display: inline-block; vertical-align: top; margin-right: 10px; }
+          table { border-collapse: collapse; margin-bottom: 10px; font-size: 0.9em; }
+          td { text-align: left; padding: 6px; border-bottom: 1px solid #3A3B3C; }
+          button { background: #4A90E2; color: #ffffff; border: none; padding: 8px 16px; border-radius: 4px; cursor: pointer; }
+          button:hover { background: #357ABD; }
+        </style>
+        <script src="/static/forms.js" defer></script>
+      </head>
+      <body>
+        <div class="container">
+          <p><a href="/">Return to Gallery</a></p>
+          <h1>Duplicates</h1>
+          <p class="summary">${groups.length ? `${groups.length} set(s) of identical files; linking every set would free ${formatBytes(reclaimable)}.` : 'No duplicates found.'}
+            Files uploaded before content hashes were recorded are only included after <code>node index.js backfill-media-info</code>.</p>
+          ${sections.join('')}
+        </div>
+      </body>
+    </html>`;
+};
+
+app.get('/duplicates', authMiddleware(), async (req, res) => {
+  try {
+    res.send(renderDuplicatesPage(await findDuplicateGroups(req.user._id), { csrfToken: csrfToken(req) }));
+  } catch (err) {
+    res.status(500).json({ message: 'Error rendering duplicates', error: err.message });
+  }
+});
+
+app.get('/api/duplicates', authMiddleware('read'), async (req, res) => {
+  try {
+    const groups = await findDuplicateGroups(req.user._id);
+    res.json({
+      groups: await Promise.all(groups.map(async group => ({
+        contentHash: group.contentHash,
+        size: group.size,
+        storedCopies: group.storedCopies,
+        files: await Promise.all(group.files.map(fileDoc => galleryFileJSON(fileDoc)))
+      })))
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Error listing duplicates', error: err.message });
+  }
+});
+
+// Point every file in a duplicate set at the oldest one's blob and drop the other copies.
+app.post('/duplicates/link', authMiddleware('delete'), async (req, res) => {
+  try {
+    const contentHash = String(req.body.contentHash || '');
+    const [first, ...others] = await File.find({ owner: req.user._id, contentHash, deletedAt: null }).sort({ uploadDate: 1 });
+    let linked = 0;
+    for (const fileDoc of others) {
+      if (!first || fileDoc.filename === first.filename) continue;
+      const { matchedCount } = await File.updateOne(
+        { _id: fileDoc._id, filename: fileDoc.filename },
+        { $set: sharedBlobFields(first) }
+      );
+      if (matchedCount > 0) {
+        await removeFileBlobs(fileDoc);
+        linked++;
+      }
+    }
+    console.log(`Linked ${linked} duplicate(s) of ${contentHash}`);
+    res.redirect('/duplicates');
+  } catch (err) {
+    res.status(500).json({ message: 'Linking duplicates failed', error: err.message });
+  }
+});
+
+//
+// ZIP archives for bulk downloads, streamed: each file is decrypted straight into the
+// response and followed by a data descriptor with its CRC and sizes, so nothing is
+// buffered but images being stripped of metadata (and legacy CBC files). ZIP64 fields are
+// used where sizes, offsets or the entry count don't fit the classic format.
+//
+
+const ZIP64_LIMIT = 0xFFFFFFFF;
+// Already compressed formats are stored as they are; everything else is deflated.
+const INCOMPRESSIBLE_TYPES = /^(image\/(jpeg|png|gif|webp|avif|heic|heif)|video\/|audio\/)/;
+
+function makeCRCTable() {
+  let c, crcTable = [];
+  for (let n = 0; n < 256; n++) {
+    c = n;
+    for (let k = 0; k < 8; k++) {
+      c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+    }
+    crcTable[n] = c;
+  }
+  return crcTable;
+}
+const crcTable = makeCRCTable();
+// CRC-32 of `buf`, continuing from `previous` (the CRC of the bytes before it).
+function crc32(buf, previous = 0) {
+  let crc = previous ^ (-1);
+  for (let i = 0; i < buf.length; i++) {
+    crc = (crc >>> 8) ^ crcTable[(crc ^ buf[i]) & 0xFF];
+  }
+  return (crc ^ (-1)) >>> 0;
+}
+
+// Helper: a file name that is safe inside an archive (no directories, no "..") and not
+// yet in `used` (compared case-insensitively): "photo.jpg", "photo (1).jpg", ...
+const uniqueEntryName = (name, used) => {
+  const safe = String(name).replace(/[\/\\\0]/g, '_').replace(/^\.+$/, '_') || '_';
+  const ext = path.extname(safe);
+  const base = safe.slice(0, safe.length - ext.length) || safe;
+  let candidate = safe;
+  for (let n = 1; used.has(candidate.toLowerCase()); n++) candidate = `${base} (${n})${ext}`;
+  used.add(candidate.toLowerCase());
+  return candidate;
+};
+
+// Run `work` with the plaintext of a file as streams for pipeline, and its size (an upper
+// bound until read). Stripped images and legacy CBC files are decrypted whole; stripped
+// videos are read from their temporary copy.
+async function withZipEntrySource(fileDoc, strip, work) {
+  if (strip && fileDoc.mimeType?.startsWith('video/')) {
+    return withStrippedVideo(fileDoc, async (strippedPath) => {
+      const { size } = await fs.stat(strippedPath);
+      return work({ streams: [createReadStream(strippedPath)], size });
+    });
+  }
+  if (!fileDoc.cipher || strip) {
+    const data = stripMetadata(fileDoc, await decryptBuffer(await storage.read(fileDoc.filename), fileDoc), strip);
+    return work({ streams: [Readable.from([data])], size: data.length });
+  }
+  const encryptedSize = await storage.size(fileDoc.filename);
+  const size = plaintextSize(fileDoc, encryptedSize);
+  if (size === 0) return work({ streams: [Readable.from([])], size });
+  return work({ streams: await createDecryptStream(fileDoc, 0, size - 1, encryptedSize), size });
+}
+
+// Write `files` to the response as a ZIP archive named `zipName`, optionally inside `folder`,
+// with metadata removed per `strip`. Stops quietly if the client goes away.
+async function sendZip(res, files, zipName, { folder, strip } = {}) {
+  // Refuse before anything is sent if a file can't be stripped.
+  if (strip) files.forEach(checkStrippable);
+  // Set headers for ZIP download.
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', contentDisposition('attachment', zipName));
+
+  const aborted = new AbortController();
+  const onClose = () => { if (!res.writableFinished) aborted.abort(); };
+  res.on('close', onClose);
+  let offset = 0;
+  const write = (buffer) => { res.write(buffer); offset += buffer.length; };
+  const entries = [];
+  const usedNames = new Set();
+  try {
+    for (const fileDoc of files) {
+      if (aborted.signal.aborted) return;
+      const name = uniqueEntryName(fileDoc.originalname, usedNames);
+      const entry = {
+        name: folder ? `${folder}/${name}` : name,
+        date: fileDoc.uploadDate || new Date(),
+        method: INCOMPRESSIBLE_TYPES.test(fileDoc.mimeType || '') ? 0 : 8,
+        offset,
+        crc: 0,
+        size: 0,
+        compressedSize: 0
+      };
+      await withZipEntrySource(fileDoc, strip, async (source) => {
+        // Deflate can grow incompressible data by 5 bytes per 16 KiB block.
+        const maxSize = entry.method === 8 ? source.size + Math.ceil(source.size / 16383) * 5 + 64 : source.size;
+        entry.zip64 = maxSize >= ZIP64_LIMIT;
+        write(createLocalHeader(entry));
+
+        const measure = new Transform({
+          transform(chunk, encoding, callback) {
+            entry.crc = crc32(chunk, entry.crc);
+            entry.size += chunk.length;
+            callback(null, chunk);
+          }
+        });
+        await pipeline(
+          ...source.streams,
+          measure,
+          ...(entry.method === 8 ? [zlib.createDeflateRaw()] : []),
+          async (compressed) => {
+            for await (const chunk of compressed) {
+              entry.compressedSize += chunk.length;
+              write(chunk);
+              if (res.writableNeedDrain) await once(res, 'drain', { signal: aborted.signal });
+            }
+          },
+          { signal: aborted.signal }
+        );
+      });
+      write(createDataDescriptor(entry));
+      entries.push(entry);
+    }
+
+    const centralDirectoryOffset = offset;
+    for (const entry of entries) write(createCentralDirectoryRecord(entry));
+    write(createEndOfCentralDirectory(entries.length, offset - centralDirectoryOffset, centralDirectoryOffset));
+    res.end();
+  } catch (err) {
+    if (aborted.signal.aborted) {
+      console.log(`ZIP download of ${zipName} stopped: the client disconnected`);
+      return;
+    }
+    throw err;
+  } finally {
+    res.off('close', onClose);
+  }
+}
+
+// Bulk download endpoint: accepts comma-separated file IDs via "ids", or a whole
+// album via "album" (named after the album, with its files in a folder of that name).
+// "strip" (gps or all) removes metadata from the files in the archive.
+app.post('/download/bulk', authMiddleware('read'), rateLimit(downloadRequests, 'downloads'), auditAction('bulk-download'), async (req, res) => {
+  try {
+    const strip = parseStripMode(req.body.strip);
+    if (req.body.album) {
+      const album = await findAlbum(req.user, String(req.body.album));
+      if (!album) return res.status(404).json({ message: 'Album not found' });
+      const folder = albumFolderName(album);
+      const albumFiles = await File.find(albumFilesFilter(album)).sort({ uploadDate: 1 });
+      Object.assign(res.locals.audit, { files: albumFiles, details: `album ${album.name}` });
+      return await sendZip(res, albumFiles, `${folder}.zip`, { folder, strip });
+    }
+    // Expect req.body.ids to be either an array or a comma-separated string.
+    let ids = req.body.ids;
+    if (!ids) {
+      return res.status(400).json({ message: 'No file IDs provided' });
+    }
+    if (!Array.isArray(ids)) {
+      // If a comma-separated string was sent, convert it to an array.
+      ids = typeof ids === 'string' ? ids.split(',') : [ids];
+    }
+
+    // Retrieve file records from the database.
+    const files = await File.find({ _id: { $in: ids }, owner: req.user._id, deletedAt: null });
+    res.locals.audit.files = files;
+    await sendZip(res, files, 'files.zip', { strip });
+  } catch (err) {
+    // Once the archive is streaming, all we can do is drop the connection.
+    if (res.headersSent) return res.destroy();
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    console.error(err);
+    res.status(500).json({ message: 'Bulk download failed', error: err.message });
+  }
+});
+
+//
+// Helper functions to build ZIP structures. Entries are written with data descriptors
+// (general purpose bit 3) and UTF-8 names (bit 11).
+//
+
+const ZIP_FLAGS = 0x0008 | 0x0800;
+
+// Helper: a date as MS-DOS time and date fields (local time, 1980 at the earliest)
+const dosDateTime = (date) => {
+  const d = date.getFullYear() < 1980 ? new Date(1980, 0, 1) : date;
+  return {
+    time: (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2),
+    date: ((d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate()
+  };
+};
+
+// Helper: the "UT" extra field with the modification time in UTC, which DOS times lack
+const extendedTimestamp = (date) => {
+  const field = Buffer.alloc(9);
+  field.writeUInt16LE(0x5455, 0);
+  field.writeUInt16LE(5, 2);
+  field.writeUInt8(1, 4); // modification time present
+  field.writeUInt32LE(Math.max(0, Math.floor(date.getTime() / 1000)), 5);
+  return field;
+};
+
+// Helper: a ZIP64 extended information extra field holding `values` (64-bit each)
+const zip64Extra = (values) => {
+  const field = Buffer.alloc(4 + values.length * 8);
+  field.writeUInt16LE(0x0001, 0);
+  field.writeUInt16LE(values.length * 8, 2);
+  values.forEach((value, i) => field.writeBigUInt64LE(BigInt(value), 4 + i * 8));
+  return field;
+};
+
+// Local File Header Creator. CRC and sizes follow in the data descriptor; a ZIP64 entry
+// carries zeroed 64-bit sizes here so readers expect a 64-bit descriptor.
+function createLocalHeader(entry) {
+  const filenameBuf = Buffer.from(entry.name, 'utf8');
+  const extra = Buffer.concat([extendedTimestamp(entry.date), ...(entry.zip64 ? [zip64Extra([0, 0])] : [])]);
+  const { time, date } = dosDateTime(entry.date);
+  const header = Buffer.alloc(30);
+  header.writeUInt32LE(0x04034b50, 0);    // Local file header signature.
+  header.writeUInt16LE(entry.zip64 ? 45 : 20, 4); // Version needed to extract.
+  header.writeUInt16LE(ZIP_FLAGS, 6);       // General purpose bit flag.
+  header.writeUInt16LE(entry.method, 8);    // Compression method (0 = store, 8 = deflate).
+  header.writeUInt16LE(time, 10);           // Last mod file time.
+  header.writeUInt16LE(date, 12);           // Last mod file date.
+  header.writeUInt32LE(0, 14);              // CRC-32 (in the data descriptor).
+  header.writeUInt32LE(entry.zip64 ? ZIP64_LIMIT : 0, 18); // Compressed size.
+  header.writeUInt32LE(entry.zip64 ? ZIP64_LIMIT : 0, 22); // Uncompressed size.
+  header.writeUInt16LE(filenameBuf.length, 26); // File name length.
+  header.writeUInt16LE(extra.length, 28);   // Extra field length.
+  return Buffer.concat([header, filenameBuf, extra]);
+}
+
+// Data Descriptor Creator: CRC and sizes after the file data (64-bit sizes for ZIP64).
+function createDataDescriptor(entry) {
+  const descriptor = Buffer.alloc(entry.zip64 ? 24 : 16);
+  descriptor.writeUInt32LE(0x08074b50, 0);  // Data descriptor signature.
+  descriptor.writeUInt32LE(entry.crc, 4);   // CRC-32.
+  if (entry.zip64) {
+    descriptor.writeBigUInt64LE(BigInt(entry.compressedSize), 8);
+    descriptor.writeBigUInt64LE(BigInt(entry.size), 16);
+  } else {
+    descriptor.writeUInt32LE(entry.compressedSize, 8);
+    descriptor.writeUInt32LE(entry.size, 12);
+  }
+  return descriptor;
+}
+
+// Central Directory Record Creator. Values that don't fit 32 bits move to a ZIP64 extra field.
+function createCentralDirectoryRecord(entry) {
+  const filenameBuf = Buffer.from(entry.name, 'utf8');
+  const large = [entry.size, entry.compressedSize, entry.offset].map(value => value >= ZIP64_LIMIT);
+  const zip64Values = [entry.size, entry.compressedSize, entry.offset].filter((value, i) => large[i]);
+  const extra = Buffer.concat([extendedTimestamp(entry.date), ...(zip64Values.length ? [zip64Extra(zip64Values)] : [])]);
+  const { time, date } = dosDateTime(entry.date);
+  const record = Buffer.alloc(46);
+  record.writeUInt32LE(0x02014b50, 0);     // Central file header signature.
+  record.writeUInt16LE((3 << 8) | 45, 4);   // Version made by (Unix, 4.5).
+  record.writeUInt16LE(zip64Values.length || entry.zip64 ? 45 : 20, 6); // Version needed to extract.
+  record.writeUInt16LE(ZIP_FLAGS, 8);       // General purpose bit flag.
+  record.writeUInt16LE(entry.method, 10);   // Compression method.
+  record.writeUInt16LE(time, 12);           // Last mod file time.
+  record.writeUInt16LE(date, 14);           // Last mod file date.
+  record.writeUInt32LE(entry.crc, 16);      // CRC-32.
+  record.writeUInt32LE(large[1] ? ZIP64_LIMIT : entry.compressedSize, 20); // Compressed size.
+  record.writeUInt32LE(large[0] ? ZIP64_LIMIT : entry.size, 24); // Uncompressed size.
+  record.writeUInt16LE(filenameBuf.length, 28); // File name length.
+  record.writeUInt16LE(extra.length, 30);   // Extra field length.
+  record.writeUInt16LE(0, 32);              // File comment length.
+  record.writeUInt16LE(0, 34);              // Disk number start.
+  record.writeUInt16LE(0, 36);              // Internal file attributes.
+  record.writeUInt32LE((0o100644 << 16) >>> 0, 38); // External file attributes (rw-r--r--).
+  record.writeUInt32LE(large[2] ? ZIP64_LIMIT : entry.offset, 42); // Relative offset of local header.
+  return Buffer.concat([record, filenameBuf, extra]);
+}
+
+// End Of Central Directory Creator, preceded by the ZIP64 end record and locator when the
+// entry count, directory size or offset don't fit the classic fields.
+function createEndOfCentralDirectory(totalEntries, centralDirectorySize, centralDirectoryOffset) {
+  const zip64 = totalEntries >= 0xFFFF || centralDirectorySize >= ZIP64_LIMIT || centralDirectoryOffset >= ZIP64_LIMIT;
+  const records = [];
+  if (zip64) {
+    const zip64End = Buffer.alloc(56);
+    zip64End.writeUInt32LE(0x06064b50, 0);  // ZIP64 end of central directory signature.
+    zip64End.writeBigUInt64LE(44n, 4);      // Size of the rest of this record.
+    zip64End.writeUInt16LE((3 << 8) | 45, 12); // Version made by.
+    zip64End.writeUInt16LE(45, 14);         // Version needed to extract.
+    zip64End.writeUInt32LE(0, 16);          // Number of this disk.
+    zip64End.writeUInt32LE(0, 20);          // Disk where central directory starts.
+    zip64End.writeBigUInt64LE(BigInt(totalEntries), 24); // Records on this disk.
+    zip64End.writeBigUInt64LE(BigInt(totalEntries), 32); // Total records.
+    zip64End.writeBigUInt64LE(BigInt(centralDirectorySize), 40); // Size of central directory.
+    zip64End.writeBigUInt64LE(BigInt(centralDirectoryOffset), 48); // Offset of central directory.
+    const locator = Buffer.alloc(20);
+    locator.writeUInt32LE(0x07064b50, 0);   // ZIP64 end of central directory locator signature.
+    locator.writeUInt32LE(0, 4);            // Disk with the ZIP64 end record.
+    locator.writeBigUInt64LE(BigInt(centralDirectoryOffset + centralDirectorySize), 8); // Its offset.
+    locator.writeUInt32LE(1, 16);           // Total number of disks.
+    records.push(zip64End, locator);
+  }
+  const eocdr = Buffer.alloc(22);
+  eocdr.writeUInt32LE(0x06054b50, 0);       // EOCD signature.
+  eocdr.writeUInt16LE(0, 4);                // Number of this disk.
+  eocdr.writeUInt16LE(0, 6);                // Disk where central directory starts.
+  eocdr.writeUInt16LE(Math.min(totalEntries, 0xFFFF), 8); // Number of central directory records on this disk.
+  eocdr.writeUInt16LE(Math.min(totalEntries, 0xFFFF), 10); // Total number of central directory records.
+  eocdr.writeUInt32LE(Math.min(centralDirectorySize, ZIP64_LIMIT), 12); // Size of central directory (bytes).
+  eocdr.writeUInt32LE(Math.min(centralDirectoryOffset, ZIP64_LIMIT), 16); // Offset of start of central directory.
+  eocdr.writeUInt16LE(0, 20);               // ZIP file comment length.
+  records.push(eocdr);
+  return Buffer.concat(records);
+}
+/*
+  Streaming multipart parser.
+  Reads the body chunk by chunk and splits it on the boundary string, keeping
+  no more than one chunk plus a boundary's worth of bytes in memory. For every
+  part, onPart(headers) is awaited with the raw header string and may return a
+  sink ({ write(data), end() }) that receives the part body, or null to skip it.
+*/
+const MAX_PART_HEADER_SIZE = 16 * 1024;
+async function parseMultipart(source, boundary, onPart) {
+  const delimiter = Buffer.from(`\r\n--${boundary}`, 'utf-8');
+  const headerDelimiter = Buffer.from('\r\n\r\n');
+  // Starting with a CRLF lets the first boundary match the same delimiter as the rest.
+  let buffer = Buffer.from('\r\n');
+  let state = 'preamble';
+  let sink = null;
+  for await (const chunk of source) {
+    if (state === 'done') continue; // ignore the epilogue
+    buffer = buffer.length ? Buffer.concat([buffer, chunk]) : chunk;
+    while (state !== 'done') {
+      if (state === 'preamble') {
+        const end = buffer.indexOf(delimiter);
+        if (end === -1) {
+          buffer = buffer.subarray(Math.max(0, buffer.length - delimiter.length + 1));
+          break;
+        }
+        buffer = buffer.subarray(end + delimiter.length);
+        state = 'boundary';
+      }
+      if (state === 'boundary') {
+        if (buffer.length < 2) break;
+        // Check if this is the final boundary marker.
+        if (buffer.subarray(0, 2).toString() === '--') {
+          state = 'done';
+          break;
+        }
+        state = 'headers';
+      }
+      if (state === 'headers') {
+        // Split headers and body by the first occurrence of double CRLF.
+        const headerEnd = buffer.indexOf(headerDelimiter);
+        if (headerEnd === -1) {
+          if (buffer.length > MAX_PART_HEADER_SIZE) throw httpError(400, 'Invalid form-data: part headers too large');
+          break;
+        }
+        // Drop the rest of the boundary line.
+        const headers = buffer.subarray(0, headerEnd).toString('utf-8').replace(/^[^\r\n]*\r\n/, '');
+        buffer = buffer.subarray(headerEnd + headerDelimiter.length);
+        sink = await onPart(headers);
+        state = 'body';
+      }
+      if (state === 'body') {
+        const end = buffer.indexOf(delimiter);
+        if (end === -1) {
+          // Hold back enough bytes for a delimiter split across two chunks.
+          const safe = buffer.length - delimiter.length + 1;
+          if (safe > 0) {
+            if (sink) await sink.write(buffer.subarray(0, safe));
+            buffer = buffer.subarray(safe);
+          }
+          break;
+        }
+        if (sink) {
+          await sink.write(buffer.subarray(0, end));
+          await sink.end();
+        }
+        sink = null;
+        buffer = buffer.subarray(end + delimiter.length);
+        state = 'boundary';
+      }
+    }
+  }
+  if (state !== 'done') throw httpError(400, 'Invalid form-data: unexpected end of body');
+}
+
+// Helper: the parameters of a multipart part's Content-Disposition (keys in lower case).
+// Understands quoted values (with backslash escapes) and bare tokens.
+function getPartParams(headers) {
+  const disposition = headers.match(/^content-disposition:(.*)$/im);
+  const params = {};
+  if (!disposition) return params;
+  const paramPattern = /;\s*([^\s=;]+)\s*=\s*(?:"((?:[^"\\]|\\.)*)"|([^;]*))/g;
+  for (const [, key, quoted, token] of disposition[1].matchAll(paramPattern)) {
+    params[key.toLowerCase()] = quoted !== undefined ? quoted.replace(/\\(.)/g, '$1') : token.trim();
+  }
+  return params;
+}
+
+// Helper: file name of a multipart part, or null for plain fields. Understands
+// RFC 5987 filename*= as well.
+function getPartFilename(headers) {
+  const params = getPartParams(headers);
+  const extended = params['filename*'] && params['filename*'].match(/^([\w!#$&+^`{}~-]+)'[^']*'(.+)$/);
+  if (extended) {
+    const bytes = Buffer.from(extended[2].replace(/%([0-9a-f]{2})/gi, (m, hex) => String.fromCharCode(parseInt(hex, 16))), 'latin1');
+    return bytes.toString(extended[1].toLowerCase() === 'utf-8' ? 'utf8' : 'latin1');
+  }
+  return params.filename || null;
+}
+
+// Helper: pass chunks through, failing with 413 once more than `limit` bytes arrived
+async function* limitBytes(source, limit) {
+  let received = 0;
+  for await (const chunk of source) {
+    received += chunk.length;
+    if (received > limit) throw httpError(413, `Request exceeds the upload limit of ${formatBytes(limit)}`);
+    yield chunk;
+  }
+}
+
+// Helper: a new storage key for an upload named `originalname`. The random part keeps
+// files of the same name that arrive in the same millisecond from sharing a blob.
+const newBlobName = (originalname) => `${Date.now()}-${crypto.randomBytes(4).toString('hex')}-${path.basename(originalname)}`;
+
+//
+// Storage quotas: STORAGE_QUOTA caps what each user may store (their own `quota`, set with
+// `set-quota`, overrides it) and TOTAL_STORAGE_QUOTA caps the whole instance. Usage is the
+// size of a user's files, linked duplicates counted once and files in the trash included
+// (their blobs take space until they are purged), plus the declared size of unfinished
+// resumable uploads and the bytes of multipart uploads still in progress. An upload that
+// would go over a quota is refused with 413 before its bytes are stored. Uploads running
+// side by side see each other's bytes as they are written (see quotaClaims below).
+//
+
+const STORAGE_QUOTA = parseSize(process.env.STORAGE_QUOTA, 0);
+const TOTAL_STORAGE_QUOTA = parseSize(process.env.TOTAL_STORAGE_QUOTA, 0);
+// The usage page lists this many of the largest files.
+const LARGEST_FILES_SHOWN = 10;
+
+// Bytes written by multipart uploads whose File documents aren't saved yet, by owner id.
+const uploadBytesInProgress = new Map();
+
+// Bytes uploads have claimed since the server started, by owner id and in total. They only
+// grow: an allowance notes them when it is read and takes off whatever was claimed since.
+const quotaClaims = new Map();
+let totalQuotaClaims = 0;
+
+// Helper: count `bytes` more (or, when negative, fewer) as in progress for `owner`
+const trackUploadBytes = (owner, bytes) => {
+  if (bytes > 0) {
+    quotaClaims.set(String(owner), (quotaClaims.get(String(owner)) || 0) + bytes);
+    totalQuotaClaims += bytes;
+  }
+  const total = (uploadBytesInProgress.get(String(owner)) || 0) + bytes;
+  if (total > 0) uploadBytesInProgress.set(String(owner), total);
+  else uploadBytesInProgress.delete(String(owner));
+};
+
+// Helper: a user's quota in bytes, or 0 for none
+const userQuota = (user) => user.quota ?? STORAGE_QUOTA;
+
+// Helper: bytes used by `owner`, or by everyone without one (see above)
+async function storageUsage(owner) {
+  const match = owner ? { owner } : {};
+  const [[stored], [reserved]] = await Promise.all([
+    File.aggregate([
+      { $match: match },
+      { $group: { _id: '$filename', size: { $max: '$size' } } },
+      { $group: { _id: null, bytes: { $sum: '$size' } } }
+    ]),
+    UploadSession.aggregate([{ $match: match }, { $group: { _id: null, bytes: { $sum: '$size' } } }])
+  ]);
+  const inProgress = owner
+    ? uploadBytesInProgress.get(String(owner)) || 0
+    : [...uploadBytesInProgress.values()].reduce((sum, bytes) => sum + bytes, 0);
+  return (stored ? stored.bytes : 0) + (reserved ? reserved.bytes : 0) + inProgress;
+}
+
+// Record the size of files from before sizes were stored, from the size of their blob, so
+// they count towards quotas. Legacy CBC files have to be decrypted: `backfill-media-info`.
+async function recordMissingSizes() {
+  let recorded = 0;
+  for await (const fileDoc of File.find({ size: null, cipher: { $ne: null } }).cursor()) {
+    try {
+      await File.updateOne({ _id: fileDoc._id }, { $set: { size: plaintextSize(fileDoc, await storage.size(fileDoc.filename)) } });
+      recorded++;
+    } catch (err) {
+      console.error(`Could not read the size of ${fileDoc.originalname}:`, err.message);
+    }
+  }
+  if (recorded > 0) console.log(`Recorded the size of ${recorded} file(s)`);
+}
+
+// Helper: how many more bytes `user` may store ({ remaining, quota, scope, limits }), by
+// whichever of their quota and the instance's leaves less; remaining is Infinity without quotas.
+// Pass it to currentAllowance to bring it up to date. Claims made while the usage is read
+// may be counted twice, never missed.
+async function quotaAllowance(user) {
+  const limits = [];
+  const quota = userQuota(user);
+  if (quota) {
+    const claimed = quotaClaims.get(String(user._id)) || 0;
+    limits.push({ owner: String(user._id), claimed, remaining: quota - await storageUsage(user._id), quota, scope: 'your storage quota' });
+  }
+  if (TOTAL_STORAGE_QUOTA) {
+    const claimed = totalQuotaClaims;
+    limits.push({ owner: null, claimed, remaining: TOTAL_STORAGE_QUOTA - await storageUsage(null), quota: TOTAL_STORAGE_QUOTA, scope: "the server's storage quota" });
+  }
+  return currentAllowance({ limits });
+}
+
+// Helper: `allowance` less the bytes claimed since it was read. Checking this and claiming
+// in the same tick keeps concurrent uploads from spending the same room twice.
+const currentAllowance = ({ limits }) => {
+  let allowance = { remaining: Infinity, quota: null, scope: null, limits };
+  for (const limit of limits) {
+    const since = (limit.owner ? quotaClaims.get(limit.owner) || 0 : totalQuotaClaims) - limit.claimed;
+    if (limit.remaining - since < allowance.remaining) allowance = { remaining: limit.remaining - since, quota: limit.quota, scope: limit.scope, limits };
+  }
+  return allowance;
+};
+
+// Helper: why `what` can't be stored within `allowance`
+const quotaMessage = (allowance, what) =>
+  `${what} would exceed ${allowance.scope} of ${formatBytes(allowance.quota)} (${formatBytes(Math.max(0, allowance.remaining))} left)`;
+
+// The user's usage: totals, bytes by type, growth by month of upload and the largest files.
+// Counts and types cover the gallery (not the trash); growth covers everything stored.
+async function usageSummary(user) {
+  const owner = user._id;
+  const trashed = { $cond: [{ $ifNull: ['$deletedAt', false] }, 1, 0] };
+  const [used, allowance, types, months, [trash], largest] = await Promise.all([
+    storageUsage(owner),
+    quotaAllowance(user),
+    File.aggregate([
+      { $match: { owner, deletedAt: null } },
+      { $group: { _id: '$mimeType', files: { $sum: 1 }, bytes: { $sum: '$size' } } },
+      { $sort: { bytes: -1, _id: 1 } }
+    ]),
+    File.aggregate([
+      { $match: { owner } },
+      { $group: { _id: '$filename', size: { $max: '$size' }, uploadDate: { $min: '$uploadDate' } } },
+      { $group: { _id: { $dateToString: { format: '%Y-%m', date: '$uploadDate' } }, files: { $sum: 1 }, bytes: { $sum: '$size' } } },
+      { $sort: { _id: 1 } }
+    ]),
+    // A blob is freed by emptying the trash only if every file using it is in the trash.
+    File.aggregate([
+      { $match: { owner } },
+      { $group: { _id: '$filename', size: { $max: '$size' }, trashed: { $sum: trashed }, files: { $sum: 1 } } },
+      { $group: { _id: null, files: { $sum: '$trashed' }, bytes: { $sum: { $cond: [{ $eq: ['$trashed', '$files'] }, '$size', 0] } } } }
+    ]),
+    File.find({ owner, deletedAt: null, size: { $ne: null } }).sort({ size: -1 }).limit(LARGEST_FILES_SHOWN)
+  ]);
+  let total = 0;
+  return {
+    used,
+    quota: userQuota(user) || null,
+    // The tighter of the user's and the server's quota, as uploads see it.
+    remaining: Number.isFinite(allowance.remaining) ? Math.max(0, allowance.remaining) : null,
+    server: TOTAL_STORAGE_QUOTA ? { used: await storageUsage(null), quota: TOTAL_STORAGE_QUOTA } : null,
+    files: types.reduce((sum, type) => sum + type.files, 0),
+    trash: { files: trash ? trash.files : 0, bytes: trash ? trash.bytes : 0 },
+    types: types.map(type => ({ mimeType: type._id || null, files: type.files, bytes: type.bytes })),
+    growth: months.map(month => ({ month: month._id, files: month.files, bytes: month.bytes, total: total += month.bytes })),
+    largest
+  };
+}
+
+// Helper: "1.5 GB of 10 GB (15%)", or just the bytes without a quota
+const usageOf = (used, quota) => (quota ? `${formatBytes(used)} of ${formatBytes(quota)} (${Math.round(used / quota * 100)}%)` : formatBytes(used));
+
+const renderUsagePage = (usage) => {
+  const peak = Math.max(1, ...usage.growth.map(month => month.total));
+  const bar = (bytes, max) => `<div class="bar"><span style="width: ${Math.min(100, bytes / max * 100).toFixed(1)}%"></span></div>`;
+  return `
+    <!DOCTYPE html>
+    <html lang="en">
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1">
+        <title>Storage usage – Image & Video Uploader & Downloader</title>
+        <link rel="icon" href="/favicon.ico" type="image/x-icon">
+        <style>
+          body { background: #202123; color: #E4E6EB; font-family: Arial, sans-serif; margin: 0; padding: 20px; }
+          .container { max-width: 1000px; margin: auto; background: #2D2F31; padding: 20px; border-radius: 8px; box-shadow: 0 2px 8px rgba(0,0,0,0.5); }
+          h1 { color: #ffffff; text-align: center; }
+          h2 { color: #ffffff; font-size: 1.1em; margin-top: 24px; }
+          a { color: #4A90E2; }
+          .summary { text-align: center; color: #999; }
+          .summary strong { color: #ffffff; }
+          table { border-collapse: collapse; width: 100%; margin-bottom: 10px; font-size: 0.9em; }
+          th, td { text-align: left; padding: 6px; border-bottom: 1px solid #3A3B3C; }
+          .bar { background: #3A3B3C; border-radius: 4px; height: 10px; min-width: 120px; overflow: hidden; }
+          .bar span { display: block; height: 100%; background: #4A90E2; }
+          .quota .bar { height: 14px; max-width: 500px; margin: 10px auto; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <p><a href="/">Return to Gallery</a></p>
+          <h1>Storage usage</h1>
+          <div class="summary quota">
+            <p>You are using <strong>${usageOf(usage.used, usage.quota)}</strong>${usage.quota ? '' : ' (no quota)'}.</p>${usage.quota ? `
+            ${bar(usage.used, usage.quota)}` : ''}${usage.server ? `
+            <p>The server is using ${usageOf(usage.server.used, usage.server.quota)} of its quota.</p>` : ''}${usage.remaining !== null ? `
+            <p>${formatBytes(usage.remaining)} left for uploads.</p>` : ''}
+            <p>${usage.files} file(s) in the gallery. ${usage.trash.files ? `${usage.trash.files} file(s) in the <a href="/trash">trash</a> count too; emptying it frees ${formatBytes(usage.trash.bytes)}.` : 'The trash is empty.'}
+              Identical files stored once (see <a href="/duplicates">duplicates</a>) count once.</p>
+          </div>
+          <h2>By type</h2>${usage.types.length ? `
+          <table>
+            <tr><th>Type</th><th>Files</th><th>Size</th><th></th></tr>
+            ${usage.types.map(type => `
+            <tr><td>${escapeHtml(type.mimeType || 'unknown')}</td><td>${type.files}</td><td>${formatBytes(type.bytes)}</td><td>${bar(type.bytes, Math.max(1, usage.types[0].bytes))}</td></tr>`).join('')}
+          </table>` : `
+          <p class="summary">No files yet.</p>`}
+          <h2>Growth</h2>${usage.growth.length ? `
+          <table>
+            <tr><th>Month</th><th>Uploaded</th><th>Added</th><th>Total</th><th></th></tr>
+            ${usage.growth.map(month => `
+            <tr><td>${month.month}</td><td>${month.files} file(s)</td><td>${formatBytes(month.bytes)}</td><td>${formatBytes(month.total)}</td><td>${bar(month.total, peak)}</td></tr>`).join('')}
+          </table>` : `
+          <p class="summary">No files yet.</p>`}
+          <h2>Largest files</h2>${usage.largest.length ? `
+          <table>
+            <tr><th>Name</th><th>Size</th><th>Uploaded</th></tr>
+            ${usage.largest.map(fileDoc => `
+            <tr><td><a href="/download/${fileDoc._id}">${escapeHtml(fileDoc.originalname)}</a></td><td>${formatBytes(fileDoc.size)}</td><td>${formatDate(fileDoc.uploadDate)}</td></tr>`).join('')}
+          </table>` : `
+          <p class="summary">No files yet.</p>`}
+        </div>
+      </body>
+    </html>`;
+};
+
+app.get('/usage', authMiddleware(), async (req, res) => {
+  try {
+    res.send(renderUsagePage(await usageSummary(req.user)));
+  } catch (err) {
+    res.status(500).json({ message: 'Error rendering usage', error: err.message });
+  }
+});
+
+app.get('/api/usage', authMiddleware('read'), async (req, res) => {
+  try {
+    const usage = await usageSummary(req.user);
+    res.json({ ...usage, largest: await Promise.all(usage.largest.map(fileDoc => galleryFileJSON(fileDoc))) });
+  } catch (err) {
+    res.status(500).json({ message: 'Could not load usage', error: err.message });
+  }
+});
+
+app.post('/upload', authMiddleware('upload'), rateLimit(uploadRequests, 'upload requests'), auditAction('upload'), async (req, res) => {
+  console.log(`User ${req.user.username} logged in. Upload started at ${new Date().toISOString()}`);
+  const contentType = req.headers['content-type'];
+  const boundaryMatch = contentType && contentType.match(/boundary=(?:"([^"]+)"|([^;\s]+))/i);
+  if (!boundaryMatch) {
+    return res.status(400).json({ message: 'Invalid form-data: No boundary found' });
+  }
+  const boundary = boundaryMatch[1] || boundaryMatch[2];
+  // The upload form sends the policy as a field ahead of the files; scripts may use the query.
+  let duplicatePolicy = parseDuplicatePolicy(req.query.duplicates);
+  if (!duplicatePolicy) {
+    return res.status(400).json({ message: `duplicates must be one of ${DUPLICATE_POLICIES.join(', ')}` });
+  }
+  const fileUploads = [];
+  const writtenFiles = [];
+  const skipped = [];
+  const received = [];
+  let writer = null;
+  let bytesInProgress = 0;
+  try {
+    if (Number(req.headers['content-length']) > MAX_UPLOAD_SIZE) {
+      throw httpError(413, `Request exceeds the upload limit of ${formatBytes(MAX_UPLOAD_SIZE)}`);
+    }
+    // Files are checked against the quota as they arrive; a full quota fails before any do.
+    const available = await quotaAllowance(req.user);
+    if (available.remaining <= 0) throw Object.assign(httpError(413, quotaMessage(available, 'This upload')), { quotaExceeded: true });
+    // Don't let the parser destroy the socket when it stops early, so an error can still be sent.
+    const body = limitBytes(req.iterator({ destroyOnReturn: false }), MAX_UPLOAD_SIZE);
+    await parseMultipart(body, boundary, async (headers) => {
+      const originalname = getPartFilename(headers);
+      if (!originalname) {
+        if (getPartParams(headers).name !== 'duplicates') return null;
+        if (received.length > 0) throw httpError(400, 'Invalid form-data: the duplicates field must come before the files');
+        let value = '';
+        return {
+          write: async (data) => {
+            value += data.toString('utf-8');
+            if (value.length > 16) throw httpError(400, 'Invalid form-data: duplicates field too long');
+          },
+          end: async () => {
+            duplicatePolicy = parseDuplicatePolicy(value);
+            if (!duplicatePolicy) throw httpError(400, `duplicates must be one of ${DUPLICATE_POLICIES.join(', ')}`);
+          }
+        };
+      }
+      received.push(originalname);
+      const uniqueFilename = newBlobName(originalname);
+      writtenFiles.push(uniqueFilename);
+      // Bytes of this request's earlier files are in progress, so they count here.
+      const allowance = await quotaAllowance(req.user);
+      // Encrypt the file data on its way to storage.
+      writer = await createEncryptedWriter(uniqueFilename);
+      // The type is checked once enough leading bytes have arrived, before the rest is stored.
+      let head = Buffer.alloc(0);
+      let mimeType = null;
+      const hash = crypto.createHash('sha256');
+      return {
+        write: async (data) => {
+          if (writer.size + data.length > MAX_FILE_SIZE) {
+            throw httpError(413, `${originalname} exceeds the per-file limit of ${formatBytes(MAX_FILE_SIZE)}`);
+          }
+          // This file's earlier bytes are claimed already, so only the new ones must fit.
+          const current = currentAllowance(allowance);
+          if (data.length > current.remaining) {
+            const room = { ...current, remaining: current.remaining + writer.size };
+            throw Object.assign(httpError(413, quotaMessage(room, originalname)), { quotaExceeded: true });
+          }
+          if (!mimeType) {
+            head = Buffer.concat([head, data]);
+            if (head.length >= SNIFF_BYTES) mimeType = checkUploadType(head, originalname);
+          }
+          hash.update(data);
+          trackUploadBytes(req.user._id, data.length);
+          bytesInProgress += data.length;
+          await writer.write(data);
+        },
+        end: async () => {
+          if (!mimeType) mimeType = checkUploadType(head, originalname);
+          await writer.end();
+          const { fields, duplicateOf } = await applyDuplicatePolicy({
+            originalname,
+            filename: uniqueFilename,
+            iv: writer.iv,
+            cipher: writer.cipher,
+            wrappedKey: writer.wrappedKey,
+            keyVersion: writer.keyVersion,
+            mimeType,
+            size: writer.size,
+            contentHash: hash.digest('hex'),
+            owner: req.user._id
+          }, duplicatePolicy, fileUploads);
+          writer = null;
+          if (!fields) {
+            skipped.push(originalname);
+            console.log(`Skipped duplicate: ${originalname} (same as ${duplicateOf.originalname})`);
+            return;
+          }
+          fileUploads.push(fields);
+          console.log(`Uploaded file: ${originalname} as ${fields.filename}${duplicateOf ? ' (linked duplicate)' : ''}`);
+        }
+      };
+    });
+    if (fileUploads.length > 0) {
+      const fileDocs = await File.insertMany(fileUploads);
+      res.locals.audit.files = fileDocs;
+      queueMediaProcessing(fileDocs);
+      console.log(`Successfully saved ${fileUploads.length} file(s) to database.`);
+    }
+    if (skipped.length) res.locals.audit.details = `skipped duplicates: ${skipped.join(', ')}`;
+  } catch (err) {
+    res.locals.audit.details = received.join(', ');
+    // Remove everything this request wrote, including a partially written file.
+    if (writer) await writer.abort();
+    await Promise.all(writtenFiles.map(filename => storage.remove(filename).catch(() => {})));
+    if (!err.status) console.error(err);
+    // The rest of the body is never read, so close the connection after answering.
+    res.setHeader('Connection', 'close');
+    const message = err.quotaExceeded ? 'Storage quota exceeded'
+      : err.status === 413 ? 'Upload too large'
+      : err.status === 415 ? 'Unsupported file type'
+      : err.status === 400 ? 'Invalid form-data' : 'Upload failed';
+    return res.status(err.status || 500).json({ message, error: err.message });
+  } finally {
+    trackUploadBytes(req.user._id, -bytesInProgress);
+  }
+  // Build a simple HTML response that includes login status and an advertisement snippet.
+  const responseHTML = `
+  <!DOCTYPE html>
+  <html>
+  <head>
+    <title>Upload Status</title>
+    <style>
+      body { font-family: Arial, sans-serif; background-color: #f5f5f5; padding: 20px; }
+      .container { background: white; padding: 20px; border-radius: 8px; max-width: 600px; margin: auto; }
+      .ad { background: #e2e2e2; padding: 10px; margin-top: 20px; border-radius: 4px; text-align: center; }
+    </style>
+  </head>
+  <body>
+    <div class="container">
+      <h1>Upload Complete</h1>
+      <p>You are logged in.</p>
+      <p>Uploaded ${fileUploads.length} file(s) successfully.</p>${skipped.length ? `
+      <p>Skipped ${skipped.length} duplicate(s): ${skipped.map(escapeHtml).join(', ')}</p>` : ''}
+      <p><a href="/">Return to Gallery</a></p>
+      <div class="ad">
+        <p>Advertisement: Upgrade to our premium plan for faster uploads and exclusive features!</p>
+      </div>
+    </div>
+  </body>
+  </html>`;
+  res.send(responseHTML);
+});
+
+//
+// Resumable uploads: POST /uploads creates a session, PATCH /uploads/:id appends
+// a chunk at the offset given in the Upload-Offset header, GET /uploads/:id
+// reports the current offset, DELETE /uploads/:id cancels. Chunks are encrypted
+// as they arrive and the File document is created when the last byte lands.
+// The offset only advances by whole encryption segments (or to the end of the
+// file), so the server may acknowledge less than the client sent.
+//
+
+// Session ids with a chunk currently being written.
+const activeUploadChunks = new Set();
+
+// Running sha256 of each session's committed plaintext, by session id. It lives in memory
+// only, so after a restart the finished file is hashed by reading it back instead.
+const uploadHashes = new Map();
+
+const uploadPartPath = (session) => path.join(UPLOAD_DIR, `${session.filename}.part`);
+const uploadExpiry = () => new Date(Date.now() + UPLOAD_SESSION_TTL_HOURS * 60 * 60 * 1000);
+const uploadSessionJSON = (session) => ({
+  id: session._id,
+  originalname: session.originalname,
+  size: session.size,
+  offset: session.offset,
+  expiresAt: session.expiresAt
+});
+
+// Move the assembled file into place and register it in the gallery, unless the
+// session's duplicate policy says to skip it.
+async function completeUploadSession(session) {
+  await storage.importFile(session.filename, uploadPartPath(session));
+  const upload = {
+    originalname: session.originalname,
+    filename: session.filename,
+    iv: session.iv,
+    cipher: session.cipher,
+    wrappedKey: session.wrappedKey,
+    keyVersion: session.keyVersion,
+    mimeType: session.mimeType,
+    size: session.size,
+    owner: session.owner
+  };
+  const running = uploadHashes.get(String(session._id));
+  uploadHashes.delete(String(session._id));
+  upload.contentHash = running && running.offset === session.size
+    ? running.hash.digest('hex')
+    : (await readMediaInfo(upload)).contentHash;
+  const { fields, duplicateOf } = await applyDuplicatePolicy(upload, session.duplicates || 'keep');
+  await UploadSession.deleteOne({ _id: session._id });
+  if (!fields) {
+    console.log(`Skipped duplicate: ${session.originalname} (same as ${duplicateOf.originalname}, resumable)`);
+    return { fileDoc: null, duplicateOf };
+  }
+  const fileDoc = await File.create(fields);
+  console.log(`Uploaded file: ${session.originalname} as ${fields.filename} (resumable${duplicateOf ? ', linked duplicate' : ''})`);
+  queueMediaProcessing([fileDoc]);
+  return { fileDoc, duplicateOf };
+}
+
+// Helper: response fields for a finished upload session
+const completedUploadJSON = ({ fileDoc, duplicateOf }) => ({
+  fileId: fileDoc ? fileDoc._id : null,
+  skipped: !fileDoc,
+  duplicateOf: duplicateOf ? duplicateOf._id : null
+});
+
+// Only refused uploads are audited here; accepted ones are when their last chunk lands.
+app.post('/uploads', authMiddleware('upload'), rateLimit(uploadRequests, 'upload requests'), auditAction('upload'), async (req, res) => {
+  try {
+    const originalname = typeof req.body.filename === 'string' ? req.body.filename.trim() : '';
+    const size = Number(req.body.size);
+    res.locals.audit.details = `${originalname} (resumable)`;
+    if (!originalname || !Number.isSafeInteger(size) || size < 0) {
+      return res.status(400).json({ message: 'filename and size are required' });
+    }
+    if (size > MAX_FILE_SIZE) {
+      return res.status(413).json({ message: 'Upload too large', error: `${originalname} exceeds the per-file limit of ${formatBytes(MAX_FILE_SIZE)}` });
+    }
+    if (size === 0) {
+      return res.status(415).json({ message: 'Unsupported file type', error: `${originalname} is empty` });
+    }
+    const duplicates = parseDuplicatePolicy(req.body.duplicates);
+    if (!duplicates) {
+      return res.status(400).json({ message: `duplicates must be one of ${DUPLICATE_POLICIES.join(', ')}` });
+    }
+    // The declared size counts against the quota until the upload finishes or expires;
+    // until the session is saved, it counts as in progress.
+    const allowance = await quotaAllowance(req.user);
+    if (size > allowance.remaining) {
+      return res.status(413).json({ message: 'Storage quota exceeded', error: quotaMessage(allowance, originalname) });
+    }
+    trackUploadBytes(req.user._id, size);
+    let session;
+    try {
+      const dataKey = await newDataKey();
+      session = new UploadSession({
+        filename: newBlobName(originalname),
+        originalname,
+        size,
+        iv: crypto.randomBytes(12).toString('hex'),
+        cipher: CIPHER,
+        wrappedKey: dataKey.wrappedKey,
+        keyVersion: dataKey.keyVersion,
+        duplicates,
+        owner: req.user._id,
+        expiresAt: uploadExpiry()
+      });
+      await fs.writeFile(uploadPartPath(session), Buffer.alloc(0));
+      await session.save();
+    } finally {
+      trackUploadBytes(req.user._id, -size);
+    }
+    res.locals.audit.skip = true;
+    res.setHeader('Location', `/uploads/${session._id}`);
+    res.status(201).json(uploadSessionJSON(session));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Could not create upload', error: err.message });
+  }
+});
+
+app.get('/uploads/:id([0-9a-fA-F]{24})', authMiddleware('upload'), async (req, res) => {
+  try {
+    const session = await UploadSession.findOne({ _id: req.params.id, owner: req.user._id });
+    if (!session) return res.status(404).json({ message: 'Upload not found' });
+    res.setHeader('Upload-Offset', session.offset);
+    res.json(uploadSessionJSON(session));
+  } catch (err) {
+    res.status(500).json({ message: 'Could not read upload', error: err.message });
+  }
+});
+
+// Helper: writes a chunk's plaintext into the part file at the session's offset.
+// `received` counts bytes seen so far; `committed` is the offset safely on disk.
+const createPartWriter = async (session, handle) => {
+  if (session.cipher === CTR_CIPHER) {
+    // Sessions started before segmented encryption: CTR can commit every byte.
+    const cipher = createCipherAt(session.iv, session.offset);
+    const part = {
+      received: session.offset,
+      committed: session.offset,
+      write: async (chunk) => {
+        part.received += chunk.length;
+        const encrypted = cipher.update(chunk);
+        await handle.write(encrypted, 0, encrypted.length, part.committed);
+        part.committed += chunk.length;
+      }
+    };
+    return part;
+  }
+
+  const key = await fileKey(session);
+  let running = uploadHashes.get(String(session._id));
+  if (!running || running.offset !== session.offset) {
+    running = session.offset === 0 ? { hash: crypto.createHash('sha256'), offset: 0 } : null;
+  }
+  if (running) uploadHashes.set(String(session._id), running);
+  else uploadHashes.delete(String(session._id));
+  let pending = Buffer.alloc(0);
+  const part = {
+    received: session.offset,
+    committed: session.offset,
+    write: async (chunk) => {
+      part.received += chunk.length;
+      pending = pending.length ? Buffer.concat([pending, chunk]) : chunk;
+      while (pending.length >= SEGMENT_SIZE || (pending.length > 0 && part.received === session.size)) {
+        const plaintext = pending.subarray(0, SEGMENT_SIZE);
+        const index = part.committed / SEGMENT_SIZE;
+        const final = part.committed + plaintext.length === session.size;
+        const encrypted = encryptSegment(key, session.iv, index, plaintext, final);
+        await handle.write(encrypted, 0, encrypted.length, index * ENCRYPTED_SEGMENT_SIZE);
+        if (running) {
+          running.hash.update(plaintext);
+          running.offset += plaintext.length;
+        }
+        part.committed += plaintext.length;
+        pending = pending.subarray(plaintext.length);
+      }
+    }
+  };
+  return part;
+};
+
+app.patch('/uploads/:id([0-9a-fA-F]{24})', authMiddleware('upload'), rateLimit(uploadRequests, 'upload requests'), auditAction('upload'), async (req, res) => {
+  const id = req.params.id;
+  // Only the chunk that completes the upload, or ends it for good, is audited.
+  res.locals.audit.skip = true;
+  if (activeUploadChunks.has(id)) {
+    res.setHeader('Connection', 'close');
+    return res.status(409).json({ message: 'Another chunk is still being written for this upload' });
+  }
+  activeUploadChunks.add(id);
+  let handle = null;
+  let session = null;
+  try {
+    session = await UploadSession.findOne({ _id: id, owner: req.user._id });
+    if (!session) throw httpError(404, 'Upload not found');
+    res.locals.audit.details = `${session.originalname} (resumable)`;
+    const offset = Number(req.headers['upload-offset']);
+    if (offset !== session.offset) throw httpError(409, `Upload-Offset must be ${session.offset}`);
+
+    handle = await fs.open(uploadPartPath(session), 'r+');
+    const part = await createPartWriter(session, handle);
+    // The type is sniffed from the start of the file. Until those bytes are committed the
+    // upload stays at offset 0, so a later chunk can't replace them unchecked.
+    let head = session.offset === 0 ? Buffer.alloc(0) : null;
+    let sniffed = null;
+    try {
+      for await (const chunk of req.iterator({ destroyOnReturn: false })) {
+        if (part.received + chunk.length > session.size) throw httpError(413, 'Chunk runs past the declared upload size');
+        if (head) {
+          head = Buffer.concat([head, chunk]);
+          if (head.length >= SNIFF_BYTES || part.received + chunk.length === session.size) {
+            sniffed = { mimeType: checkUploadType(head, session.originalname), length: head.length };
+            head = null;
+          }
+        }
+        await part.write(chunk);
+      }
+    } finally {
+      // Keep whatever reached the disk, even if the connection dropped mid-chunk.
+      await handle.close();
+      handle = null;
+      if (session.offset > 0 || (sniffed && part.committed >= sniffed.length)) {
+        session.offset = part.committed;
+        if (sniffed) session.mimeType = sniffed.mimeType;
+      }
+      session.expiresAt = uploadExpiry();
+      await session.save();
+    }
+
+    res.setHeader('Upload-Offset', session.offset);
+    if (session.offset < session.size) return res.json(uploadSessionJSON(session));
+    res.locals.audit.skip = false;
+    const completed = await completeUploadSession(session);
+    if (completed.fileDoc) res.locals.audit.files = [completed.fileDoc];
+    else res.locals.audit.details = `${session.originalname} (resumable, skipped duplicate)`;
+    res.json({ ...uploadSessionJSON(session), ...completedUploadJSON(completed) });
+  } catch (err) {
+    if (handle) await handle.close().catch(() => {});
+    if (err.status === 415 || !err.status) res.locals.audit.skip = false;
+    if (err.status === 415) {
+      // A disallowed type can never complete, so drop the upload altogether.
+      await fs.unlink(uploadPartPath(session)).catch(() => {});
+      await UploadSession.deleteOne({ _id: session._id });
+      uploadHashes.delete(id);
+    }
+    if (res.headersSent || req.destroyed) return;
+    if (!err.status) console.error(err);
+    if (session) res.setHeader('Upload-Offset', session.offset);
+    res.setHeader('Connection', 'close');
+    res.status(err.status || 500).json({ message: err.message, offset: session?.offset });
+  } finally {
+    activeUploadChunks.delete(id);
+  }
+});
+
+app.delete('/uploads/:id([0-9a-fA-F]{24})', authMiddleware('upload'), async (req, res) => {
+  try {
+    const session = await UploadSession.findOne({ _id: req.params.id, owner: req.user._id });
+    if (!session) return res.status(404).json({ message: 'Upload not found' });
+    if (activeUploadChunks.has(req.params.id)) {
+      return res.status(409).json({ message: 'A chunk is still being written for this upload' });
+    }
+    await fs.unlink(uploadPartPath(session)).catch(() => {});
+    await UploadSession.deleteOne({ _id: session._id });
+    uploadHashes.delete(req.params.id);
+    res.status(204).end();
+  } catch (err) {
+    res.status(500).json({ message: 'Could not cancel upload', error: err.message });
+  }
+});
+
+// Garbage-collect resumable uploads that expired, along with their partial files.
+async function purgeExpiredUploads() {
+  const expired = await UploadSession.find({ expiresAt: { $lt: new Date() } });
+  for (const session of expired) {
+    if (activeUploadChunks.has(String(session._id))) continue;
+    await fs.unlink(uploadPartPath(session)).catch(() => {});
+    await UploadSession.deleteOne({ _id: session._id });
+    uploadHashes.delete(String(session._id));
+    console.log(`Discarded expired upload: ${session.originalname} (${session.offset} of ${session.size} bytes)`);
+  }
+}
+setInterval(() => {
+  purgeExpiredUploads().catch(err => console.error('Expired upload cleanup failed:', err));
+}, 15 * 60 * 1000).unref();
+
+// Helper function to format file sizes
+function formatBytes(bytes, decimals = 2) {
+  if (bytes === 0) return '0 Bytes';
+  const k = 1024,
+        dm = decimals < 0 ? 0 : decimals,
+        sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'],
+        i = Math.floor(Math.log(bytes) / Math.log(k));
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(dm)) + ' ' + sizes[i];
+}
+
+//
+// Gallery listing: pages of files in a stable order, continued with an opaque cursor.
+// Sorting and type filtering happen in MongoDB; "random" orders files by a per-file
+// randomKey scrambled with the seed, so a given seed always yields the same order.
+//
+
+const GALLERY_PAGE_SIZE = 60;
+const MAX_GALLERY_PAGE_SIZE = 200;
+const typeFilters = {
+  image: { mimeType: /^image\// },
+  gif: { mimeType: 'image/gif' },
+  video: { mimeType: /^video\// }
+};
+// The "gif" and "video" sorts show every file, those of the type first.
+const typeFirstConditions = {
+  gif: { $eq: ['$mimeType', 'image/gif'] },
+  video: { $regexMatch: { input: { $ifNull: ['$mimeType', ''] }, regex: '^video/' } }
+};
+
+const encodeCursor = (values) => Buffer.from(JSON.stringify(values)).toString('base64url');
+const decodeCursor = (cursor) => {
+  try {
+    const [value, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (!mongoose.isValidObjectId(id)) throw new Error();
+    return { value, id: new mongoose.Types.ObjectId(id) };
+  } catch (err) {
+    throw httpError(400, 'Invalid cursor');
+  }
+};
+
+// Helper: a ?from= / ?to= value as a Date; a plain YYYY-MM-DD `to` includes that whole day
+const parseDateQuery = (value, name) => {
+  if (!value) return null;
+  const date = new Date(String(value));
+  if (Number.isNaN(date.getTime())) throw httpError(400, `Invalid ${name} date`);
+  if (name === 'to' && /^\d{4}-\d{2}-\d{2}$/.test(String(value))) date.setUTCDate(date.getUTCDate() + 1);
+  return date;
+};
+
+// Helper: a ?minSize= / ?maxSize= value ("500kb", "2gb" or bytes), or null
+const parseSizeQuery = (value, name) => {
+  if (!value) return null;
+  const size = parseSize(value, null);
+  if (size === null) throw httpError(400, `Invalid ${name}`);
+  return size;
+};
+
+// Helper: the date a listing sorts and filters by: date taken for the timeline sorts
+const listDateField = (sort) => (sort === 'taken' || sort === 'taken-asc' ? 'takenAt' : 'uploadDate');
+
+// Helper: read ?sort=, ?type=, ?seed=, ?limit= and ?cursor= into listFiles options, plus
+// the search options ?q= (words in the name, tags or caption), ?tag= (repeatable, all
+// must match), ?from= / ?to= (date taken when sorting by it, else upload date) and
+// ?minSize= / ?maxSize=. The "gif" and "video" sorts list GIFs or videos first, then the
+// other files, each newest upload first.
+const parseListQuery = (query) => {
+  const sort = ['asc', 'desc', 'taken', 'taken-asc', 'random', 'gif', 'video'].includes(query.sort) ? query.sort : 'desc';
+  const type = typeFilters[query.type] ? query.type : null;
+  const seed = sort === 'random' ? (parseInt(query.seed, 10) || crypto.randomInt(1, 2 ** 31)) : null;
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || GALLERY_PAGE_SIZE, 1), MAX_GALLERY_PAGE_SIZE);
+  return {
+    sort, type, seed, limit,
+    cursor: query.cursor ? decodeCursor(String(query.cursor)) : null,
+    q: typeof query.q === 'string' ? query.q.trim().slice(0, 200) : '',
+    tags: normalizeTags(query.tag),
+    from: parseDateQuery(query.from, 'from'),
+    to: parseDateQuery(query.to, 'to'),
+    minSize: parseSizeQuery(query.minSize, 'minSize'),
+    maxSize: parseSizeQuery(query.maxSize, 'maxSize')
+  };
+};
+
+// Helper: `filter` narrowed by the listing's type and search options (never the trash)
+const listMatch = (filter, { sort, type, q, tags, from, to, minSize, maxSize }) => {
+  const match = { ...filter, deletedAt: null, ...(type ? typeFilters[type] : {}) };
+  // Quoting each word makes the text search require all of them (it ORs bare words).
+  if (q) match.$text = { $search: q.split(/\s+/).map(word => `"${word.replace(/"/g, '')}"`).join(' ') };
+  if (tags.length > 0) match.tags = { $all: tags };
+  if (from || to) match[listDateField(sort)] = { ...(from && { $gte: from }), ...(to && { $lt: to }) };
+  if (minSize !== null || maxSize !== null) {
+    match.size = { ...(minSize !== null && { $gte: minSize }), ...(maxSize !== null && { $lte: maxSize }) };
+  }
+  return match;
+};
+
+// Helper: how many files a listing query matches in total (for the gallery counter)
+const countListedFiles = (filter, query) => File.countDocuments(listMatch(filter, parseListQuery(query)));
+
+// One page of the files matching `filter`, as { files, nextCursor }.
+async function listFiles(filter, options) {
+  const { sort, seed, limit, cursor } = options;
+  const match = listMatch(filter, options);
+  let files;
+  let sortKeys = null;
+  if (sort === 'random') {
+    // A seed-dependent multiplier scrambles randomKey; the fractional part is the sort key.
+    const multiplier = 1e5 + (parseInt(sha256(String(seed)).slice(0, 8), 16) % 9e5);
+    const pipeline = [
+      { $match: match },
+      { $addFields: { sortKey: { $mod: [{ $multiply: [{ $ifNull: ['$randomKey', 0] }, multiplier] }, 1] } } }
+    ];
+    if (cursor) {
+      pipeline.push({ $match: { $or: [{ sortKey: { $gt: cursor.value } }, { sortKey: cursor.value, _id: { $gt: cursor.id } }] } });
+    }
+    pipeline.push({ $sort: { sortKey: 1, _id: 1 } }, { $limit: limit + 1 });
+    const docs = await File.aggregate(pipeline);
+    sortKeys = docs.map(doc => doc.sortKey);
+    files = docs.map(doc => File.hydrate(doc));
+  } else if (typeFirstConditions[sort]) {
+    // Files of the type get sort key 0 and the rest 1; the cursor holds the key and the date.
+    const pipeline = [
+      { $match: match },
+      { $addFields: { sortKey: { $cond: [typeFirstConditions[sort], 0, 1] } } }
+    ];
+    if (cursor) {
+      if (!Array.isArray(cursor.value)) throw httpError(400, 'Invalid cursor');
+      const [key, date] = [cursor.value[0], new Date(cursor.value[1])];
+      pipeline.push({ $match: { $or: [
+        { sortKey: { $gt: key } },
+        { sortKey: key, uploadDate: { $lt: date } },
+        { sortKey: key, uploadDate: date, _id: { $lt: cursor.id } }
+      ] } });
+    }
+    pipeline.push({ $sort: { sortKey: 1, uploadDate: -1, _id: -1 } }, { $limit: limit + 1 });
+    const docs = await File.aggregate(pipeline);
+    sortKeys = docs.map(doc => [doc.sortKey, doc.uploadDate]);
+    files = docs.map(doc => File.hydrate(doc));
+  } else {
+    const field = listDateField(sort);
+    const direction = sort === 'asc' || sort === 'taken-asc' ? 1 : -1;
+    const after = direction === 1 ? '$gt' : '$lt';
+    if (cursor) {
+      const date = new Date(cursor.value);
+      match.$and = [{ $or: [{ [field]: { [after]: date } }, { [field]: date, _id: { [after]: cursor.id } }] }];
+    }
+    files = await File.find(match).sort({ [field]: direction, _id: direction }).limit(limit + 1);
+  }
+  const hasMore = files.length > limit;
+  files = files.slice(0, limit);
+  const last = files[files.length - 1];
+  const nextCursor = hasMore ? encodeCursor([sortKeys ? sortKeys[limit - 1] : last[listDateField(sort)], String(last._id)]) : null;
+  return { files, nextCursor };
+}
+
+// Helper: what the gallery (and the listing API) shows for a file.
+// `share` ({ link, path }) points the URLs at a share link's routes.
+async function galleryFileJSON(fileDoc, share) {
+  const fileUrl = share ? `${share.path}/files/${fileDoc._id}` : `/download/${fileDoc._id}`;
+  return {
+    id: fileDoc._id,
+    originalname: fileDoc.originalname,
+    type: mediaKind(fileDoc),
+    mimeType: fileDoc.mimeType || null,
+    url: `${fileUrl}?inline=true`,
+    // Videos browsers can't play are shown as processing until their playable version exists.
+    playUrl: fileDoc.playable ? (share ? `${share.path}/play/${fileDoc._id}` : `/play/${fileDoc._id}`) : null,
+    processing: isTranscoding(fileDoc),
+    thumbUrl: fileDoc.thumbnail ? (share ? `${share.path}/thumbs/${fileDoc._id}` : `/thumb/${fileDoc._id}`) : null,
+    downloadUrl: fileUrl,
+    canStripMetadata: canStripMetadata(fileDoc),
+    size: fileDoc.size ?? null,
+    uploadDate: fileDoc.uploadDate,
+    takenAt: share?.link.stripMetadata === 'all' ? fileDoc.uploadDate : fileDoc.takenAt || fileDoc.uploadDate,
+    metadata: metadataJSON(fileDoc.metadata, share?.link.stripMetadata),
+    tags: fileDoc.tags || [],
+    caption: fileDoc.caption || null
+  };
+}
+
+// Helper: a listing page as JSON for the gallery and API clients
+const listFilesJSON = async (filter, query, share) => {
+  const options = parseListQuery(query);
+  const { files, nextCursor } = await listFiles(filter, options);
+  return {
+    files: await Promise.all(files.map(fileDoc => galleryFileJSON(fileDoc, share))),
+    nextCursor,
+    sort: options.sort,
+    type: options.type,
+    seed: options.seed,
+    // The search as given, for the gallery's search form and its next-page requests
+    search: {
+      q: options.q,
+      tag: options.tags,
+      from: typeof query.from === 'string' ? query.from : '',
+      to: typeof query.to === 'string' ? query.to : '',
+      minSize: typeof query.minSize === 'string' ? query.minSize : '',
+      maxSize: typeof query.maxSize === 'string' ? query.maxSize : ''
+    }
+  };
+};
+
+// GET /api/files?sort=desc|asc|taken|taken-asc|random&type=image|gif|video&seed=&limit=&cursor=&album=
+app.get('/api/files', authMiddleware('read'), async (req, res) => {
+  try {
+    const album = req.query.album ? await findAlbum(req.user, String(req.query.album)) : null;
+    if (req.query.album && !album) return res.status(404).json({ message: 'Album not found' });
+    res.json(await listFilesJSON(album ? albumFilesFilter(album) : { owner: req.user._id }, req.query));
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    res.status(500).json({ message: 'Could not list files', error: err.message });
+  }
+});
+
+//
+// File details: tags and a caption per file, editable one at a time from the viewer
+// or in bulk for a selection. Both feed the search box (see listMatch).
+//
+
+const MAX_TAGS = 50;
+const MAX_TAG_LENGTH = 50;
+const MAX_CAPTION_LENGTH = 2000;
+
+// Helper: tags from a list and/or comma-separated strings: trimmed, lowercase, unique
+const normalizeTags = (value) => [...new Set([].concat(value ?? [])
+  .flatMap(tag => String(tag).split(','))
+  .map(tag => tag.trim().toLowerCase().replace(/\s+/g, ' '))
+  .filter(Boolean))];
+
+// Helper: normalized tags, or a 400 error when there are too many or one is too long
+const parseTags = (value) => {
+  const tags = normalizeTags(value);
+  if (tags.length > MAX_TAGS) throw httpError(400, `A file can have at most ${MAX_TAGS} tags`);
+  if (tags.some(tag => tag.length > MAX_TAG_LENGTH)) throw httpError(400, `Tags can be at most ${MAX_TAG_LENGTH} characters`);
+  return tags;
+};
+
+// Helper: $set / $unset for a caption; an empty caption removes it
+const captionUpdate = (value) => {
+  const caption = String(value ?? '').trim();
+  if (caption.length > MAX_CAPTION_LENGTH) throw httpError(400, `Captions can be at most ${MAX_CAPTION_LENGTH} characters`);
+  return caption ? { $set: { caption } } : { $unset: { caption: 1 } };
+};
+
+// PATCH /api/files/:id with { tags, caption }: replaces whichever is given.
+app.patch('/api/files/:id([0-9a-fA-F]{24})', authMiddleware('upload'), async (req, res) => {
+  try {
+    const update = 'caption' in req.body ? captionUpdate(req.body.caption) : {};
+    if ('tags' in req.body) update.$set = { ...update.$set, tags: parseTags(req.body.tags) };
+    const fileDoc = await File.findOneAndUpdate({ _id: req.params.id, owner: req.user._id, deletedAt: null }, update, { new: true });
+    if (!fileDoc) return res.status(404).json({ message: 'File not found' });
+    res.json(await galleryFileJSON(fileDoc));
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    res.status(500).json({ message: 'Could not update file', error: err.message });
+  }
+});
+
+// POST /api/files/bulk-edit with { ids, addTags, removeTags, caption } for a selection.
+// The caption is only touched when given (an empty one removes it).
+app.post('/api/files/bulk-edit', authMiddleware('upload'), async (req, res) => {
+  try {
+    const filter = { _id: { $in: parseIds(req.body.ids) }, owner: req.user._id, deletedAt: null };
+    const addTags = parseTags(req.body.addTags);
+    const removeTags = normalizeTags(req.body.removeTags);
+    let modified = 0;
+    // MongoDB won't $addToSet and $pull the same array in one update.
+    if (addTags.length > 0) modified += (await File.updateMany(filter, { $addToSet: { tags: { $each: addTags } } })).modifiedCount;
+    if (removeTags.length > 0) modified += (await File.updateMany(filter, { $pull: { tags: { $in: removeTags } } })).modifiedCount;
+    if ('caption' in req.body) modified += (await File.updateMany(filter, captionUpdate(req.body.caption))).modifiedCount;
+    res.json({ matched: await File.countDocuments(filter), modified });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    res.status(500).json({ message: 'Could not update files', error: err.message });
+  }
+});
+
+// Render the gallery grid and modal viewer. `page` is the first listing page
+// (see listFilesJSON); the rest is fetched from the listing API as the user scrolls.
+// With `share` ({ link, path }) the page is the read-only view of a share link:
+// file URLs point at the share's routes and upload, delete, sorting and account
+// controls are left out. With `album` it shows that album's files, with controls
+// to remove them, pick the cover and download the album. `albums` fill the
+// "Add to album" picker.
+async function renderGalleryPage(page, { user, share, album, albums = [], total, csrfToken }) {
+  const listParams = new URLSearchParams({ sort: page.sort });
+  if (album) listParams.set('album', album._id);
+  if (page.type) listParams.set('type', page.type);
+  if (page.seed) listParams.set('seed', page.seed);
+  const { search } = page;
+  for (const name of ['q', 'from', 'to', 'minSize', 'maxSize']) {
+    if (search[name]) listParams.set(name, search[name]);
+  }
+  search.tag.forEach(tag => listParams.append('tag', tag));
+  const searching = Boolean(page.type || search.q || search.tag.length || search.from || search.to || search.minSize || search.maxSize);
+  const listUrl = `${share ? `${share.path}/api/files` : '/api/files'}?${listParams}`;
+  const bulkDownloadUrl = share ? `${share.path}/download/bulk` : '/download/bulk';
+  const galleryPath = share ? share.path : album ? `/albums/${album._id}` : '/';
+  const otherAlbums = albums.filter(other => !album || !other._id.equals(album._id));
+  const header = `
+      <div style="text-align:center; margin-bottom:20px; color:#fff; font-size:1.2em;">
+        ${searching ? 'Matching files' : 'Total files'}: ${total}${share && share.link.expiresAt ? ` · Link expires ${formatDate(share.link.expiresAt)}` : ''}
+      </div>
+    `;
+
+  // Search box, filters and sort order; a GET form, so results are bookmarkable.
+  const sortOptionsHTML = share ? '' : `
+      <form class="search-form" action="${galleryPath}" method="GET">
+        <input type="search" name="q" value="${escapeHtml(search.q)}" placeholder="Search names, tags and captions">
+        <select name="type">
+          <option value="">All types</option>
+          <option value="image" ${page.type==='image'?'selected':''}>Images</option>
+          <option value="gif" ${page.type==='gif'?'selected':''}>GIFs</option>
+          <option value="video" ${page.type==='video'?'selected':''}>Videos</option>
+        </select>
+        <label>From <input type="date" name="from" value="${escapeHtml(search.from)}"></label>
+        <label>To <input type="date" name="to" value="${escapeHtml(search.to)}"></label>
+        <input type="text" name="minSize" value="${escapeHtml(search.minSize)}" placeholder="Min size, e.g. 1mb" size="14">
+        <input type="text" name="maxSize" value="${escapeHtml(search.maxSize)}" placeholder="Max size" size="10">
+        ${search.tag.map(tag => `<label class="tag-chip"><input type="checkbox" name="tag" value="${escapeHtml(tag)}" checked> #${escapeHtml(tag)}</label>`).join('')}
+        <label for="sortSelect">Sort by:</label>
+        <select id="sortSelect" name="sort">
+          <option value="desc" ${page.sort==='desc'?'selected':''}>Last Uploaded</option>
+          <option value="asc" ${page.sort==='asc'?'selected':''}>First Uploaded</option>
+          <option value="taken" ${page.sort==='taken'?'selected':''}>Newest Taken</option>
+          <option value="taken-asc" ${page.sort==='taken-asc'?'selected':''}>Oldest Taken</option>
+          <option value="random" ${page.sort==='random'?'selected':''}>Random</option>
+          <option value="gif" ${page.sort==='gif'?'selected':''}>GIFs First</option>
+          <option value="video" ${page.sort==='video'?'selected':''}>Videos First</option>
+        </select>
+        <button type="submit">Search</button>${searching ? `
+        <a href="${galleryPath}">Clear</a>` : ''}
+      </form>
     `;
-    const html = `
+  return `
+    <!DOCTYPE html>
+    <html lang="en">
+      <head>
+        <meta charset="UTF-8">
+        <meta http-equiv="X-UA-Compatible" content="IE=edge">
+        <meta name="viewport" content="width=device-width, initial-scale=1">
+        <title>Image & Video Uploader & Downloader</title>
+        <link rel="icon" href="/favicon.ico" type="image/x-icon">
+        <meta name="description" content="Upload and download your images and videos easily with our platform.">
+        <meta name="keywords" content="image uploader, video uploader, file downloader">
+        <meta name="author" content="Your Name">
+        <style>
+          body { background: #202123; color: #E4E6EB; font-family: Arial, sans-serif; margin: 0; padding: 20px; }
+          .container { max-width: 1200px; margin: auto; background: #2D2F31; padding: 20px; border-radius: 8px; box-shadow: 0 2px 8px rgba(0,0,0,0.5); }
+          h1, h2 { color: #ffffff; text-align: center; }
+          form.upload-form { margin-bottom: 20px; text-align: center; }
+          form.logout-form { text-align: right; font-size: 0.9em; }
+          form.logout-form a { color: #4A90E2; margin: 0 5px; }
+          form.logout-form button { padding: 5px 10px; font-size: 0.9em; }
+          .upload-status { max-width: 400px; margin: 0 auto 20px; font-size: 0.9em; }
+          .upload-status .upload-row { margin-bottom: 8px; }
+          .upload-status .upload-name { overflow: hidden; white-space: nowrap; text-overflow: ellipsis; }
+          .upload-status progress { width: 100%; }
+          input[type="file"] { display: block; margin: auto; margin-bottom: 10px; background: #3A3B3C; color: #ffffff; border: none; padding: 8px; border-radius: 4px; width: 90%; max-width: 400px; }
+          button { background: #4A90E2; color: #ffffff; border: none; padding: 10px 20px; border-radius: 4px; cursor: pointer; font-size: 1em; margin: 5px; }
+          button:hover { background: #357ABD; }
+          .grid-options { text-align: center; margin-bottom: 20px; }
+          .grid-options select { background: #3A3B3C; color: #ffffff; border: none; padding: 5px; border-radius: 4px; font-size: 1em; }
+          .gallery { display: grid; gap: 10px; margin-top: 20px; grid-template-columns: repeat(3, 1fr); }
+          .gallery-item { background: #3A3B3C; border-radius: 4px; position: relative; cursor: pointer; overflow: hidden; height: 250px; display: flex; flex-direction: column; }
+          .gallery-item .image-box { flex: 8; overflow: hidden; position: relative; }
+          .gallery-item .image-box .play-badge { position: absolute; left: 8px; bottom: 8px; padding: 2px 7px; border-radius: 4px; background: rgba(0,0,0,0.6); color: #fff; font-size: 0.8em; pointer-events: none; }
+          .gallery-item .image-box img, .gallery-item .image-box video { width: 100%; height: 100%; object-fit: cover; display: block; }
+          .gallery-item .info-box { flex: 2; display: flex; align-items: center; justify-content: space-between; padding: 0 5px; background: rgba(0,0,0,0.7); }
+          .gallery-item .file-details { color: #fff; font-size: 0.8em; overflow: hidden; white-space: nowrap; text-overflow: ellipsis; }
+          .gallery-item .actions a { color: #4A90E2; text-decoration: none; margin-left: 5px; font-size: 0.8em; }
+          .gallery-group { grid-column: 1 / -1; margin: 10px 0 0; color: #ffffff; text-align: left; }
+          .gallery-item.selected::after { content: "\\2713"; position: absolute; top: 5px; right: 5px; font-size: 24px; color: #4A90E2; background: rgba(0, 0, 0, 0.6); padding: 4px; border-radius: 50%; z-index: 4; }
+          .gallery-sentinel { text-align: center; padding: 20px; color: #aaa; }
+          .controls { text-align: center; margin-top: 20px; }
+          .search-form { text-align: center; margin-bottom: 20px; font-size: 0.9em; }
+          .search-form input, .search-form select { background: #3A3B3C; color: #ffffff; border: none; padding: 6px; border-radius: 4px; margin: 3px; }
+          .search-form input[type="search"] { width: 260px; }
+          .search-form a { color: #4A90E2; }
+          .tag-chip { display: inline-block; background: #3A3B3C; color: #E4E6EB; border-radius: 10px; padding: 2px 8px; margin: 2px; font-size: 0.9em; text-decoration: none; }
+          a.tag-chip:hover { background: #4A90E2; }
+          .modal-details { color: #E4E6EB; margin-top: 8px; }
+          .modal-caption { margin-bottom: 4px; }
+          .modal-metadata { color: #aaa; font-size: 0.9em; margin-bottom: 4px; }
+          .modal-edit { display: none; margin-top: 8px; }
+          .modal-edit input, .modal-edit textarea { background: #3A3B3C; color: #ffffff; border: none; padding: 6px; border-radius: 4px; width: 40%; vertical-align: middle; }
+          .bulk-edit { display: none; margin-top: 10px; }
+          .bulk-edit input { background: #3A3B3C; color: #ffffff; border: none; padding: 8px; border-radius: 4px; margin: 3px; }
+          .album-actions { text-align: center; margin-bottom: 20px; }
+          .album-actions a { color: #4A90E2; }
+          .album-picker { display: inline-block; }
+          .album-picker select { background: #3A3B3C; color: #ffffff; border: none; padding: 8px; border-radius: 4px; font-size: 1em; }
+          #selectionControls { display: none; }
+          .modal { display: none; position: fixed; z-index: 1000; left: 0; top: 0; width: 100%; height: 100%; overflow: hidden; background-color: rgba(0,0,0,0.9); }
+          .modal-content { position: relative; margin: auto; width: 90vw; height: 90vh; text-align: center; }
+          .modal-media-container { width: 100%; height: calc(100% - 110px); display: flex; align-items: center; justify-content: center; }
+          .modal-media-container img, .modal-media-container video { max-width: 100%; max-height: 100%; object-fit: contain; image-orientation: from-image; }
+          .modal-processing { max-width: 100%; max-height: 100%; color: #ccc; }
+          .modal-processing img { max-height: 60vh; opacity: 0.5; }
+          .close { position: absolute; top: 10px; right: 25px; color: #fff; font-size: 35px; font-weight: bold; cursor: pointer; }
+          .modal-actions { margin-top: 10px; }
+          .modal-actions a { color: #4A90E2; text-decoration: none; margin: 0 10px; font-size: 1em; }
+          .prev, .next { cursor: pointer; position: absolute; top: 50%; padding: 16px; color: #fff; font-weight: bold; font-size: 20px; transition: 0.3s; user-select: none; background: rgba(0,0,0,0.5); border: none; }
+          .prev:hover, .next:hover { background: rgba(0,0,0,0.8); }
+          .prev { left: 0; border-radius: 0 3px 3px 0; }
+          .next { right: 0; border-radius: 3px 0 0 3px; }
+          @media screen and (max-width: 600px) { .gallery { grid-template-columns: repeat(2, 1fr); } }
+        </style>
+        <script type="application/json" id="galleryConfig">${scriptJSON({
+          total,
+          listUrl,
+          bulkDownloadUrl,
+          galleryPath,
+          // Sorted by date taken, the gallery is a timeline with a header per month.
+          groupByMonth: page.sort === 'taken' || page.sort === 'taken-asc',
+          share: Boolean(share),
+          csrfToken: csrfToken || null,
+          page
+        })}</script>
+        <script src="/static/gallery.js" defer></script>
+      </head>
+      <body>
+        <div class="container">
+          ${share ? `
+          <h1>Shared Files</h1>` : `
+          <form class="logout-form" action="/logout" method="POST">
+            ${csrfField(csrfToken)}
+            <span>Logged in as ${escapeHtml(user.username)}</span>
+            <a href="/albums">Albums</a>
+            <a href="/duplicates">Duplicates</a>
+            <a href="/trash">Trash</a>
+            <a href="/usage">Usage</a>
+            <a href="/shares">Share links</a>
+            <a href="/tokens">API tokens</a>${user.admin ? `
+            <a href="/admin/audit">Audit log</a>` : ''}
+            <button type="submit">Log out</button>
+          </form>
+          ${album ? `
+          <h1>${escapeHtml(album.name)}</h1>
+          <form class="album-actions" action="/download/bulk" method="POST">
+            ${csrfField(csrfToken)}
+            <a href="/albums">All albums</a> · <a href="/">All files</a>
+            <input type="hidden" name="album" value="${album._id}">
+            <button type="submit">Download album</button>
+          </form>` : `
+          <h1>Image & Video Uploader & Downloader</h1>`}`}
+           ${header}
+           ${sortOptionsHTML}
+          ${share || album ? '' : `
+          <form class="upload-form" action="/upload${csrfToken ? `?_csrf=${csrfToken}` : ''}" method="POST" enctype="multipart/form-data">
+            <label>If a file is already in your library:
+              <select name="duplicates">
+                <option value="skip">skip it</option>
+                <option value="link">add it, sharing the stored copy</option>
+                <option value="keep">add a separate copy</option>
+              </select>
+            </label>
+            <input type="file" name="files" accept="image/*,video/*" multiple required>
+            <button type="submit">Upload</button>
+          </form>
+          <div id="uploadStatus" class="upload-status"></div>`}
+          <div class="controls">
+            <button id="toggleSelectMode" type="button" data-action="toggleSelectMode">Enter Select Mode</button>
+            <div id="selectionControls">
+              <button type="button" data-action="selectAllItems">Select All</button>
+              <button type="button" data-action="deselectAllItems">Deselect All</button>
+              <button type="button" data-action="bulkDownload">Bulk Download</button>${share ? '' : `
+              <button type="button" data-action="shareSelected">Share</button>
+              <button type="button" data-action="bulkDelete">Bulk Delete</button>
+              <button type="button" data-action="toggleBulkEdit">Edit Tags &amp; Caption</button>${album ? `
+              <button type="button" data-action="removeFromAlbum">Remove from Album</button>
+              <button type="button" data-action="setAlbumCover">Set as Cover</button>` : ''}
+              <span class="album-picker">
+                <select id="albumSelect">
+                  ${otherAlbums.map(other => `<option value="${other._id}">${escapeHtml(other.name)}</option>`).join('')}
+                  <option value="">New album…</option>
+                </select>
+                <button type="button" data-action="addToAlbum">Add to Album</button>
+              </span>
+              <form id="bulkEdit" class="bulk-edit" data-action="bulkEdit">
+                <input type="text" name="addTags" placeholder="Add tags">
+                <input type="text" name="removeTags" placeholder="Remove tags">
+                <label><input type="checkbox" name="setCaption"> Set caption</label>
+                <input type="text" name="caption" placeholder="Caption (empty removes it)" maxlength="${MAX_CAPTION_LENGTH}">
+                <button type="submit">Apply to Selected</button>
+              </form>`}
+            </div>
+          </div>
+          <div class="grid-options">
+            <label for="columnsSelect">Files per row:</label>
+            <select id="columnsSelect">
+              <option value="3">3</option>
+              <option value="6">6</option>
+              <option value="9">9</option>
+            </select>
+          </div>
+          <div class="gallery"></div>
+          <div id="gallerySentinel" class="gallery-sentinel"></div>
+        </div>
+        <!-- Modal for full-screen view -->
+        <div id="modal" class="modal">
+          <div class="modal-content">
+            <span class="close" data-action="closeModal">&times;</span>
+            <button class="prev" data-action="prevModal" id="prevButton" style="display: none;">&#10094;</button>
+            <div id="modalMediaContainer" data-action="closeModal" class="modal-media-container"></div>
+            <button class="next" data-action="nextModal" id="nextButton" style="display: none;">&#10095;</button>
+            <div class="modal-actions">
+              <a id="modalDownload" href="">Download</a>${share ? '' : `
+              <a id="modalDownloadStripped" href="" title="Without location, camera and other EXIF data">Download without metadata</a>
+              <a id="modalShare" href="">Share</a>
+              <a id="modalEdit" href="" data-action="toggleEditForm">Edit</a>
+              <a id="modalDelete" href="#" data-action="deleteCurrentFile">Delete</a>`}
+            </div>
+            <div class="modal-details" id="modalDetails"></div>${share ? '' : `
+            <form id="modalEditForm" class="modal-edit" data-action="saveFileDetails">
+              <input type="text" name="tags" placeholder="Tags, comma-separated" maxlength="2000">
+              <textarea name="caption" rows="2" placeholder="Caption" maxlength="${MAX_CAPTION_LENGTH}"></textarea>
+              <button type="submit">Save</button>
+            </form>`}
+            <div class="modal-counter" id="modalCounter"></div>
+          </div>
+        </div>
+      </body>
+    </html>`;
+}
+
+//
+// Share links: /shares lets the owner create and revoke links, /s/:token is the
+// public read-only gallery. Previews are free; downloads (single files and ZIPs)
+// count towards the link's download limit.
+//
+
+const isShareActive = (share) => !share.revokedAt
+  && (!share.expiresAt || share.expiresAt > new Date())
+  && (!share.maxDownloads || share.downloadCount < share.maxDownloads);
+
+// Record one download, unless the link's limit has been reached in the meantime.
+const countShareDownload = (share) => ShareLink.findOneAndUpdate(
+  { _id: share._id, $or: [{ maxDownloads: null }, { $expr: { $lt: ['$downloadCount', '$maxDownloads'] } }] },
+  { $inc: { downloadCount: 1 } },
+  { new: true }
+);
+
+const shareUnlockCookie = (share) => `share_${share._id}`;
+
+// Helper: normalise the "ids" form field (one value, several values or comma-separated)
+const parseIds = (ids) => [].concat(ids || []).flatMap(id => String(id).split(',')).filter(id => /^[0-9a-fA-F]{24}$/.test(id));
+
+// Minimal page for the public side of share links (unavailable link, password prompt).
+const renderSharePage = (title, content) => `
+    <!DOCTYPE html>
+    <html lang="en">
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1">
+        <title>${title}</title>
+        <link rel="icon" href="/favicon.ico" type="image/x-icon">
+        <style>
+          body { background: #202123; color: #E4E6EB; font-family: Arial, sans-serif; margin: 0; padding: 20px; }
+          .container { max-width: 360px; margin: 60px auto; background: #2D2F31; padding: 20px; border-radius: 8px; box-shadow: 0 2px 8px rgba(0,0,0,0.5); text-align: center; }
+          h1 { color: #ffffff; font-size: 1.4em; }
+          input { display: block; width: 100%; box-sizing: border-box; margin-bottom: 10px; background: #3A3B3C; color: #ffffff; border: none; padding: 10px; border-radius: 4px; font-size: 1em; }
+          button { width: 100%; background: #4A90E2; color: #ffffff; border: none; padding: 10px 20px; border-radius: 4px; cursor: pointer; font-size: 1em; }
+          button:hover { background: #357ABD; }
+          .error { color: #ff6b6b; margin-bottom: 10px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <h1>${title}</h1>
+          ${content}
+        </div>
+      </body>
+    </html>`;
+
+const renderSharePasswordPage = (sharePath, error) => renderSharePage('Password required', `
+          ${error ? `<div class="error">${error}</div>` : ''}
+          <form action="${sharePath}/unlock" method="POST">
+            <input type="password" name="password" placeholder="Link password" required autofocus>
+            <button type="submit">Open</button>
+          </form>`);
+
+// Share middleware: loads the link for :token into req.share, refusing revoked,
+// expired and used-up links, and links whose password hasn't been entered yet.
+const shareMiddleware = async (req, res, next) => {
+  try {
+    // Guessing at link tokens counts as failed sign-ins.
+    const wait = authRetryAfter(req);
+    if (wait) return tooManyRequests(res, wait, lockoutMessage(wait));
+    const share = await ShareLink.findOne({ tokenHash: sha256(req.params.token) });
+    if (!share) recordAuthFailure(req);
+    if (!share || !isShareActive(share)) {
+      return res.status(404).send(renderSharePage('Link unavailable', '<p>This link has expired, reached its download limit or was revoked.</p>'));
+    }
+    req.share = share;
+    req.sharePath = `/s/${req.params.token}`;
+    if (share.passwordHash) {
+      const unlocked = parseCookies(req)[shareUnlockCookie(share)];
+      if (!unlocked || unsignValue(unlocked) !== String(share._id)) {
+        if (req.method === 'GET' && req.path === req.sharePath) return res.send(renderSharePasswordPage(req.sharePath));
+        return res.status(401).json({ message: 'Unauthorized: This link is password protected' });
+      }
+    }
+    next();
+  } catch (err) {
+    res.status(500).json({ message: 'Could not open share link', error: err.message });
+  }
+};
+
+// Helper: query for a share link's files (or the subset of them in `ids`)
+const sharedFilesFilter = (share, ids) => ({
+  _id: { $in: ids ? share.files.filter(id => ids.includes(String(id))) : share.files },
+  owner: share.user,
+  deletedAt: null
+});
+
+const findSharedFiles = (share, ids) => File.find(sharedFilesFilter(share, ids)).sort({ uploadDate: -1 });
+
+app.get('/s/:token', shareMiddleware, async (req, res) => {
+  try {
+    const share = { link: req.share, path: req.sharePath };
+    const filter = sharedFilesFilter(req.share);
+    const [page, total] = await Promise.all([listFilesJSON(filter, {}, share), File.countDocuments(filter)]);
+    res.send(await renderGalleryPage(page, { share, total }));
+  } catch (err) {
+    res.status(500).json({ message: 'Error rendering shared gallery', error: err.message });
+  }
+});
+
+// Listing API behind the shared gallery's infinite scroll.
+app.get('/s/:token/api/files', shareMiddleware, async (req, res) => {
+  try {
+    res.json(await listFilesJSON(sharedFilesFilter(req.share), req.query, { link: req.share, path: req.sharePath }));
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    res.status(500).json({ message: 'Could not list files', error: err.message });
+  }
+});
+
+app.post('/s/:token/unlock', async (req, res) => {
+  try {
+    const share = await ShareLink.findOne({ tokenHash: sha256(req.params.token) });
+    const sharePath = `/s/${req.params.token}`;
+    if (!share || !isShareActive(share) || !share.passwordHash) return res.redirect(sharePath);
+    const account = `share:${share._id}`;
+    const wait = authRetryAfter(req, account);
+    if (wait) {
+      res.setHeader('Retry-After', String(wait));
+      return res.status(429).send(renderSharePasswordPage(sharePath, lockoutMessage(wait)));
+    }
+    if (!(await verifyPassword(String(req.body.password || ''), share.passwordHash))) {
+      recordAuthFailure(req, account);
+      return res.status(401).send(renderSharePasswordPage(sharePath, 'Wrong password'));
+    }
+    authFailuresByAccount.reset(account);
+    res.cookie(shareUnlockCookie(share), signValue(String(share._id)), {
+      ...sessionCookieOptions(),
+      path: sharePath,
+      expires: share.expiresAt || undefined
+    });
+    res.redirect(sharePath);
+  } catch (err) {
+    res.status(500).json({ message: 'Could not unlock share link', error: err.message });
+  }
+});
+
+app.get('/s/:token/files/:fileId([0-9a-fA-F]{24})', shareMiddleware, rateLimit(downloadRequests, 'downloads'), auditAction('download'), async (req, res) => {
+  res.locals.audit.skip = !isNewDownload(req);
+  res.locals.audit.files = [req.params.fileId];
+  try {
+    if (!req.share.files.some(id => String(id) === req.params.fileId)) {
+      return res.status(404).json({ message: 'File not found' });
+    }
+    const rendition = parseRenditionQuery(req.query);
+    const fileDoc = await File.findOne({ _id: req.params.fileId, owner: req.share.user, deletedAt: null });
+    if (!fileDoc) return res.status(404).json({ message: 'File not found' });
+    res.locals.audit.files = [fileDoc];
+    const inline = req.query.inline === 'true';
+    if (rendition && mediaKind(fileDoc) !== 'image') return res.status(400).json({ message: 'Only images can be resized or converted' });
+    if (req.share.stripMetadata && !rendition) checkStrippable(fileDoc);
+    // Follow-up range requests of the same download don't count again.
+    if (isNewDownload(req) && !(await countShareDownload(req.share))) {
+      return res.status(410).json({ message: 'This link has reached its download limit' });
+    }
+    // Renditions carry no metadata, so they need no stripping.
+    if (rendition) {
+      const full = renditionFor(fileDoc, rendition);
+      res.locals.audit.details = `rendition ${describeRendition(full)}`;
+      return await sendRendition(req, res, fileDoc, full, { inline });
+    }
+    await sendStoredFile(req, res, fileDoc, { inline, strip: req.share.stripMetadata });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    if (res.headersSent) return res.destroy();
+    console.error(err);
+    res.status(500).json({ message: 'Download failed', error: err.message });
+  }
+});
+
+// Thumbnails for the shared gallery; like inline views they don't count as downloads.
+app.get('/s/:token/thumbs/:fileId([0-9a-fA-F]{24})', shareMiddleware, async (req, res) => {
+  try {
+    if (!req.share.files.some(id => String(id) === req.params.fileId)) {
+      return res.status(404).json({ message: 'File not found' });
+    }
+    const fileDoc = await File.findOne({ _id: req.params.fileId, owner: req.share.user, deletedAt: null }, 'thumbnail');
+    if (!fileDoc) return res.status(404).json({ message: 'File not found' });
+    await sendThumbnail(res, fileDoc);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Could not load thumbnail', error: err.message });
+  }
+});
+
+// Playable versions of shared videos, for the shared gallery's player. Unlike the owner's
+// player, a visitor's plays are audited and count toward the link's download limit like
+// downloads; the player's follow-up range requests don't. The playable copy carries no
+// metadata, so links that strip it can serve it as it is.
+app.get('/s/:token/play/:fileId([0-9a-fA-F]{24})', shareMiddleware, rateLimit(downloadRequests, 'downloads'), auditAction('download'), async (req, res) => {
+  res.locals.audit.skip = !isNewDownload(req);
+  res.locals.audit.files = [req.params.fileId];
+  try {
+    if (!req.share.files.some(id => String(id) === req.params.fileId)) {
+      return res.status(404).json({ message: 'File not found' });
+    }
+    const fileDoc = await File.findOne({ _id: req.params.fileId, owner: req.share.user, deletedAt: null }, 'originalname playable');
+    if (!fileDoc) return res.status(404).json({ message: 'File not found' });
+    res.locals.audit.files = [fileDoc];
+    res.locals.audit.details = 'played';
+    if (!fileDoc.playable) return res.status(404).json({ message: 'This video has no playable version (yet)' });
+    if (isNewDownload(req) && !(await countShareDownload(req.share))) {
+      return res.status(410).json({ message: 'This link has reached its download limit' });
+    }
+    await sendPlayable(req, res, fileDoc);
+  } catch (err) {
+    if (res.headersSent) return res.destroy();
+    console.error(err);
+    res.status(500).json({ message: 'Could not play video', error: err.message });
+  }
+});
+
+app.post('/s/:token/download/bulk', shareMiddleware, rateLimit(downloadRequests, 'downloads'), auditAction('bulk-download'), async (req, res) => {
+  try {
+    const ids = req.body.ids ? parseIds(req.body.ids) : null;
+    const files = await findSharedFiles(req.share, ids);
+    res.locals.audit.files = files;
+    if (files.length === 0) return res.status(400).json({ message: 'No file IDs provided' });
+    if (req.share.stripMetadata) files.forEach(checkStrippable);
+    if (!(await countShareDownload(req.share))) {
+      return res.status(410).json({ message: 'This link has reached its download limit' });
+    }
+    await sendZip(res, files, 'shared-files.zip', { strip: req.share.stripMetadata });
+  } catch (err) {
+    if (res.headersSent) return res.destroy();
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    console.error(err);
+    res.status(500).json({ message: 'Bulk download failed', error: err.message });
+  }
+});
+
+const renderSharesPage = (shares, { newLink, files, ids, error, csrfToken } = {}) => {
+  const rows = shares.map(share => {
+    const status = share.revokedAt ? 'Revoked'
+      : share.expiresAt && share.expiresAt < new Date() ? 'Expired'
+      : share.maxDownloads && share.downloadCount >= share.maxDownloads ? 'Used up' : 'Active';
+    return `
+            <tr>
+              <td>${share.files.length} file(s)</td>
+              <td>${formatDate(share.createdAt)}</td>
+              <td>${share.expiresAt ? formatDate(share.expiresAt) : 'Never'}</td>
+              <td>${share.downloadCount}${share.maxDownloads ? ` / ${share.maxDownloads}` : ''}</td>
+              <td>${share.passwordHash ? 'Yes' : 'No'}</td>
+              <td>${share.stripMetadata === 'all' ? 'Removed' : share.stripMetadata === 'gps' ? 'No location' : 'Kept'}</td>
+              <td>${status}</td>
+              <td>${status === 'Active' ? `
+                <form action="/shares/${share._id}/revoke" method="POST" data-confirm="Revoke this link?">
+                  ${csrfField(csrfToken)}
+                  <button type="submit">Revoke</button>
+                </form>` : ''}
+              </td>
+            </tr>`;
+  });
+  return `
+    <!DOCTYPE html>
+    <html lang="en">
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1">
+        <title>Share Links – Image & Video Uploader & Downloader</title>
+        <link rel="icon" href="/favicon.ico" type="image/x-icon">
+        <style>
+          body { background: #202123; color: #E4E6EB; font-family: Arial, sans-serif; margin: 0; padding: 20px; }
+          .container { max-width: 1000px; margin: auto; background: #2D2F31; padding: 20px; border-radius: 8px; box-shadow: 0 2px 8px rgba(0,0,0,0.5); }
+          h1, h2 { color: #ffffff; text-align: center; }
+          a { color: #4A90E2; }
+          table { width: 100%; border-collapse: collapse; margin-bottom: 20px; font-size: 0.9em; }
+          th, td { text-align: left; padding: 6px; border-bottom: 1px solid #3A3B3C; vertical-align: top; }
+          input[type="text"], input[type="number"], input[type="password"], select { background: #3A3B3C; color: #ffffff; border: none; padding: 8px; border-radius: 4px; }
+          button { background: #4A90E2; color: #ffffff; border: none; padding: 8px 16px; border-radius: 4px; cursor: pointer; }
+          button:hover { background: #357ABD; }
+          .create-form { text-align: center; }
+          .create-form label { display: inline-block; margin: 5px 8px; }
+          .file-list { text-align: center; color: #999; font-size: 0.9em; margin-bottom: 10px; }
+          .new-link { background: #1E3A1E; padding: 10px; border-radius: 4px; margin-bottom: 20px; word-break: break-all; }
+          .error { color: #ff6b6b; text-align: center; margin-bottom: 10px; }
+        </style>
+        <script src="/static/forms.js" defer></script>
+      </head>
+      <body>
+        <div class="container">
+          <p><a href="/">Return to Gallery</a></p>
+          <h1>Share Links</h1>
+          ${error ? `<div class="error">${escapeHtml(error)}</div>` : ''}
+          ${newLink ? `
+          <div class="new-link">
+            Copy your link now, it won't be shown again:<br>
+            <a href="${newLink}">${newLink}</a>
+          </div>` : ''}
+          ${files ? `
+          <h2>Share ${files.length} file(s)</h2>
+          <div class="file-list">${files.map(file => escapeHtml(file.originalname)).join(', ')}</div>
+          <form class="create-form" action="/shares" method="POST">
+            ${csrfField(csrfToken)}
+            ${ids.map(id => `<input type="hidden" name="ids" value="${id}">`).join('')}
+            <label>Expires
+              <select name="expiresInDays">
+                <option value="1">in 1 day</option>
+                <option value="7" selected>in 7 days</option>
+                <option value="30">in 30 days</option>
+                <option value="">never</option>
+              </select>
+            </label>
+            <label>Download limit <input type="number" name="maxDownloads" min="1" placeholder="unlimited"></label>
+            <label>Password <input type="password" name="password" placeholder="optional" autocomplete="new-password"></label>
+            <label>Photo metadata
+              <select name="stripMetadata">
+                <option value="gps" selected>remove location</option>
+                <option value="all">remove all</option>
+                <option value="">keep</option>
+              </select>
+            </label>
+            <button type="submit">Create link</button>
+          </form>` : ''}
+          <h2>Your links</h2>
+          <table>
+            <tr><th>Files</th><th>Created</th><th>Expires</th><th>Downloads</th><th>Password</th><th>Metadata</th><th>Status</th><th></th></tr>
+            ${rows.join('') || '<tr><td colspan="8">No share links yet.</td></tr>'}
+          </table>
+        </div>
+      </body>
+    </html>`;
+};
+
+const findUserShares = (user) => ShareLink.find({ user: user._id }).sort({ createdAt: -1 });
+
+app.get('/shares', authMiddleware(), async (req, res) => {
+  try {
+    res.send(renderSharesPage(await findUserShares(req.user), { csrfToken: csrfToken(req) }));
+  } catch (err) {
+    res.status(500).json({ message: 'Error rendering share links', error: err.message });
+  }
+});
+
+// Share options form for the files picked in the gallery (GET from the modal, POST from select mode).
+app.all('/shares/new', authMiddleware(), async (req, res) => {
+  try {
+    const ids = parseIds(req.body.ids || req.query.ids);
+    const files = await File.find({ _id: { $in: ids }, owner: req.user._id, deletedAt: null }, 'originalname');
+    if (files.length === 0) return res.redirect('/');
+    res.send(renderSharesPage(await findUserShares(req.user), { files, ids: files.map(file => file._id), csrfToken: csrfToken(req) }));
+  } catch (err) {
+    res.status(500).json({ message: 'Error rendering share form', error: err.message });
+  }
+});
+
+app.post('/shares', authMiddleware(), auditAction('share-create'), async (req, res) => {
+  try {
+    const files = await File.find({ _id: { $in: parseIds(req.body.ids) }, owner: req.user._id, deletedAt: null }, '_id originalname mimeType');
+    res.locals.audit.files = files;
+    if (files.length === 0) return res.status(400).json({ message: 'No file IDs provided' });
+    const days = Number(req.body.expiresInDays);
+    const maxDownloads = Number(req.body.maxDownloads);
+    const stripMetadata = parseStripMode(req.body.stripMetadata);
+    // A link that promises to remove metadata must be able to, for every file.
+    const unstrippable = stripMetadata ? files.filter(fileDoc => !canStripMetadata(fileDoc)) : [];
+    if (unstrippable.length > 0) {
+      const error = `Metadata can't be removed from ${unstrippable.map(fileDoc => fileDoc.originalname).join(', ')} (${[...new Set(unstrippable.map(fileDoc => fileDoc.mimeType || 'unknown type'))].join(', ')}). Share them with metadata kept, or leave them out.`;
+      return res.status(400).send(renderSharesPage(await findUserShares(req.user), { files, ids: files.map(file => file._id), error, csrfToken: csrfToken(req) }));
+    }
+    const token = crypto.randomBytes(24).toString('base64url');
+    const share = await ShareLink.create({
+      user: req.user._id,
+      files: files.map(file => file._id),
+      tokenHash: sha256(token),
+      passwordHash: req.body.password ? await hashPassword(String(req.body.password)) : undefined,
+      expiresAt: days > 0 ? new Date(Date.now() + days * 24 * 60 * 60 * 1000) : null,
+      maxDownloads: Number.isInteger(maxDownloads) && maxDownloads > 0 ? maxDownloads : null,
+      stripMetadata
+    });
+    res.locals.audit.share = share._id;
+    console.log(`User ${req.user.username} shared ${files.length} file(s)`);
+    const newLink = `${req.protocol}://${req.get('host')}/s/${token}`;
+    res.status(201).send(renderSharesPage(await findUserShares(req.user), { newLink, csrfToken: csrfToken(req) }));
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    res.status(500).json({ message: 'Could not create share link', error: err.message });
+  }
+});
+
+app.post('/shares/:id([0-9a-fA-F]{24})/revoke', authMiddleware(), auditAction('share-revoke'), async (req, res) => {
+  try {
+    const share = await ShareLink.findOneAndUpdate({ _id: req.params.id, user: req.user._id, revokedAt: null }, { $set: { revokedAt: new Date() } });
+    // Revoking a link twice (or someone else's) changes nothing worth recording.
+    if (share) Object.assign(res.locals.audit, { share: share._id, files: share.files });
+    else res.locals.audit.skip = true;
+    res.redirect('/shares');
+  } catch (err) {
+    res.status(500).json({ message: 'Could not revoke share link', error: err.message });
+  }
+});
+
+//
+// Albums: named collections of the owner's files. A file can be in any number of albums;
+// deleting a file just drops it out of them, and deleting an album leaves its files alone.
+//
+
+const MAX_ALBUM_NAME_LENGTH = 100;
+
+// Helper: trimmed album name from a form, or null if empty or too long
+const parseAlbumName = (value) => {
+  const name = typeof value === 'string' ? value.trim() : '';
+  return name && name.length <= MAX_ALBUM_NAME_LENGTH ? name : null;
+};
+
+// Helper: query for an album's files that still exist
+const albumFilesFilter = (album) => ({ _id: { $in: album.files }, owner: album.owner, deletedAt: null });
+
+const findAlbum = async (user, id) => mongoose.isValidObjectId(id) ? Album.findOne({ _id: id, owner: user._id }) : null;
+
+// Helper: the album name made safe for a ZIP filename and the folder inside it
+const albumFolderName = (album) => album.name.replace(/[\/\\:*?"<>|\x00-\x1f]/g, '_').replace(/^\.+/, '_');
+
+// The file shown for an album: its chosen cover, or the newest file while none is set
+// (or the cover has left the album).
+async function findAlbumCover(album) {
+  const hasCover = album.cover && album.files.some(id => id.equals(album.cover));
+  const cover = hasCover ? await File.findOne({ _id: album.cover, owner: album.owner, deletedAt: null }) : null;
+  return cover || File.findOne(albumFilesFilter(album)).sort({ uploadDate: -1 });
+}
+
+// Helper: what the albums page and API show for an album
+async function albumJSON(album) {
+  const [count, cover] = await Promise.all([File.countDocuments(albumFilesFilter(album)), findAlbumCover(album)]);
+  let coverUrl = null;
+  if (cover) coverUrl = cover.thumbnail ? `/thumb/${cover._id}` : mediaKind(cover) === 'image' ? `/download/${cover._id}?inline=true` : null;
+  return { id: album._id, name: album.name, count, coverId: cover ? cover._id : null, coverUrl, url: `/albums/${album._id}`, createdAt: album.createdAt };
+}
+
+const findUserAlbums = (user) => Album.find({ owner: user._id }).sort({ name: 1 });
+
+const renderAlbumsPage = (albums, { error, csrfToken } = {}) => {
+  const cards = albums.map(album => `
+            <div class="album">
+              <a class="cover" href="${album.url}">${album.coverUrl ? `<img src="${album.coverUrl}" alt="" loading="lazy">` : '<span>No preview</span>'}</a>
+              <div class="album-name"><a href="${album.url}">${escapeHtml(album.name)}</a> · ${album.count} file(s)</div>
+              <form action="/albums/${album.id}/rename" method="POST">
+                ${csrfField(csrfToken)}
+                <input type="text" name="name" value="${escapeHtml(album.name)}" maxlength="${MAX_ALBUM_NAME_LENGTH}" required>
+                <button type="submit">Rename</button>
+              </form>
+              <form action="/albums/${album.id}/delete" method="POST" data-confirm="Delete this album? Its files stay in your gallery.">
+                ${csrfField(csrfToken)}
+                <button type="submit">Delete album</button>
+              </form>
+            </div>`);
+  return `
+    <!DOCTYPE html>
+    <html lang="en">
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1">
+        <title>Albums – Image & Video Uploader & Downloader</title>
+        <link rel="icon" href="/favicon.ico" type="image/x-icon">
+        <style>
+          body { background: #202123; color: #E4E6EB; font-family: Arial, sans-serif; margin: 0; padding: 20px; }
+          .container { max-width: 1000px; margin: auto; background: #2D2F31; padding: 20px; border-radius: 8px; box-shadow: 0 2px 8px rgba(0,0,0,0.5); }
+          h1 { color: #ffffff; text-align: center; }
+          a { color: #4A90E2; }
+          input[type="text"] { background: #3A3B3C; color: #ffffff; border: none; padding: 8px; border-radius: 4px; }
+          button { background: #4A90E2; color: #ffffff; border: none; padding: 8px 16px; border-radius: 4px; cursor: pointer; }
+          button:hover { background: #357ABD; }
+          .create-form { text-align: center; margin-bottom: 20px; }
+          .albums { display: grid; gap: 15px; grid-template-columns: repeat(auto-fill, minmax(220px, 1fr)); }
+          .album { background: #3A3B3C; border-radius: 4px; padding: 10px; font-size: 0.9em; }
+          .album .cover { display: flex; align-items: center; justify-content: center; height: 160px; background: #202123; border-radius: 4px; overflow: hidden; color: #999; text-decoration: none; }
+          .album .cover img { width: 100%; height: 100%; object-fit: cover; }
+          .album .album-name { margin: 8px 0; overflow: hidden; white-space: nowrap; text-overflow: ellipsis; }
+          .album form { display: inline-block; margin: 2px 0; }
+          .album input[type="text"] { width: 110px; padding: 6px; }
+          .album button { padding: 6px 10px; }
+          .error { color: #ff6b6b; text-align: center; margin-bottom: 10px; }
+        </style>
+        <script src="/static/forms.js" defer></script>
+      </head>
+      <body>
+        <div class="container">
+          <p><a href="/">Return to Gallery</a></p>
+          <h1>Albums</h1>
+          ${error ? `<div class="error">${escapeHtml(error)}</div>` : ''}
+          <form class="create-form" action="/albums" method="POST">
+            ${csrfField(csrfToken)}
+            <input type="text" name="name" placeholder="New album name" maxlength="${MAX_ALBUM_NAME_LENGTH}" required>
+            <button type="submit">Create album</button>
+          </form>
+          <div class="albums">${cards.join('') || '<p>No albums yet. Create one here, or select files in the gallery and add them to a new album.</p>'}
+          </div>
+        </div>
+      </body>
+    </html>`;
+};
+
+app.get('/albums', authMiddleware(), async (req, res) => {
+  try {
+    res.send(renderAlbumsPage(await Promise.all((await findUserAlbums(req.user)).map(albumJSON)), { csrfToken: csrfToken(req) }));
+  } catch (err) {
+    res.status(500).json({ message: 'Error rendering albums', error: err.message });
+  }
+});
+
+app.get('/api/albums', authMiddleware('read'), async (req, res) => {
+  try {
+    res.json(await Promise.all((await findUserAlbums(req.user)).map(albumJSON)));
+  } catch (err) {
+    res.status(500).json({ message: 'Could not list albums', error: err.message });
+  }
+});
+
+// Create an album, optionally with the files picked in select mode (`ids`).
+app.post('/albums', authMiddleware(), async (req, res) => {
+  try {
+    const name = parseAlbumName(req.body.name);
+    if (!name) {
+      const albums = await Promise.all((await findUserAlbums(req.user)).map(albumJSON));
+      return res.status(400).send(renderAlbumsPage(albums, { error: `Album names must be 1 to ${MAX_ALBUM_NAME_LENGTH} characters`, csrfToken: csrfToken(req) }));
+    }
+    const files = await File.find({ _id: { $in: parseIds(req.body.ids) }, owner: req.user._id, deletedAt: null }, '_id');
+    const album = await Album.create({ owner: req.user._id, name, files: files.map(file => file._id) });
+    console.log(`User ${req.user.username} created album ${name} with ${files.length} file(s)`);
+    res.redirect(`/albums/${album._id}`);
+  } catch (err) {
+    res.status(500).json({ message: 'Could not create album', error: err.message });
+  }
+});
+
+app.post('/albums/:id([0-9a-fA-F]{24})/rename', authMiddleware(), async (req, res) => {
+  try {
+    const name = parseAlbumName(req.body.name);
+    if (!name) return res.status(400).json({ message: `Album names must be 1 to ${MAX_ALBUM_NAME_LENGTH} characters` });
+    await Album.updateOne({ _id: req.params.id, owner: req.user._id }, { $set: { name } });
+    res.redirect('/albums');
+  } catch (err) {
+    res.status(500).json({ message: 'Could not rename album', error: err.message });
+  }
+});
+
+app.post('/albums/:id([0-9a-fA-F]{24})/delete', authMiddleware(), async (req, res) => {
+  try {
+    await Album.deleteOne({ _id: req.params.id, owner: req.user._id });
+    res.redirect('/albums');
+  } catch (err) {
+    res.status(500).json({ message: 'Could not delete album', error: err.message });
+  }
+});
+
+// Add the selected files (`ids`) to an album; files already in it keep their place.
+app.post('/albums/:id([0-9a-fA-F]{24})/files', authMiddleware(), async (req, res) => {
+  try {
+    const album = await findAlbum(req.user, req.params.id);
+    if (!album) return res.status(404).json({ message: 'Album not found' });
+    const files = await File.find({ _id: { $in: parseIds(req.body.ids) }, owner: req.user._id, deletedAt: null }, '_id');
+    await Album.updateOne({ _id: album._id }, { $addToSet: { files: { $each: files.map(file => file._id) } } });
+    res.redirect(`/albums/${album._id}`);
+  } catch (err) {
+    res.status(500).json({ message: 'Could not add files to album', error: err.message });
+  }
+});
+
+app.post('/albums/:id([0-9a-fA-F]{24})/files/remove', authMiddleware(), async (req, res) => {
+  try {
+    const album = await findAlbum(req.user, req.params.id);
+    if (!album) return res.status(404).json({ message: 'Album not found' });
+    const ids = parseIds(req.body.ids).map(id => new mongoose.Types.ObjectId(id));
+    await Album.updateOne({ _id: album._id }, { $pull: { files: { $in: ids } } });
+    res.redirect(`/albums/${album._id}`);
+  } catch (err) {
+    res.status(500).json({ message: 'Could not remove files from album', error: err.message });
+  }
+});
+
+app.post('/albums/:id([0-9a-fA-F]{24})/cover', authMiddleware(), async (req, res) => {
+  try {
+    const album = await findAlbum(req.user, req.params.id);
+    if (!album) return res.status(404).json({ message: 'Album not found' });
+    const [fileId] = parseIds(req.body.ids);
+    if (!fileId || !album.files.some(id => id.equals(fileId))) {
+      return res.status(400).json({ message: 'The cover must be one of the album\'s files' });
+    }
+    await Album.updateOne({ _id: album._id }, { $set: { cover: fileId } });
+    res.redirect(`/albums/${album._id}`);
+  } catch (err) {
+    res.status(500).json({ message: 'Could not set album cover', error: err.message });
+  }
+});
+
+// Album view: the gallery grid and modal, limited to the album's files.
+app.get('/albums/:id([0-9a-fA-F]{24})', authMiddleware('read'), async (req, res) => {
+  try {
+    const album = await findAlbum(req.user, req.params.id);
+    if (!album) return res.status(404).json({ message: 'Album not found' });
+    const filter = albumFilesFilter(album);
+    const page = await listFilesJSON(filter, req.query);
+    const total = await countListedFiles(filter, req.query);
+    res.send(await renderGalleryPage(page, { user: req.user, album, albums: await findUserAlbums(req.user), total, csrfToken: csrfToken(req) }));
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    res.status(500).json({ message: 'Error rendering album', error: err.message });
+  }
+});
+
+// Gallery view endpoint
+app.get('/', authMiddleware('read'), async (req, res) => {
+  try {
+    const ownFiles = { owner: req.user._id };
+    const page = await listFilesJSON(ownFiles, req.query);
+    const total = await countListedFiles(ownFiles, req.query);
+    res.send(await renderGalleryPage(page, { user: req.user, albums: await findUserAlbums(req.user), total, csrfToken: csrfToken(req) }));
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    res.status(500).json({ message: 'Error rendering gallery', error: err.message });
+  }
+});
+
+//
+// Storage integrity: compares the File collection with the blobs in storage. A check
+// lists documents whose blob or thumbnail is missing and blobs that no document (or
+// resumable upload) references; with `verify` it also decrypts every blob and compares
+// its size and content hash with the document. Linked duplicates share a blob, which is
+// checked once, and files in the trash are checked like any other (they can be restored).
+// `repair` points broken files at an intact copy of the same content, if the owner has
+// one, and remakes broken thumbnails. `quarantine` moves orphaned and broken blobs to
+// QUARANTINE_DIR and files that could not be repaired to the trash. Each run is saved as
+// an IntegrityReport; run it with `node index.js check-storage`, POST /api/admin/integrity
+// or every INTEGRITY_CHECK_INTERVAL_HOURS.
+//
+
+const QUARANTINE_DIR = path.resolve(__dirname, process.env.QUARANTINE_DIR || 'quarantine');
+const INTEGRITY_CHECK_INTERVAL_HOURS = Number(process.env.INTEGRITY_CHECK_INTERVAL_HOURS) || 0;
+// Blobs younger than this may belong to an upload whose document isn't saved yet.
+const ORPHAN_GRACE_MS = 60 * 60 * 1000;
+// A report keeps this many problems; its counts always cover all of them.
+const MAX_REPORTED_PROBLEMS = 1000;
+
+let integrityCheckRunning = false;
+
+// Helper: move a blob from storage to QUARANTINE_DIR under the same name
+async function quarantineBlob(key) {
+  await fs.mkdir(QUARANTINE_DIR, { recursive: true });
+  await pipeline(await storage.createReadStream(key), createWriteStream(path.join(QUARANTINE_DIR, path.basename(key))));
+  await storage.remove(key);
+}
+
+// Helper: why a file's blob doesn't read back as the content recorded for it, or null
+async function verifyFileBlob(fileDoc) {
+  try {
+    const { size, contentHash } = await readMediaInfo(fileDoc);
+    if (typeof fileDoc.size === 'number' && size !== fileDoc.size) return `holds ${size} bytes instead of ${fileDoc.size}`;
+    if (fileDoc.contentHash && contentHash !== fileDoc.contentHash) return 'content does not match its hash';
+    return null;
+  } catch (err) {
+    return `cannot be decrypted: ${err.message}`;
+  }
+}
+
+// Helper: why a thumbnail doesn't decrypt, or null
+const verifyThumbnail = (thumbnail) => storage.read(thumbnail.filename)
+  .then(data => decryptBuffer(data, thumbnail))
+  .then(() => null, err => `cannot be decrypted: ${err.message}`);
+
+// Helper: a file of the same owner and content whose own blob reads back intact
+async function findIntactCopy(fileDoc) {
+  if (!fileDoc.contentHash) return null;
+  const candidates = await File.find({ owner: fileDoc.owner, contentHash: fileDoc.contentHash, filename: { $ne: fileDoc.filename } });
+  const tried = new Set();
+  for (const candidate of candidates) {
+    if (tried.has(candidate.filename)) continue;
+    tried.add(candidate.filename);
+    if (await storage.exists(candidate.filename) && !await verifyFileBlob(candidate)) return candidate;
+  }
+  return null;
+}
+
+// Repair or quarantine the files sharing the broken blob `filename`, as allowed.
+// Returns the action taken, or null.
+async function resolveBrokenFile(filename, fileDoc, error, { repair, quarantine }) {
+  const copy = repair ? await findIntactCopy(fileDoc) : null;
+  if (copy) {
+    await File.updateMany({ filename, owner: fileDoc.owner }, { $set: sharedBlobFields(copy) });
+    if (!await File.exists({ filename }) && await storage.exists(filename)) {
+      await (quarantine ? quarantineBlob(filename) : storage.remove(filename));
+    }
+    return 'repaired';
+  }
+  if (!quarantine) return null;
+  if (await storage.exists(filename)) await quarantineBlob(filename);
+  await File.updateMany({ filename }, [{ $set: { integrityError: error, deletedAt: { $ifNull: ['$deletedAt', new Date()] } } }]);
+  return 'quarantined';
+}
+
+// Drop a broken thumbnail (the gallery shows the original instead) and, with `repair`,
+// make a new one. Returns the action taken, or null.
+async function resolveBrokenThumbnail(key, fileDoc, { repair, quarantine }) {
+  if (!repair && !quarantine) return null;
+  await File.updateMany({ 'thumbnail.filename': key }, { $unset: { thumbnail: 1 } });
+  if (await storage.exists(key)) await (quarantine ? quarantineBlob(key) : storage.remove(key));
+  if (!repair) return 'quarantined';
+  const current = await File.findOne({ filename: fileDoc.filename });
+  let reason = 'the file is gone';
+  try {
+    if (current && await createThumbnail(current)) return 'repaired';
+    if (current) reason = current.thumbnailError;
+  } catch (err) {
+    reason = err.message;
+  }
+  throw Object.assign(new Error(reason), { action: 'cleared' });
+}
+
+// Check storage against the File collection (see above) and save the report.
+// `onProblem` sees each problem once it has been dealt with.
+async function checkStorage({ verify = false, repair = false, quarantine = false, trigger = 'command', onProblem = () => {} } = {}) {
+  const report = new IntegrityReport({ trigger, options: { verify, repair, quarantine } });
+  const counts = { files: 0, blobs: 0, missing: 0, corrupt: 0, missingThumbnails: 0, corruptThumbnails: 0, orphaned: 0, repaired: 0, quarantined: 0, unresolved: 0 };
+  const problems = [];
+  let found = 0;
+  const record = async (problem, resolve) => {
+    found++;
+    counts[{ missing: 'missing', corrupt: 'corrupt', 'missing-thumbnail': 'missingThumbnails', 'corrupt-thumbnail': 'corruptThumbnails', orphan: 'orphaned' }[problem.kind]]++;
+    try {
+      problem.action = await resolve() || undefined;
+    } catch (err) {
+      problem.action = err.action;
+      problem.actionError = err.message;
+    }
+    if (!problem.action) counts.unresolved++;
+    else if (problem.action === 'quarantined') counts.quarantined++;
+    else counts.repaired++;
+    if (problems.length < MAX_REPORTED_PROBLEMS) problems.push(problem);
+    onProblem(problem);
+  };
+  const fileSummary = (docs) => docs.map(doc => ({ id: doc._id, originalname: doc.originalname, owner: doc.owner, deleted: Boolean(doc.deletedAt) }));
+
+  try {
+    // Documents before blobs: a file uploaded in between then shows up as an orphan (and
+    // is spared by the grace period) rather than as a document without its blob.
+    const fileBlobs = new Map();
+    const thumbnailBlobs = new Map();
+    // Playable versions of videos can be made again, so they are only kept from being orphans.
+    const playableBlobs = new Set();
+    const fields = 'filename originalname owner deletedAt integrityError thumbnail playable.filename size contentHash iv cipher wrappedKey keyVersion';
+    for await (const fileDoc of File.find({}, fields).lean().cursor()) {
+      counts.files++;
+      if (!fileBlobs.has(fileDoc.filename)) fileBlobs.set(fileDoc.filename, []);
+      fileBlobs.get(fileDoc.filename).push(fileDoc);
+      if (fileDoc.playable) playableBlobs.add(fileDoc.playable.filename);
+      if (!fileDoc.thumbnail) continue;
+      if (!thumbnailBlobs.has(fileDoc.thumbnail.filename)) thumbnailBlobs.set(fileDoc.thumbnail.filename, []);
+      thumbnailBlobs.get(fileDoc.thumbnail.filename).push(fileDoc);
+    }
+    const partFiles = (await UploadSession.distinct('filename')).map(filename => `${filename}.part`);
+    const blobs = new Map();
+    for await (const blob of storage.list()) blobs.set(blob.key, blob);
+    counts.blobs = blobs.size;
+
+    for (const [filename, docs] of fileBlobs) {
+      // Quarantined before: already in the trash, with the reason shown there.
+      if (docs.every(doc => doc.integrityError)) continue;
+      const missing = !blobs.has(filename);
+      const error = missing ? 'blob is missing' : verify ? await verifyFileBlob(docs[0]) : null;
+      if (!error) continue;
+      // Skip files deleted meanwhile, and blobs that turned up after all.
+      if (missing && (!await File.exists({ filename }) || await storage.exists(filename))) continue;
+      const problem = { kind: missing ? 'missing' : 'corrupt', key: filename, files: fileSummary(docs), error };
+      await record(problem, () => resolveBrokenFile(filename, docs[0], error, { repair, quarantine }));
+    }
+
+    for (const [key, docs] of thumbnailBlobs) {
+      const missing = !blobs.has(key);
+      const error = missing ? 'thumbnail is missing' : verify ? await verifyThumbnail(docs[0].thumbnail) : null;
+      if (!error) continue;
+      if (missing && (!await File.exists({ 'thumbnail.filename': key }) || await storage.exists(key))) continue;
+      const problem = { kind: missing ? 'missing-thumbnail' : 'corrupt-thumbnail', key, files: fileSummary(docs), error };
+      await record(problem, () => resolveBrokenThumbnail(key, docs[0], { repair, quarantine }));
+    }
+
+    const referenced = new Set([...fileBlobs.keys(), ...thumbnailBlobs.keys(), ...playableBlobs, ...partFiles]);
+    for (const blob of blobs.values()) {
+      if (referenced.has(blob.key) || Date.now() - blob.modified < ORPHAN_GRACE_MS) continue;
+      if (await File.exists({ $or: [{ filename: blob.key }, { 'thumbnail.filename': blob.key }, { 'playable.filename': blob.key }] })) continue;
+      const problem = { kind: 'orphan', key: blob.key, size: blob.size, files: [], error: 'no file uses this blob' };
+      await record(problem, async () => {
+        if (!quarantine) return null;
+        await quarantineBlob(blob.key);
+        return 'quarantined';
+      });
+    }
+  } catch (err) {
+    report.error = err.message;
+    throw err;
+  } finally {
+    Object.assign(report, { finishedAt: new Date(), counts, problems, problemsTruncated: found > problems.length });
+    await report.save();
+  }
+  return report;
+}
+
+// Helper: a report for the admin API; `problems` are left out of lists
+const integrityReportJSON = (report, { problems = true } = {}) => ({
+  id: report._id,
+  trigger: report.trigger,
+  options: report.options,
+  startedAt: report.startedAt,
+  finishedAt: report.finishedAt,
+  ok: !report.error && report.counts.unresolved === 0,
+  counts: report.counts,
+  error: report.error,
+  ...(problems ? { problems: report.problems, problemsTruncated: report.problemsTruncated } : {})
+});
+
+// Run a check in the background unless one is running already. Returns whether it started.
+function startIntegrityCheck(options) {
+  if (integrityCheckRunning) return false;
+  integrityCheckRunning = true;
+  checkStorage(options)
+    .then(report => {
+      const { counts } = report;
+      if (counts.unresolved > 0) console.error(`Storage check found ${counts.unresolved} unresolved problem(s); see GET /api/admin/integrity/${report._id}`);
+      else console.log(`Storage check passed (${counts.files} file(s), ${counts.blobs} blob(s))`);
+    })
+    .catch(err => console.error('Storage check failed:', err))
+    .finally(() => { integrityCheckRunning = false; });
+  return true;
+}
+
+// GET /api/admin/integrity?limit=: the latest reports (without their problems), newest first
+app.get('/api/admin/integrity', authMiddleware('admin'), requireAdmin, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 100);
+    const reports = await IntegrityReport.find({}, '-problems').sort({ startedAt: -1 }).limit(limit);
+    res.json({ running: integrityCheckRunning, reports: reports.map(report => integrityReportJSON(report, { problems: false })) });
+  } catch (err) {
+    res.status(500).json({ message: 'Could not list integrity reports', error: err.message });
+  }
+});
+
+app.get('/api/admin/integrity/:id([0-9a-fA-F]{24})', authMiddleware('admin'), requireAdmin, async (req, res) => {
+  try {
+    const report = await IntegrityReport.findById(req.params.id);
+    if (!report) return res.status(404).json({ message: 'Report not found' });
+    res.json(integrityReportJSON(report));
+  } catch (err) {
+    res.status(500).json({ message: 'Could not load integrity report', error: err.message });
+  }
+});
+
+// POST /api/admin/integrity with { verify, repair, quarantine } starts a check.
+app.post('/api/admin/integrity', authMiddleware('admin'), requireAdmin, (req, res) => {
+  const option = (name) => req.body[name] === true || req.body[name] === 'true';
+  const started = startIntegrityCheck({ verify: option('verify'), repair: option('repair'), quarantine: option('quarantine'), trigger: 'api' });
+  if (!started) return res.status(409).json({ message: 'A storage check is already running' });
+  console.log(`User ${req.user.username} started a storage check`);
+  res.status(202).json({ message: 'Storage check started; its report appears in GET /api/admin/integrity' });
+});
+
+if (INTEGRITY_CHECK_INTERVAL_HOURS > 0) {
+  setInterval(() => startIntegrityCheck({ trigger: 'schedule' }), INTEGRITY_CHECK_INTERVAL_HOURS * 60 * 60 * 1000).unref();
+}
+
+//
+// Backups: one tar archive with the File documents (plus albums and the usernames they
+// belong to) and the encrypted blobs exactly as stored, so the two can't drift apart.
+// Blobs are never decrypted. With a passphrase, every data key is rewrapped under a key
+// derived from it and the manifest is encrypted, so the archive can be restored on any
+// instance; without one the data keys stay wrapped by this instance's master keys.
+// `since` limits a backup to the files uploaded from that date on (an incremental backup).
+// Restores skip files that are already here and check every entry against SHA256SUMS
+// before adding anything. Playable versions of videos are left out; restored videos
+// are queued for transcoding again. Layout:
+//   backup.json               format, creation date, `since` and how the passphrase is used
+//   manifest.json(.enc)       users, files and albums; files name the blobs they use
+//   blobs/000001, ...         encrypted blobs (linked duplicates and their thumbnail share one)
+//   SHA256SUMS                checksums of all of the above, readable by `sha256sum -c`
+//
+
+const BACKUP_FORMAT = 'image-video-uploader-backup';
+const BACKUP_KDF = { kdf: 'scrypt', N: 2 ** 15, r: 8, p: 1 };
+// What a backup keeps of a File document besides its owner, keys and blobs.
+const BACKUP_FILE_FIELDS = ['originalname', 'iv', 'cipher', 'mimeType', 'size', 'contentHash', 'tags', 'caption', 'deletedAt', 'metadata', 'uploadDate', 'takenAt'];
+
+// Helper: a ustar header for a regular file entry. Sizes of 8 GiB and more use the
+// base-256 extension that GNU tar and bsdtar read.
+function tarHeader(name, size) {
+  const header = Buffer.alloc(512);
+  header.write(name, 0, 100);
+  header.write('0000644\0', 100);
+  header.write('0000000\0', 108);
+  header.write('0000000\0', 116);
+  if (size < 8 ** 11) {
+    header.write(`${size.toString(8).padStart(11, '0')}\0`, 124);
+  } else {
+    header[124] = 0x80;
+    header.writeBigUInt64BE(BigInt(size), 128);
+  }
+  header.write(`${Math.floor(Date.now() / 1000).toString(8).padStart(11, '0')}\0`, 136);
+  header.fill(' ', 148, 156);
+  header.write('0', 156);
+  header.write('ustar\0', 257);
+  header.write('00', 263);
+  const checksum = header.reduce((sum, byte) => sum + byte, 0);
+  header.write(`${checksum.toString(8).padStart(6, '0')}\0 `, 148);
+  return header;
+}
+
+// Helper: zero bytes that fill an entry of `size` bytes up to the next 512-byte block
+const tarPadding = (size) => Buffer.alloc((512 - (size % 512)) % 512);
+
+// Helper: name and size from a tar header, or a 400 error if it isn't one
+function parseTarHeader(header) {
+  const stored = parseInt(header.toString('latin1', 148, 156).replace(/\0.*$/, '').trim(), 8);
+  const checksum = header.reduce((sum, byte, index) => sum + (index >= 148 && index < 156 ? 0x20 : byte), 0);
+  if (stored !== checksum) throw httpError(400, 'Invalid backup: damaged tar header');
+  const size = header[124] & 0x80
+    ? Number(header.readBigUInt64BE(128))
+    : parseInt(header.toString('latin1', 124, 136).replace(/\0.*$/, '').trim() || '0', 8);
+  const prefix = header.toString('utf8', 345, 500).replace(/\0.*$/s, '');
+  const name = header.toString('utf8', 0, 100).replace(/\0.*$/s, '');
+  return { name: prefix ? `${prefix}/${name}` : name, size, type: String.fromCharCode(header[156] || 0x30) };
+}
+
+// Read a tar archive from `source` (an async iterable of Buffers). `onEntry(entry)` is
+// called for each entry and may return a sink { write(chunk), end() } for its content.
+async function parseTar(source, onEntry) {
+  let buffer = Buffer.alloc(0);
+  let remaining = 0; // content bytes of the current entry still to come
+  let padding = 0;
+  let sink = null;
+  let done = false;
+  for await (const chunk of source) {
+    if (done) continue; // ignore what follows the end-of-archive blocks
+    buffer = buffer.length ? Buffer.concat([buffer, chunk]) : chunk;
+    while (!done) {
+      if (remaining > 0) {
+        const data = buffer.subarray(0, remaining);
+        if (data.length === 0) break;
+        if (sink) await sink.write(data);
+        buffer = buffer.subarray(data.length);
+        remaining -= data.length;
+        if (remaining > 0) break;
+        if (sink) await sink.end();
+        sink = null;
+      }
+      if (padding > 0) {
+        const skipped = Math.min(padding, buffer.length);
+        buffer = buffer.subarray(skipped);
+        padding -= skipped;
+        if (padding > 0) break;
+      }
+      if (buffer.length < 512) break;
+      const header = buffer.subarray(0, 512);
+      buffer = buffer.subarray(512);
+      if (header.every(byte => byte === 0)) {
+        done = true;
+        break;
+      }
+      const entry = parseTarHeader(header);
+      remaining = entry.size;
+      padding = tarPadding(entry.size).length;
+      // Only regular files carry data we read; directories and extended headers are skipped.
+      sink = entry.type === '0' ? await onEntry(entry) : null;
+      if (remaining === 0 && sink) {
+        await sink.end();
+        sink = null;
+      }
+    }
+  }
+  if (!done) throw httpError(400, 'Invalid backup: the archive ends too early');
+}
+
+// Helper: the key for a backup's passphrase, per the `encryption` settings in backup.json
+const deriveBackupKey = (passphrase, { salt, N, r, p }) => scrypt(passphrase, Buffer.from(salt, 'base64'), 32, { N, r, p, maxmem: 64 * 1024 * 1024 });
+
+// Helper: AES-256-GCM encryption of the manifest under a backup key (nonce, data, tag)
+const sealBackupData = (key, data) => {
+  const nonce = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, nonce);
+  cipher.setAAD(Buffer.from(BACKUP_FORMAT));
+  return Buffer.concat([nonce, cipher.update(data), cipher.final(), cipher.getAuthTag()]);
+};
+
+const openBackupData = (key, sealed) => {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, sealed.subarray(0, 12));
+  decipher.setAAD(Buffer.from(BACKUP_FORMAT));
+  decipher.setAuthTag(sealed.subarray(sealed.length - TAG_SIZE));
+  try {
+    return Buffer.concat([decipher.update(sealed.subarray(12, sealed.length - TAG_SIZE)), decipher.final()]);
+  } catch (err) {
+    throw httpError(400, 'Wrong passphrase, or the manifest is damaged');
+  }
+};
+
+// Helper: the key fields of a file or thumbnail as written to a backup: its data key
+// wrapped under the backup key, or as stored when there is none.
+const backupKeyFields = async (holder, key) => (key
+  ? { wrappedKey: wrapDataKey(key, 'backup', await fileKey(holder)) }
+  : { wrappedKey: holder.wrappedKey, keyVersion: holder.keyVersion });
+
+// Helper: the key fields of a restored file or thumbnail: rewrapped under our master key,
+// or as in the backup once we know we can unwrap them.
+async function restoreKeyFields(holder, key) {
+  if (key) return keyProvider.wrapKey(unwrapDataKey(key, 'backup', holder.wrappedKey));
+  await fileKey(holder);
+  return { wrappedKey: holder.wrappedKey, keyVersion: holder.keyVersion };
+}
+
+// Write a backup archive of the files uploaded since `since` (all when null) to the
+// writable `out`, and end it. Files whose blob is missing are left out and listed in
+// the returned summary.
+async function writeBackup(out, { since = null, passphrase = null, signal } = {}) {
+  const write = async (chunk) => {
+    if (!out.write(chunk)) await once(out, 'drain', { signal });
+  };
+  const checksums = [];
+  const writeEntry = async (name, data) => {
+    checksums.push(`${sha256(data)}  ${name}`);
+    await write(tarHeader(name, data.length));
+    await write(Buffer.concat([data, tarPadding(data.length)]));
+  };
+  const encryption = passphrase ? { ...BACKUP_KDF, salt: crypto.randomBytes(16).toString('base64') } : null;
+  const key = encryption && await deriveBackupKey(passphrase, encryption);
+
+  // Storage key -> archive entry, so a blob shared by linked duplicates is written once.
+  const blobs = new Map();
+  const blobEntry = (storageKey) => {
+    if (!blobs.has(storageKey)) blobs.set(storageKey, `blobs/${String(blobs.size + 1).padStart(6, '0')}`);
+    return blobs.get(storageKey);
+  };
+  const files = [];
+  const missing = [];
+  for (const fileDoc of await File.find(since ? { uploadDate: { $gte: since } } : {}).sort({ uploadDate: 1, _id: 1 })) {
+    if (!blobs.has(fileDoc.filename) && !await storage.exists(fileDoc.filename)) {
+      missing.push(fileDoc.originalname);
+      continue;
+    }
+    const { thumbnail } = fileDoc;
+    const withThumbnail = thumbnail && (blobs.has(thumbnail.filename) || await storage.exists(thumbnail.filename));
+    files.push({
+      id: fileDoc._id,
+      owner: fileDoc.owner,
+      ...Object.fromEntries(BACKUP_FILE_FIELDS.filter(field => fileDoc[field] != null).map(field => [field, fileDoc[field]])),
+      ...await backupKeyFields(fileDoc, key),
+      blob: blobEntry(fileDoc.filename),
+      ...(withThumbnail ? { thumbnail: { iv: thumbnail.iv, cipher: thumbnail.cipher, ...await backupKeyFields(thumbnail, key), blob: blobEntry(thumbnail.filename) } } : {})
+    });
+  }
+  const owners = [...new Set(files.map(file => String(file.owner)))];
+  // An incremental backup carries the albums of the owners it has files of.
+  const albums = await Album.find(since ? { owner: { $in: owners } } : {});
+  const users = await User.find({ _id: { $in: [...new Set([...owners, ...albums.map(album => String(album.owner))])] } }, 'username');
+  const manifest = Buffer.from(JSON.stringify({
+    users: users.map(user => ({ id: user._id, username: user.username })),
+    files,
+    albums: albums.map(album => ({ owner: album.owner, name: album.name, files: album.files, cover: album.cover, createdAt: album.createdAt }))
+  }));
+
+  await writeEntry('backup.json', Buffer.from(`${JSON.stringify({
+    format: BACKUP_FORMAT,
+    version: 1,
+    createdAt: new Date(),
+    since,
+    encryption,
+    files: files.length,
+    blobs: blobs.size
+  }, null, 2)}\n`));
+  await writeEntry(key ? 'manifest.json.enc' : 'manifest.json', key ? sealBackupData(key, manifest) : manifest);
+  let bytes = 0;
+  for (const [storageKey, name] of blobs) {
+    const size = await storage.size(storageKey);
+    const hash = crypto.createHash('sha256');
+    let read = 0;
+    await write(tarHeader(name, size));
+    for await (const chunk of await storage.createReadStream(storageKey)) {
+      read += chunk.length;
+      if (read > size) break;
+      hash.update(chunk);
+      await write(chunk);
+    }
+    if (read !== size) throw new Error(`${storageKey} changed while it was being backed up`);
+    await write(tarPadding(size));
+    checksums.push(`${hash.digest('hex')}  ${name}`);
+    bytes += size;
+  }
+  await writeEntry('SHA256SUMS', Buffer.from(`${checksums.join('\n')}\n`));
+  // Two zero blocks end a tar archive.
+  await write(Buffer.alloc(1024));
+  out.end();
+  return { files: files.length, blobs: blobs.size, bytes, missing };
+}
+
+// Restore a backup archive read from `source` (an async iterable of Buffers). Files that
+// are already here (the same id, or the same owner, content and name) are skipped. Owners
+// are matched by username, and accounts that don't exist yet are created without a
+// password, unless `owner` (a User) takes every file. `askPassphrase()` is called if the
+// backup has a passphrase. With `verifyOnly`, only checksums and the manifest are checked
+// and nothing is written. Returns a summary.
+async function restoreBackup(source, { askPassphrase = async () => null, owner = null, verifyOnly = false } = {}) {
+  let header = null;
+  let key = null;
+  let manifest = null;
+  let listedChecksums = null;
+  const checksums = new Map(); // entry name -> sha256 of what was read
+  const blobKeys = new Map(); // blob entry -> storage key, for the blobs this restore needs
+  const written = []; // storage keys written so far
+  const summary = { files: 0, restored: 0, skipped: 0, failed: [], albums: 0, createdUsers: [] };
+  const users = new Map(); // backup user id -> User document, or { username } to create
+  const existingIds = new Map(); // backup file id -> id of the file already here
+  const restoring = [];
+
+  // Helper: a sink that hands an entry's whole content to `done` (for the small entries)
+  const collect = (done) => {
+    const chunks = [];
+    return { write: (chunk) => { chunks.push(chunk); }, end: () => done(Buffer.concat(chunks)) };
+  };
+
+  const planRestore = async () => {
+    for (const user of manifest.users) {
+      users.set(String(user.id), owner || await User.findOne({ username: user.username }) || { username: user.username });
+    }
+    for (const file of manifest.files) {
+      const fileOwner = users.get(String(file.owner));
+      summary.files++;
+      const existing = await File.findById(file.id, '_id') || (fileOwner?._id && file.contentHash
+        ? await File.findOne({ owner: fileOwner._id, contentHash: file.contentHash, originalname: file.originalname }, '_id')
+        : null);
+      if (existing) {
+        existingIds.set(String(file.id), existing._id);
+        summary.skipped++;
+        continue;
+      }
+      if (!blobKeys.has(file.blob)) blobKeys.set(file.blob, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}-${path.basename(file.originalname)}`);
+      if (file.thumbnail && !blobKeys.has(file.thumbnail.blob)) blobKeys.set(file.thumbnail.blob, `thumb-${blobKeys.get(file.blob)}.jpg`);
+      restoring.push(file);
+    }
+  };
+
+  try {
+    await parseTar(source, async (entry) => {
+      const hash = crypto.createHash('sha256');
+      const finish = () => checksums.set(entry.name, hash.digest('hex'));
+      if (!header && entry.name !== 'backup.json') throw httpError(400, 'Invalid backup: backup.json must come first');
+      if (entry.name === 'backup.json') {
+        return collect(async (data) => {
+          hash.update(data);
+          finish();
+          try {
+            header = JSON.parse(data.toString('utf8'));
+          } catch (err) {
+            header = null;
+          }
+          if (!header || header.format !== BACKUP_FORMAT) throw httpError(400, 'Not a backup made by this application');
+          if (header.version !== 1) throw httpError(400, `Backup format version ${header.version} is not supported`);
+          if (header.encryption) {
+            const passphrase = await askPassphrase();
+            if (!passphrase) throw httpError(400, 'This backup is protected by a passphrase');
+            key = await deriveBackupKey(passphrase, header.encryption);
+          }
+        });
+      }
+      if (entry.name === 'manifest.json' || entry.name === 'manifest.json.enc') {
+        return collect(async (data) => {
+          hash.update(data);
+          finish();
+          manifest = JSON.parse((key ? openBackupData(key, data) : data).toString('utf8'));
+          if (!verifyOnly) await planRestore();
+        });
+      }
+      if (entry.name === 'SHA256SUMS') {
+        return collect((data) => {
+          listedChecksums = new Map(data.toString('utf8').split('\n').filter(Boolean).map(line => {
+            const [, checksum, name] = line.match(/^([0-9a-f]{64}) [ *](.+)$/) || [];
+            return [name, checksum];
+          }));
+        });
+      }
+      if (entry.name.startsWith('blobs/') && !manifest) throw httpError(400, 'Invalid backup: blobs come before the manifest');
+      // Blobs this restore needs are stored as they arrive; everything else is only checksummed.
+      const storageKey = blobKeys.get(entry.name);
+      const writer = storageKey ? await storage.createWriter(storageKey) : null;
+      if (writer) written.push(storageKey);
+      return {
+        write: async (chunk) => {
+          hash.update(chunk);
+          if (writer) await writer.write(chunk);
+        },
+        end: async () => {
+          finish();
+          if (writer) await writer.end();
+        }
+      };
+    });
+    if (!manifest || !listedChecksums) throw httpError(400, 'Invalid backup: the manifest or SHA256SUMS is missing');
+  } catch (err) {
+    await Promise.all(written.map(storageKey => storage.remove(storageKey).catch(() => {})));
+    throw err;
+  }
+
+  // Every entry read must match SHA256SUMS, and every entry listed there must have been read.
+  const damaged = new Set();
+  const intact = (entryName) => checksums.has(entryName) && !damaged.has(entryName);
+  for (const [name, checksum] of listedChecksums) {
+    if (checksums.get(name) !== checksum) damaged.add(name);
+  }
+  for (const name of checksums.keys()) {
+    if (!listedChecksums.has(name)) damaged.add(name);
+  }
+  if (damaged.has('backup.json') || damaged.has('manifest.json') || damaged.has('manifest.json.enc')) {
+    await Promise.all(written.map(storageKey => storage.remove(storageKey).catch(() => {})));
+    throw httpError(400, 'The backup failed its checksum check: its manifest is damaged');
+  }
+  summary.damaged = [...damaged];
+  if (verifyOnly) {
+    return { files: manifest.files.length, damaged: summary.damaged, damagedFiles: manifest.files.filter(file => !intact(file.blob)).map(file => file.originalname) };
+  }
+
+  for (const file of restoring) {
+    try {
+      if (!intact(file.blob)) throw new Error(damaged.has(file.blob) ? 'its stored copy failed the checksum check' : 'its stored copy is not in the backup');
+      let fileOwner = users.get(String(file.owner));
+      if (!fileOwner) throw new Error('the backup does not say who owns it');
+      if (!fileOwner._id) {
+        fileOwner = await User.create({ username: fileOwner.username });
+        summary.createdUsers.push(fileOwner.username);
+        users.set(String(file.owner), fileOwner);
+      }
+      const thumbnail = file.thumbnail && intact(file.thumbnail.blob)
+        ? { filename: blobKeys.get(file.thumbnail.blob), iv: file.thumbnail.iv, cipher: file.thumbnail.cipher, ...await restoreKeyFields(file.thumbnail, key) }
+        : undefined;
+      const restored = await File.create({
+        _id: file.id,
+        ...Object.fromEntries(BACKUP_FILE_FIELDS.filter(field => file[field] != null).map(field => [field, file[field]])),
+        owner: fileOwner._id,
+        filename: blobKeys.get(file.blob),
+        ...await restoreKeyFields(file, key),
+        thumbnail
+      });
+      await queueTranscode(restored).catch(err => console.error(`Could not queue ${file.originalname} for transcoding: ${err.message}`));
+      existingIds.set(String(file.id), file.id);
+      summary.restored++;
+    } catch (err) {
+      summary.failed.push({ originalname: file.originalname, error: err.message });
+    }
+  }
+  // Blobs no restored file ended up using (failed files, damaged thumbnails) go again.
+  for (const storageKey of written) {
+    if (!await File.exists({ $or: [{ filename: storageKey }, { 'thumbnail.filename': storageKey }] })) await storage.remove(storageKey).catch(() => {});
+  }
+
+  // Albums are matched by owner and name; restored files are added to existing ones.
+  for (const album of manifest.albums) {
+    const albumOwner = users.get(String(album.owner));
+    if (!albumOwner?._id) continue;
+    const files = album.files.map(id => existingIds.get(String(id))).filter(Boolean);
+    const existing = await Album.findOne({ owner: albumOwner._id, name: album.name });
+    if (existing) {
+      if (files.length) await Album.updateOne({ _id: existing._id }, { $addToSet: { files: { $each: files } } });
+    } else if (files.length) {
+      await Album.create({ owner: albumOwner._id, name: album.name, files, cover: existingIds.get(String(album.cover)), createdAt: album.createdAt });
+      summary.albums++;
+    }
+  }
+  return summary;
+}
+
+// POST /api/admin/backup with { since, passphrase }: download a backup archive.
+app.post('/api/admin/backup', authMiddleware('admin'), requireAdmin, async (req, res) => {
+  const aborted = new AbortController();
+  const onClose = () => { if (!res.writableFinished) aborted.abort(); };
+  try {
+    const since = parseDateQuery(req.body.since, 'since');
+    const passphrase = req.body.passphrase ? String(req.body.passphrase) : null;
+    res.setHeader('Content-Type', 'application/x-tar');
+    res.setHeader('Content-Disposition', contentDisposition('attachment', `backup-${new Date().toISOString().slice(0, 10)}${since ? '-incremental' : ''}.tar`));
+    res.on('close', onClose);
+    const { files, missing } = await writeBackup(res, { since, passphrase, signal: aborted.signal });
+    console.log(`User ${req.user.username} downloaded a backup of ${files} file(s)${missing.length ? `; ${missing.length} file(s) without a stored copy were left out` : ''}`);
+  } catch (err) {
+    if (aborted.signal.aborted) return console.log('Backup download stopped: the client disconnected');
+    if (res.headersSent) {
+      console.error('Backup failed:', err);
+      return res.destroy();
+    }
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    res.status(500).json({ message: 'Backup failed', error: err.message });
+  } finally {
+    res.off('close', onClose);
+  }
+});
+
+// POST /api/admin/restore with the archive as the body (Content-Type: application/x-tar),
+// its passphrase in X-Backup-Passphrase, ?owner=<username> to give every file to one
+// account and ?verify=true to only check it.
+app.post('/api/admin/restore', authMiddleware('admin'), requireAdmin, async (req, res) => {
+  try {
+    const owner = req.query.owner ? await User.findOne({ username: String(req.query.owner) }) : null;
+    if (req.query.owner && !owner) return res.status(400).json({ message: `No user named ${req.query.owner}` });
+    const summary = await restoreBackup(req.iterator({ destroyOnReturn: false }), {
+      askPassphrase: async () => req.headers['x-backup-passphrase'] || null,
+      owner,
+      verifyOnly: req.query.verify === 'true'
+    });
+    if (req.query.verify !== 'true') console.log(`User ${req.user.username} restored a backup: ${summary.restored} file(s) added, ${summary.skipped} already here, ${summary.failed.length} failed`);
+    res.json(summary);
+  } catch (err) {
+    // The rest of the body may not have been read, so close the connection after answering.
+    res.setHeader('Connection', 'close');
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    res.status(500).json({ message: 'Restore failed', error: err.message });
+  }
+});
+
+//
+// Audit log: uploads, downloads, deletions and share links are recorded as AuditEvents
+// (see auditAction). Administrators read them on /admin/audit or through
+// GET /api/admin/audit, and export them as CSV or JSON lines. Every listing takes the
+// same filters: user (a username; share link events count as their owner's), action,
+// outcome, file (an id), ip, from and to.
+//
+
+const AUDIT_PAGE_SIZE = 100;
+const MAX_AUDIT_PAGE_SIZE = 1000;
+const AUDIT_CSV_COLUMNS = ['time', 'action', 'outcome', 'status', 'user', 'via', 'token', 'share', 'fileIds', 'fileNames', 'ip', 'userAgent', 'details', 'error'];
+
+// Helper: the AuditEvent filter for a query string; 400 for values that can't match
+async function parseAuditQuery(query) {
+  const filter = {};
+  if (query.user) {
+    const user = await User.findOne({ username: String(query.user) }, '_id');
+    if (!user) throw httpError(400, `No user named ${query.user}`);
+    filter['actor.user'] = user._id;
+  }
+  if (query.action) {
+    if (!AUDIT_ACTIONS.includes(query.action)) throw httpError(400, `action must be one of ${AUDIT_ACTIONS.join(', ')}`);
+    filter.action = query.action;
+  }
+  if (query.outcome) {
+    if (!['success', 'failure'].includes(query.outcome)) throw httpError(400, 'outcome must be success or failure');
+    filter.outcome = query.outcome;
+  }
+  if (query.file) {
+    if (!mongoose.isValidObjectId(query.file)) throw httpError(400, 'Invalid file id');
+    filter['files.id'] = new mongoose.Types.ObjectId(String(query.file));
+  }
+  if (query.ip) filter.ip = String(query.ip);
+  const from = parseDateQuery(query.from, 'from');
+  const to = parseDateQuery(query.to, 'to');
+  if (from || to) filter.createdAt = { ...(from ? { $gte: from } : {}), ...(to ? { $lt: to } : {}) };
+  return filter;
+}
+
+// One page of events matching `filter`, newest first, from before the event id `before`.
+// Share link events get their owner's username.
+async function findAuditEvents(filter, { before, limit = AUDIT_PAGE_SIZE } = {}) {
+  if (before && !mongoose.isValidObjectId(before)) throw httpError(400, 'Invalid cursor');
+  const query = before ? { ...filter, _id: { $lt: new mongoose.Types.ObjectId(String(before)) } } : filter;
+  const events = await AuditEvent.find(query).sort({ _id: -1 }).limit(limit + 1).lean();
+  const hasMore = events.length > limit;
+  const page = events.slice(0, limit);
+  const ownerIds = page.filter(event => !event.actor.username && event.actor.user).map(event => event.actor.user);
+  if (ownerIds.length) {
+    const owners = new Map((await User.find({ _id: { $in: ownerIds } }, 'username')).map(user => [String(user._id), user.username]));
+    for (const event of page) event.actor.username = event.actor.username || owners.get(String(event.actor.user));
+  }
+  return { events: page, nextCursor: hasMore ? String(page[page.length - 1]._id) : null };
+}
+
+// Helper: an event for the API and exports
+const auditEventJSON = (event) => ({
+  id: event._id,
+  time: event.createdAt,
+  action: event.action,
+  outcome: event.outcome,
+  status: event.status ?? null,
+  user: event.actor.username || null,
+  userId: event.actor.user || null,
+  via: event.actor.via,
+  token: event.actor.token ? { id: event.actor.token, name: event.actor.tokenName || null } : null,
+  share: event.share || null,
+  files: event.files.map(file => ({ id: file.id, name: file.name || null })),
+  ip: event.ip || null,
+  userAgent: event.userAgent || null,
+  details: event.details || null,
+  error: event.error || null
+});
+
+// Helper: a CSV field, quoted when needed. Values a spreadsheet would run as a formula
+// (starting with = + - or @) get a leading apostrophe.
+const csvField = (value) => {
+  let text = value == null ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Helper: an event as a CSV row (see AUDIT_CSV_COLUMNS)
+const auditEventCSV = (event) => {
+  const json = auditEventJSON(event);
+  return [
+    json.time.toISOString(), json.action, json.outcome, json.status, json.user || json.userId, json.via,
+    json.token && (json.token.name || json.token.id), json.share,
+    json.files.map(file => file.id).join(' '), json.files.map(file => file.name || '').join(' | '),
+    json.ip, json.userAgent, json.details, json.error
+  ].map(csvField).join(',');
+};
+
+// Helper: the query string of the audit filters in `query`, plus `extra`
+const auditQueryString = (query, extra = {}) => new URLSearchParams(Object.entries({ ...query, ...extra })
+  .filter(([key, value]) => value && ['user', 'action', 'outcome', 'file', 'ip', 'from', 'to', 'before', 'format'].includes(key))
+  .map(([key, value]) => [key, String(value)])).toString();
+
+const renderAuditPage = ({ events, nextCursor }, query, { error } = {}) => {
+  const value = (name) => escapeHtml(typeof query[name] === 'string' ? query[name] : '');
+  const option = (name, choice) => `<option value="${choice}"${query[name] === choice ? ' selected' : ''}>${choice}</option>`;
+  const rows = events.map(event => `
+              <tr class="${event.outcome}">
+                <td>${escapeHtml(formatDate(event.createdAt))}</td>
+                <td>${event.action}</td>
+                <td>${event.outcome}${event.status ? ` (${event.status})` : ''}${event.error ? `<div class="error-text">${escapeHtml(event.error)}</div>` : ''}</td>
+                <td>${escapeHtml(event.actor.username || '')} <span class="muted">${escapeHtml(event.actor.via || '')}${event.actor.tokenName ? `: ${escapeHtml(event.actor.tokenName)}` : ''}</span></td>
+                <td>${event.files.map(file => `<a href="/admin/audit?${auditQueryString({ file: String(file.id) })}" title="${file.id}">${escapeHtml(file.name || String(file.id))}</a>`).join(', ')}${event.details ? `<div class="muted">${escapeHtml(event.details)}</div>` : ''}</td>
+                <td>${escapeHtml(event.ip || '')}<div class="muted">${escapeHtml(event.userAgent || '')}</div></td>
+              </tr>`);
+  return `
     <!DOCTYPE html>
     <html lang="en">
       <head>
         <meta charset="UTF-8">
-        <meta http-equiv="X-UA-Compatible" content="IE=edge">
         <meta name="viewport" content="width=device-width, initial-scale=1">
-        <title>Image & Video Uploader & Downloader</title>
-        <link rel="icon" href="favicon.ico" type="image/x-icon">
-        <meta name="description" content="Upload and download your images and videos easily with our platform.">
-        <meta name="keywords" content="image uploader, video uploader, file downloader">
-        <meta name="author" content="Your Name">
+        <title>Audit log – Image & Video Uploader & Downloader</title>
+        <link rel="icon" href="/favicon.ico" type="image/x-icon">
         <style>
           body { background: #202123; color: #E4E6EB; font-family: Arial, sans-serif; margin: 0; padding: 20px; }
           .container { max-width: 1200px; margin: auto; background: #2D2F31; padding: 20px; border-radius: 8px; box-shadow: 0 2px 8px rgba(0,0,0,0.5); }
-          h1, h2 { color: #ffffff; text-align: center; }
-          form.upload-form { margin-bottom: 20px; text-align: center; }
-          input[type="file"] { display: block; margin: auto; margin-bottom: 10px; background: #3A3B3C; color: #ffffff; border: none; padding: 8px; border-radius: 4px; width: 90%; max-width: 400px; }
-          button { background: #4A90E2; color: #ffffff; border: none; padding: 10px 20px; border-radius: 4px; cursor: pointer; font-size: 1em; margin: 5px; }
+          h1 { color: #ffffff; text-align: center; }
+          a { color: #4A90E2; }
+          .summary { text-align: center; color: #999; }
+          .error { background: #5a1e1e; color: #ffb3b3; padding: 10px; border-radius: 4px; margin-bottom: 10px; }
+          .filters { display: flex; flex-wrap: wrap; gap: 8px; align-items: end; margin-bottom: 15px; }
+          .filters label { display: flex; flex-direction: column; font-size: 0.85em; color: #999; }
+          input, select { padding: 6px; border-radius: 4px; border: 1px solid #3A3B3C; background: #202123; color: #E4E6EB; }
+          table { border-collapse: collapse; width: 100%; font-size: 0.85em; }
+          th, td { text-align: left; padding: 6px; border-bottom: 1px solid #3A3B3C; vertical-align: top; }
+          tr.failure td:first-child { border-left: 3px solid #C0392B; }
+          .muted { color: #999; font-size: 0.9em; }
+          .error-text { color: #ff6b6b; }
+          button { background: #4A90E2; color: #ffffff; border: none; padding: 8px 16px; border-radius: 4px; cursor: pointer; }
           button:hover { background: #357ABD; }
-          .grid-options { text-align: center; margin-bottom: 20px; }
-          .grid-options select { background: #3A3B3C; color: #ffffff; border: none; padding: 5px; border-radius: 4px; font-size: 1em; }
-          .gallery { display: grid; gap: 10px; margin-top: 20px; grid-template-columns: repeat(3, 1fr); }
-          .gallery-item { background: #3A3B3C; border-radius: 4px; position: relative; cursor: pointer; overflow: hidden; height: 250px; display: flex; flex-direction: column; }
-          .gallery-item .image-box { flex: 8; overflow: hidden; }
-          .gallery-item .image-box img, .gallery-item .image-box video { width: 100%; height: 100%; object-fit: cover; display: block; }
-          .gallery-item .info-box { flex: 2; display: flex; align-items: center; justify-content: space-between; padding: 0 5px; background: rgba(0,0,0,0.7); }
-          .gallery-item .file-details { color: #fff; font-size: 0.8em; overflow: hidden; white-space: nowrap; text-overflow: ellipsis; }
-          .gallery-item .actions a { color: #4A90E2; text-decoration: none; margin-left: 5px; font-size: 0.8em; }
-          .gallery-item.selected::after { content: "\\2713"; position: absolute; top: 5px; right: 5px; font-size: 24px; color: #4A90E2; background: rgba(0, 0, 0, 0.6); padding: 4px; border-radius: 50%; z-index: 4; }
-          .controls { text-align: center; margin-top: 20px; }
-          #selectionControls { display: none; }
-          .modal { display: none; position: fixed; z-index: 1000; left: 0; top: 0; width: 100%; height: 100%; overflow: hidden; background-color: rgba(0,0,0,0.9); }
-          .modal-content { position: relative; margin: auto; width: 90vw; height: 90vh; text-align: center; }
-          .modal-media-container { width: 100%; height: calc(100% - 60px); display: flex; align-items: center; justify-content: center; }
-          .modal-media-container img, .modal-media-container video { max-width: 100%; max-height: 100%; object-fit: contain; }
-          .close { position: absolute; top: 10px; right: 25px; color: #fff; font-size: 35px; font-weight: bold; cursor: pointer; }
-          .modal-actions { margin-top: 10px; }
-          .modal-actions a { color: #4A90E2; text-decoration: none; margin: 0 10px; font-size: 1em; }
-          .prev, .next { cursor: pointer; position: absolute; top: 50%; padding: 16px; color: #fff; font-weight: bold; font-size: 20px; transition: 0.3s; user-select: none; background: rgba(0,0,0,0.5); border: none; }
-          .prev:hover, .next:hover { background: rgba(0,0,0,0.8); }
-          .prev { left: 0; border-radius: 0 3px 3px 0; }
-          .next { right: 0; border-radius: 3px 0 0 3px; }
-          @media screen and (max-width: 600px) { .gallery { grid-template-columns: repeat(2, 1fr); } }
         </style>
-        <script>
-          let currentIndex = 0, selectMode = false;
-          const galleryFiles = ${JSON.stringify(galleryFiles)};
-          const password = "${password}";
-          function toggleSelectMode() {
-            selectMode = !selectMode;
-            const btn = document.getElementById('toggleSelectMode');
-            btn.innerText = selectMode ? "Exit Select Mode" : "Enter Select Mode";
-            document.getElementById('selectionControls').style.display = selectMode ? "block" : "none";
-            if (!selectMode) {
-              document.querySelectorAll('.gallery-item.selected').forEach(item => {
-                item.classList.remove('selected');
-                const id = item.getAttribute('data-id');
-                document.getElementById('cb-' + id).checked = false;
-              });
-            }
-          }
-          function handleGalleryItemClick(event, index, fileId) {
-            event.stopPropagation();
-            if (selectMode) toggleSelection(fileId);
-            else openModal(event, index);
-          }
-          function toggleSelection(fileId) {
-            const item = document.querySelector('.gallery-item[data-id="' + fileId + '"]');
-            const cb = document.getElementById('cb-' + fileId);
-            if (cb.checked) { cb.checked = false; item.classList.remove('selected'); }
-            else { cb.checked = true; item.classList.add('selected'); }
-          }
-          function selectAllItems() {
-            document.querySelectorAll('.gallery-item').forEach(item => {
-              const id = item.getAttribute('data-id');
-              item.classList.add('selected');
-              document.getElementById('cb-' + id).checked = true;
-            });
-          }
-          function deselectAllItems() {
-            document.querySelectorAll('.gallery-item').forEach(item => {
-              const id = item.getAttribute('data-id');
-              item.classList.remove('selected');
-              document.getElementById('cb-' + id).checked = false;
-            });
-          }
-          function openModal(event, index) {
-            if (event.target.closest('.info-box')) return;
-            currentIndex = index;
-            updateModal();
-            updateButtons();
-            document.getElementById('modal').style.display = "block";
-          }
-          function closeModal(event) {
-            if (event.target.closest('.modal-media-container img, .modal-media-container video')) return;
-            document.getElementById('modal').style.display = "none";
-            const video = document.getElementById('modalVideo');
-            if (video) { video.pause(); video.currentTime = 0; }
-            currentIndex = -1;
-            updateButtons();
-          }
-          function updateModal() {
-            const file = galleryFiles[currentIndex];
-            const container = document.getElementById('modalMediaContainer');
-            if(file.type === 'image')
-              container.innerHTML = '<img src="' + file.url + '" alt="' + file.originalname + '">';
-            else
-              container.innerHTML = '<video src="' + file.url + '" controls autoplay playsinline id="modalVideo">Your browser does not support the video tag.</video>';
-            document.getElementById('modalDownload').href = "/download/" + file.id + "?password=" + password;
-            document.getElementById('modalDelete').href = "/delete/" + file.id + "?password=" + password;
-            document.getElementById('modalCounter').innerText = (currentIndex + 1) + " / " + galleryFiles.length;
-          }
-          function nextModal() { if(currentIndex < galleryFiles.length - 1) { currentIndex++; updateModal(); updateButtons(); } }
-          function prevModal() { if(currentIndex > 0) { currentIndex--; updateModal(); updateButtons(); } }
-          function updateButtons() {
-            document.getElementById('nextButton').style.display = currentIndex < galleryFiles.length - 1 ? 'inline-block' : 'none';
-            document.getElementById('prevButton').style.display = currentIndex > 0 ? 'inline-block' : 'none';
-          }
-          function getCheckedIds() {
-            const ids = [];
-            document.querySelectorAll('.gallery-item input[type="checkbox"]').forEach(cb => { if(cb.checked) ids.push(cb.value); });
-            return ids;
-          }
-           function bulkDownload() {
-              const ids = getCheckedIds();
-              if (ids.length === 0) {
-                alert("No files selected for bulk download.");
-                return;
-              }
-              // Create a form dynamically.
-              const form = document.createElement("form");
-              form.method = "POST";
-              form.action = "/download/bulk";
-              // Add the password field.
-              const passwordInput = document.createElement("input");
-              passwordInput.type = "hidden";
-              passwordInput.name = "password";
-              passwordInput.value = password;
-              form.appendChild(passwordInput);
-              // Add the selected file IDs. (For multiple values, use the same name)
-              ids.forEach(function(id) {
-                const input = document.createElement("input");
-                input.type = "hidden";
-                input.name = "ids";
-                input.value = id;
-                form.appendChild(input);
-              });
-              document.body.appendChild(form);
-              form.submit();
-            }
-          function bulkDelete() {
-            const ids = getCheckedIds();
-            if(ids.length === 0) { alert("No files selected for bulk delete."); return; }
-            if(!confirm("Delete selected files?")) return;
-            const form = document.createElement("form");
-            form.method = "POST";
-            form.action = "/delete?password=" + password;
-            ids.forEach(function(id) {
-              const input = document.createElement("input");
-              input.type = "hidden";
-              input.name = "ids";
-              input.value = id;
-              form.appendChild(input);
-            });
-            document.body.appendChild(form);
-            form.submit();
-          }
-          document.addEventListener("DOMContentLoaded", function() {
-            document.getElementById('columnsSelect').addEventListener('change', function() {
-              document.querySelector('.gallery').style.gridTemplateColumns = 'repeat(' + this.value + ', 1fr)';
-            });
-              // Sorting dropdown change event.
-            document.getElementById('sortSelect').addEventListener('change', function() {
-              window.location.href = "/?password=" + password + "&sort=" + this.value;
-            });
-          });
-         
-
-          document.getElementById('modalMediaContainer').addEventListener('click', function(event) { event.stopPropagation(); });
-        </script>
       </head>
       <body>
         <div class="container">
-          <h1>Image & Video Uploader & Downloader</h1>
-           ${header}
-           ${sortOptionsHTML}
-          <form class="upload-form" action="/upload?password=${password}" method="POST" enctype="multipart/form-data">
-            <input type="file" name="files" accept="image/*,video/*" multiple required>
-            <button type="submit">Upload</button>
+          <p><a href="/">Return to Gallery</a></p>
+          <h1>Audit log</h1>
+          ${error ? `<div class="error">${escapeHtml(error)}</div>` : ''}
+          <form class="filters" action="/admin/audit" method="GET">
+            <label>User <input type="text" name="user" value="${value('user')}"></label>
+            <label>Action <select name="action"><option value="">any</option>${AUDIT_ACTIONS.map(action => option('action', action)).join('')}</select></label>
+            <label>Outcome <select name="outcome"><option value="">any</option>${option('outcome', 'success')}${option('outcome', 'failure')}</select></label>
+            <label>File id <input type="text" name="file" value="${value('file')}" size="26"></label>
+            <label>IP <input type="text" name="ip" value="${value('ip')}"></label>
+            <label>From <input type="date" name="from" value="${value('from')}"></label>
+            <label>To <input type="date" name="to" value="${value('to')}"></label>
+            <button type="submit">Filter</button>
+            <a href="/admin/audit">Clear</a>
           </form>
-          <div class="controls">
-            <button id="toggleSelectMode" type="button" onclick="toggleSelectMode()">Enter Select Mode</button>
-            <div id="selectionControls">
-              <button type="button" onclick="selectAllItems()">Select All</button>
-              <button type="button" onclick="deselectAllItems()">Deselect All</button>
-              <button type="button" onclick="bulkDownload()">Bulk Download</button>
-              <button type="button" onclick="bulkDelete()">Bulk Delete</button>
-            </div>
-          </div>
-          <div class="grid-options">
-            <label for="columnsSelect">Files per row:</label>
-            <select id="columnsSelect">
-              <option value="3">3</option>
-              <option value="6">6</option>
-              <option value="9">9</option>
-            </select>
-          </div>
-          <div class="gallery">
-            ${galleryItems.join('')}
-          </div>
-        </div>
-        <!-- Modal for full-screen view -->
-        <div id="modal" class="modal">
-          <div class="modal-content">
-            <span class="close" onclick="closeModal(event)">&times;</span>
-            <button class="prev" onclick="prevModal()" id="prevButton" style="display: none;">&#10094;</button>
-            <div id="modalMediaContainer" onclick="closeModal(event)" class="modal-media-container"></div>
-            <button class="next" onclick="nextModal()" id="nextButton" style="display: none;">&#10095;</button>
-            <div class="modal-actions">
-              <a id="modalDownload" href="">Download</a>
-              <a id="modalDelete" href="" onclick="return confirm('Delete this file?')">Delete</a>
-            </div>
-            <div class="modal-counter" id="modalCounter"></div>
-          </div>
+          <p class="summary">Export these events as <a href="/api/admin/audit/export?${escapeHtml(auditQueryString(query, { before: '', format: 'csv' }))}">CSV</a>
+            or <a href="/api/admin/audit/export?${escapeHtml(auditQueryString(query, { before: '', format: 'jsonl' }))}">JSON lines</a>.
+            Events are kept for ${AUDIT_RETENTION_DAYS} day(s).</p>${events.length ? `
+          <table>
+            <tr><th>Time</th><th>Action</th><th>Outcome</th><th>Who</th><th>Files</th><th>From</th></tr>
+            ${rows.join('')}
+          </table>` : `
+          <p class="summary">No events match.</p>`}${nextCursor ? `
+          <p><a href="/admin/audit?${escapeHtml(auditQueryString(query, { before: nextCursor }))}">Older events</a></p>` : ''}
         </div>
       </body>
     </html>`;
-    res.send(html);
+};
+
+app.get('/admin/audit', authMiddleware(), requireAdmin, async (req, res) => {
+  try {
+    const filter = await parseAuditQuery(req.query);
+    res.send(renderAuditPage(await findAuditEvents(filter, { before: req.query.before }), req.query));
   } catch (err) {
-    res.status(500).json({ message: 'Error rendering gallery', error: err.message });
+    if (err.status) return res.status(err.status).send(renderAuditPage({ events: [], nextCursor: null }, req.query, { error: err.message }));
+    res.status(500).json({ message: 'Error rendering audit log', error: err.message });
+  }
+});
+
+// GET /api/admin/audit?limit=&before=<id> plus the filters above: events, newest first
+app.get('/api/admin/audit', authMiddleware('admin'), requireAdmin, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || AUDIT_PAGE_SIZE, 1), MAX_AUDIT_PAGE_SIZE);
+    const { events, nextCursor } = await findAuditEvents(await parseAuditQuery(req.query), { before: req.query.before, limit });
+    res.json({ events: events.map(auditEventJSON), nextCursor });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    res.status(500).json({ message: 'Could not list audit events', error: err.message });
+  }
+});
+
+// GET /api/admin/audit/export?format=csv|jsonl plus the filters above: every matching
+// event, newest first, streamed as a download
+app.get('/api/admin/audit/export', authMiddleware('admin'), requireAdmin, async (req, res) => {
+  const aborted = new AbortController();
+  const onClose = () => { if (!res.writableFinished) aborted.abort(); };
+  try {
+    const format = req.query.format || 'jsonl';
+    if (!['csv', 'jsonl'].includes(format)) return res.status(400).json({ message: 'format must be csv or jsonl' });
+    const filter = await parseAuditQuery(req.query);
+    res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson');
+    res.setHeader('Content-Disposition', contentDisposition('attachment', `audit-log-${new Date().toISOString().slice(0, 10)}.${format}`));
+    res.on('close', onClose);
+    if (format === 'csv') res.write(`${AUDIT_CSV_COLUMNS.join(',')}\r\n`);
+    for await (const event of AuditEvent.find(filter).sort({ _id: -1 }).lean().cursor()) {
+      const line = format === 'csv' ? `${auditEventCSV(event)}\r\n` : `${JSON.stringify(auditEventJSON(event))}\n`;
+      if (!res.write(line)) await once(res, 'drain', { signal: aborted.signal });
+    }
+    res.end();
+    console.log(`User ${req.user.username} exported the audit log as ${format}`);
+  } catch (err) {
+    if (aborted.signal.aborted) return;
+    if (res.headersSent) {
+      console.error('Audit log export failed:', err);
+      return res.destroy();
+    }
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    res.status(500).json({ message: 'Audit log export failed', error: err.message });
+  } finally {
+    res.off('close', onClose);
+  }
+});
+
+//
+// Command line: `node index.js <command> [args]` runs a maintenance command
+// instead of starting the server.
+//
+
+// Helper: ask a question on the terminal; hidden answers (passwords) are not echoed.
+function prompt(question, { hidden = false } = {}) {
+  return new Promise(resolve => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: Boolean(process.stdin.isTTY) });
+    let muted = false;
+    rl._writeToOutput = (text) => { if (!muted) rl.output.write(text); };
+    rl.question(question, answer => {
+      rl.close();
+      if (muted) process.stdout.write('\n');
+      resolve(answer);
+    });
+    muted = hidden && Boolean(process.stdin.isTTY);
+  });
+}
+
+const USERNAME_PATTERN = /^[\w.@-]{1,64}$/;
+
+const readNewPassword = async () => {
+  const password = await prompt('Password: ', { hidden: true });
+  if (password.length < 8) throw new Error('Password must be at least 8 characters');
+  return password;
+};
+
+// Helper: a backup passphrase from BACKUP_PASSPHRASE (for scheduled jobs) or the terminal
+const readBackupPassphrase = async ({ confirm = false } = {}) => {
+  if (process.env.BACKUP_PASSPHRASE) return process.env.BACKUP_PASSPHRASE;
+  const passphrase = await prompt('Backup passphrase: ', { hidden: true });
+  if (confirm) {
+    if (passphrase.length < 8) throw new Error('The passphrase must be at least 8 characters');
+    if (await prompt('Repeat the passphrase: ', { hidden: true }) !== passphrase) throw new Error('The passphrases do not match');
   }
+  return passphrase;
+};
+
+// Documents not yet on a per-file data key wrapped by the current master key.
+const staleEncryptionQuery = (currentVersion) => ({
+  $or: [{ wrappedKey: null }, { cipher: { $ne: CIPHER } }, { keyVersion: { $ne: currentVersion } }]
 });
 
-app.listen(PORT, "0.0.0.0", () => console.log(`Server running on port ${PORT}`));
+// Rewrap a document's data key under the current master key; the file itself is untouched.
+// `field` names a nested key holder such as 'thumbnail'.
+async function rewrapDataKey(Model, doc, field) {
+  const holder = field ? doc[field] : doc;
+  const prefix = field ? `${field}.` : '';
+  const { wrappedKey, keyVersion } = await keyProvider.wrapKey(await fileKey(holder));
+  const { matchedCount } = await Model.updateOne(
+    { _id: doc._id, [`${prefix}wrappedKey`]: holder.wrappedKey },
+    { $set: { [`${prefix}wrappedKey`]: wrappedKey, [`${prefix}keyVersion`]: keyVersion } }
+  );
+  return matchedCount > 0;
+}
+
+// Re-encrypt a file from before envelope encryption into a new blob with its own data
+// key, then switch the document over. The old blob is only removed once the document
+// points at the new one.
+async function reencryptFile(fileDoc) {
+  const filename = `e-${fileDoc.filename.replace(/^(k\d+|e)-/, '')}`;
+  const writer = await createEncryptedWriter(filename);
+  try {
+    if (fileDoc.cipher) {
+      const encryptedSize = await storage.size(fileDoc.filename);
+      const size = plaintextSize(fileDoc, encryptedSize);
+      if (size > 0) {
+        await pipeline(...await createDecryptStream(fileDoc, 0, size - 1, encryptedSize), async (source) => {
+          for await (const chunk of source) await writer.write(chunk);
+        });
+      }
+    } else {
+      await writer.write(await decryptBuffer(await storage.read(fileDoc.filename), fileDoc));
+    }
+    await writer.end();
+  } catch (err) {
+    await writer.abort();
+    throw err;
+  }
+
+  // Linked duplicates move to the new blob together.
+  const { matchedCount } = await File.updateMany(
+    { filename: fileDoc.filename },
+    { $set: { filename, iv: writer.iv, cipher: writer.cipher, wrappedKey: writer.wrappedKey, keyVersion: writer.keyVersion } }
+  );
+  if (matchedCount === 0) {
+    // Deleted or re-encrypted elsewhere while we worked.
+    await storage.remove(filename).catch(() => {});
+    return false;
+  }
+  await storage.remove(fileDoc.filename).catch(() => {});
+  return true;
+}
+
+// Helper: sha256 and size of a stored blob, read back from its backend
+async function hashBlob(backend, key) {
+  const hash = crypto.createHash('sha256');
+  let size = 0;
+  for await (const chunk of await backend.createReadStream(key)) {
+    hash.update(chunk);
+    size += chunk.length;
+  }
+  return { sha256: hash.digest('hex'), size };
+}
+
+// Copy one blob between backends, then read the copy back and compare it with what was sent.
+async function copyBlob(source, target, key) {
+  const hash = crypto.createHash('sha256');
+  let size = 0;
+  const writer = await target.createWriter(key);
+  try {
+    for await (const chunk of await source.createReadStream(key)) {
+      hash.update(chunk);
+      size += chunk.length;
+      await writer.write(chunk);
+    }
+    await writer.end();
+  } catch (err) {
+    await writer.abort();
+    throw err;
+  }
+  const copy = await hashBlob(target, key);
+  if (copy.size !== size || copy.sha256 !== hash.digest('hex')) {
+    await target.remove(key).catch(() => {});
+    throw new Error('copy does not match the source');
+  }
+}
+
+const commands = {
+  // create-user <username> [--claim-unowned]
+  // --claim-unowned gives the new account every file uploaded before accounts existed.
+  'create-user': async ([username, ...flags]) => {
+    if (!USERNAME_PATTERN.test(username || '')) throw new Error('Usage: create-user <username> [--claim-unowned] (letters, digits, . _ @ -)');
+    if (await User.exists({ username })) throw new Error(`User ${username} already exists`);
+    const user = await User.create({ username, passwordHash: await hashPassword(await readNewPassword()) });
+    console.log(`Created user ${username}`);
+    if (flags.includes('--claim-unowned')) {
+      const { modifiedCount } = await File.updateMany({ owner: null }, { $set: { owner: user._id } });
+      console.log(`Assigned ${modifiedCount} unowned file(s) to ${username}`);
+    }
+  },
+  // set-password <username>: also logs the user out everywhere
+  'set-password': async ([username]) => {
+    const user = await User.findOne({ username });
+    if (!user) throw new Error('Usage: set-password <username> (existing user)');
+    user.passwordHash = await hashPassword(await readNewPassword());
+    await user.save();
+    await LoginSession.deleteMany({ user: user._id });
+    console.log(`Updated password for ${username}`);
+  },
+  // grant-admin <username> [--revoke]: let a user use the admin API (and create admin tokens)
+  'grant-admin': async ([username, ...flags]) => {
+    const admin = !flags.includes('--revoke');
+    const user = await User.findOneAndUpdate({ username }, admin ? { $set: { admin } } : { $unset: { admin: 1 } });
+    if (!user) throw new Error('Usage: grant-admin <username> [--revoke] (existing user)');
+    if (!admin) await ApiToken.updateMany({ user: user._id, scopes: 'admin', revokedAt: null }, { $set: { revokedAt: new Date() } });
+    console.log(admin ? `${username} is now an administrator` : `${username} is no longer an administrator; their admin tokens are revoked`);
+  },
+  // set-quota <username> <size|unlimited|default>: override STORAGE_QUOTA for one user,
+  // e.g. `set-quota alice 50gb`. `default` goes back to STORAGE_QUOTA.
+  'set-quota': async ([username, value]) => {
+    const quota = value === 'unlimited' ? 0 : value === 'default' ? undefined : parseSize(value, 0) || null;
+    if (!username || quota === null) throw new Error('Usage: set-quota <username> <size|unlimited|default>');
+    const user = await User.findOneAndUpdate({ username }, quota === undefined ? { $unset: { quota: 1 } } : { $set: { quota } }, { new: true });
+    if (!user) throw new Error(`No user named ${username}`);
+    const effective = userQuota(user);
+    console.log(`${username} may store ${effective ? formatBytes(effective) : 'any amount'}${quota === undefined ? ' (the default)' : ''}`);
+  },
+  // usage: storage used by each user, against their quota
+  usage: async () => {
+    for (const user of await User.find().sort({ username: 1 })) {
+      const quota = userQuota(user);
+      console.log(`${user.username}: ${usageOf(await storageUsage(user._id), quota)}${quota ? '' : ' (no quota)'}`);
+    }
+    const total = await storageUsage(null);
+    console.log(`Total: ${usageOf(total, TOTAL_STORAGE_QUOTA)}`);
+  },
+  // check-storage [--verify] [--repair] [--quarantine] [--json]: compare the database with
+  // storage (see checkStorage). Exits with status 1 while problems remain, for cron alerts.
+  // --json prints the whole report instead of one line per problem.
+  'check-storage': async (flags) => {
+    const json = flags.includes('--json');
+    const report = await checkStorage({
+      verify: flags.includes('--verify'),
+      repair: flags.includes('--repair'),
+      quarantine: flags.includes('--quarantine'),
+      onProblem: json ? undefined : (problem) => {
+        const names = problem.files.map(file => `${file.originalname}${file.deleted ? ' (in trash)' : ''}`).join(', ');
+        const outcome = problem.action ? ` -> ${problem.action}` : '';
+        console.log(`${problem.kind}: ${problem.key}${names ? ` [${names}]` : ''}: ${problem.error}${outcome}${problem.actionError ? ` (${problem.actionError})` : ''}`);
+      }
+    });
+    const { counts } = report;
+    if (json) console.log(JSON.stringify(integrityReportJSON(report), null, 2));
+    else console.log(`Checked ${counts.files} file(s) and ${counts.blobs} blob(s): ${counts.missing} missing, ${counts.corrupt} corrupt, ${counts.missingThumbnails + counts.corruptThumbnails} broken thumbnail(s), ${counts.orphaned} orphaned; ${counts.repaired} repaired, ${counts.quarantined} quarantined`);
+    if (counts.unresolved > 0) {
+      process.exitCode = 1;
+      if (!json) console.error(`${counts.unresolved} problem(s) remain; run again with --repair and/or --quarantine to deal with them`);
+    }
+  },
+  // rotate-keys: rewrap every data key under the provider's current master key, and
+  // re-encrypt files from before envelope encryption. Safe to interrupt, re-run,
+  // or run while the server is up.
+  'rotate-keys': async () => {
+    const currentVersion = await keyProvider.currentVersion();
+    const ids = await File.distinct('_id', staleEncryptionQuery(currentVersion));
+    console.log(`Moving ${ids.length} file(s) to master key version ${currentVersion}`);
+    let failures = 0;
+    for (const [index, id] of ids.entries()) {
+      const fileDoc = await File.findOne({ _id: id, ...staleEncryptionQuery(currentVersion) });
+      if (!fileDoc) continue;
+      try {
+        const rewrap = Boolean(fileDoc.wrappedKey) && fileDoc.cipher === CIPHER;
+        const done = rewrap ? await rewrapDataKey(File, fileDoc) : await reencryptFile(fileDoc);
+        const outcome = !done ? 'changed meanwhile, skipped' : rewrap ? 'rewrapped' : 're-encrypted';
+        console.log(`[${index + 1}/${ids.length}] ${fileDoc.originalname} (${outcome})`);
+      } catch (err) {
+        failures++;
+        console.error(`[${index + 1}/${ids.length}] ${fileDoc.originalname}: ${err.message}`);
+      }
+    }
+    // Thumbnails and playable versions of videos have data keys of their own.
+    const thumbnailQuery = { thumbnail: { $ne: null }, 'thumbnail.keyVersion': { $ne: currentVersion } };
+    for (const fileDoc of await File.find(thumbnailQuery, 'originalname thumbnail')) {
+      await rewrapDataKey(File, fileDoc, 'thumbnail').catch(err => {
+        failures++;
+        console.error(`Thumbnail of ${fileDoc.originalname}: ${err.message}`);
+      });
+    }
+    const playableQuery = { playable: { $ne: null }, 'playable.keyVersion': { $ne: currentVersion } };
+    for (const fileDoc of await File.find(playableQuery, 'originalname playable')) {
+      await rewrapDataKey(File, fileDoc, 'playable').catch(err => {
+        failures++;
+        console.error(`Playable version of ${fileDoc.originalname}: ${err.message}`);
+      });
+    }
+    // Unfinished resumable uploads keep their data key; only rewrap it.
+    const sessions = await UploadSession.find({ wrappedKey: { $ne: null }, keyVersion: { $ne: currentVersion } });
+    for (const session of sessions) {
+      await rewrapDataKey(UploadSession, session).catch(err => {
+        failures++;
+        console.error(`Upload ${session.originalname}: ${err.message}`);
+      });
+    }
+    if (failures) {
+      process.exitCode = 1;
+      console.error(`${failures} item(s) could not be moved; fix them and run rotate-keys again`);
+    } else {
+      console.log('Everything uses the current master key; older master keys can be retired');
+    }
+  },
+  // add-master-key: add a random master key to the file or local-kms keyring and make
+  // it current. Restart the server to use it, then run rotate-keys.
+  'add-master-key': async () => {
+    const keyringPath = { file: KEY_FILE, 'local-kms': LOCAL_KMS_KEYRING }[KEY_PROVIDER];
+    if (!keyringPath) throw new Error('The env key provider reads ENCRYPTION_KEYS; add the new key there instead');
+    const { keys } = await readKeyringFile(keyringPath, { create: KEY_PROVIDER === 'local-kms' });
+    const currentVersion = Math.max(...keys.keys()) + 1;
+    keys.set(currentVersion, crypto.randomBytes(32));
+    await writeKeyringFile(keyringPath, {
+      currentVersion,
+      keys: Object.fromEntries([...keys].map(([version, key]) => [version, key.toString('base64')]))
+    });
+    console.log(`Added master key version ${currentVersion} to ${keyringPath}`);
+  },
+  // backfill-thumbnails [--retry-failed]: make thumbnails for files that have none.
+  // Files whose thumbnail failed before are skipped unless --retry-failed is given.
+  'backfill-thumbnails': async (flags) => {
+    const query = flags.includes('--retry-failed') ? { thumbnail: null } : { thumbnail: null, thumbnailError: null };
+    const ids = await File.distinct('_id', query);
+    console.log(`Making thumbnails for ${ids.length} file(s)`);
+    let failures = 0;
+    for (const [index, id] of ids.entries()) {
+      const fileDoc = await File.findOne({ _id: id, ...query });
+      if (!fileDoc) continue;
+      const made = await createThumbnail(fileDoc);
+      if (!made) failures++;
+      console.log(`[${index + 1}/${ids.length}] ${fileDoc.originalname} (${made ? 'done' : `failed: ${fileDoc.thumbnailError}`})`);
+    }
+    if (failures) console.log(`${failures} file(s) have no thumbnail; the gallery shows the original for those`);
+  },
+  // backfill-metadata [--retry-failed]: read EXIF / video metadata of files that have none,
+  // and remake the thumbnails of rotated photos (made before orientation was applied).
+  'backfill-metadata': async (flags) => {
+    const query = flags.includes('--retry-failed') ? { metadata: null } : { metadata: null, metadataError: null };
+    const ids = await File.distinct('_id', query);
+    console.log(`Reading metadata of ${ids.length} file(s)`);
+    let failures = 0;
+    for (const [index, id] of ids.entries()) {
+      const fileDoc = await File.findOne({ _id: id, ...query });
+      if (!fileDoc) continue;
+      const progress = `[${index + 1}/${ids.length}] ${fileDoc.originalname}`;
+      try {
+        const outcome = await withDecryptedFile(fileDoc, async (inputPath) => {
+          if (!await extractMetadata(fileDoc, inputPath)) return `failed: ${fileDoc.metadataError || 'ffprobe not found'}`;
+          if (fileDoc.thumbnail && fileDoc.metadata.orientation > 1) await createThumbnail(fileDoc, inputPath);
+          return fileDoc.metadata.takenAt ? `taken ${formatDate(fileDoc.metadata.takenAt)}` : 'done';
+        });
+        if (outcome.startsWith('failed')) failures++;
+        console.log(`${progress} (${outcome})`);
+      } catch (err) {
+        failures++;
+        console.error(`${progress}: ${err.message}`);
+      }
+    }
+    if (failures) console.log(`${failures} file(s) have no metadata; they sort by upload date on the timeline`);
+  },
+  // transcode-videos [--retry-failed]: queue the videos browsers can't play that have no
+  // playable version yet, such as those uploaded before transcoding existed. The server
+  // runs the jobs. Videos whose transcoding failed are queued again with --retry-failed.
+  'transcode-videos': async (flags) => {
+    const retry = flags.includes('--retry-failed');
+    const query = { mimeType: /^video\//, playable: null, ...(retry ? {} : { playableError: null }) };
+    const ids = await File.distinct('_id', query);
+    let queued = 0;
+    for (const id of ids) {
+      const fileDoc = await File.findOne({ _id: id, ...query });
+      if (fileDoc && await queueTranscode(fileDoc, { retry })) {
+        queued++;
+        console.log(`Queued ${fileDoc.originalname}`);
+      }
+    }
+    console.log(`Queued ${queued} video(s); the server transcodes them in the background (see GET /api/admin/transcodes)`);
+  },
+  // backfill-media-info: sniff the type and record the size and content hash of files
+  // uploaded before these were stored. Unrecognised content is kept, typed
+  // application/octet-stream. Duplicates found this way are listed on /duplicates.
+  'backfill-media-info': async () => {
+    const query = { $or: [{ mimeType: null }, { size: null }, { contentHash: null }] };
+    const ids = await File.distinct('_id', query);
+    console.log(`Reading ${ids.length} file(s)`);
+    let failures = 0;
+    for (const [index, id] of ids.entries()) {
+      const fileDoc = await File.findOne({ _id: id, ...query });
+      if (!fileDoc) continue;
+      const progress = `[${index + 1}/${ids.length}] ${fileDoc.originalname}`;
+      try {
+        const { mimeType, size, contentHash } = await readMediaInfo(fileDoc);
+        // Keep a type recorded at upload; the sniffed one only fills gaps.
+        await File.updateOne({ _id: fileDoc._id }, { $set: { mimeType: fileDoc.mimeType || mimeType || 'application/octet-stream', size, contentHash } });
+        console.log(`${progress} (${mimeType || 'unrecognised'}, ${formatBytes(size)})`);
+      } catch (err) {
+        failures++;
+        console.error(`${progress}: ${err.message}`);
+      }
+    }
+    if (failures) {
+      process.exitCode = 1;
+      console.error(`${failures} file(s) could not be read`);
+    }
+  },
+  // backup <file> [--since <date>] [--encrypt]: write a backup archive (see writeBackup).
+  // --encrypt asks for a passphrase (or reads BACKUP_PASSPHRASE) and makes the archive
+  // restorable on other instances; --since makes an incremental backup.
+  backup: async ([file, ...flags]) => {
+    const sinceIndex = flags.indexOf('--since');
+    if (!file || file.startsWith('--') || (sinceIndex !== -1 && !flags[sinceIndex + 1])) {
+      throw new Error('Usage: backup <file> [--since <date>] [--encrypt]');
+    }
+    const since = sinceIndex === -1 ? null : parseDateQuery(flags[sinceIndex + 1], 'since');
+    const passphrase = flags.includes('--encrypt') ? await readBackupPassphrase({ confirm: true }) : null;
+    // Written under a temporary name, so an interrupted backup never looks complete.
+    const tempPath = `${file}.part`;
+    const out = createWriteStream(tempPath, { mode: 0o600 });
+    try {
+      const { files, blobs, bytes, missing } = await writeBackup(out, { since, passphrase });
+      await finished(out);
+      await fs.rename(tempPath, file);
+      console.log(`Backed up ${files} file(s) in ${blobs} blob(s) (${formatBytes(bytes)}) to ${file}`);
+      if (missing.length) {
+        process.exitCode = 1;
+        console.error(`Left out ${missing.length} file(s) without a stored copy (see check-storage): ${missing.join(', ')}`);
+      }
+    } catch (err) {
+      out.destroy();
+      await fs.unlink(tempPath).catch(() => {});
+      throw err;
+    }
+  },
+  // restore <file> [--owner <username>]: add the files of a backup archive that aren't here
+  // yet. Accounts are matched by username; --owner gives every file to one account.
+  restore: async ([file, ...flags]) => {
+    const ownerIndex = flags.indexOf('--owner');
+    if (!file || file.startsWith('--')) throw new Error('Usage: restore <file> [--owner <username>]');
+    const owner = ownerIndex === -1 ? null : await User.findOne({ username: flags[ownerIndex + 1] });
+    if (ownerIndex !== -1 && !owner) throw new Error(`No user named ${flags[ownerIndex + 1]}`);
+    const summary = await restoreBackup(createReadStream(file), { askPassphrase: readBackupPassphrase, owner });
+    for (const { originalname, error } of summary.failed) console.error(`${originalname}: ${error}`);
+    console.log(`Restored ${summary.restored} of ${summary.files} file(s) (${summary.skipped} already here, ${summary.failed.length} failed) and ${summary.albums} new album(s)`);
+    if (summary.createdUsers.length) console.log(`Created accounts without a password (use set-password): ${summary.createdUsers.join(', ')}`);
+    if (summary.failed.length) process.exitCode = 1;
+  },
+  // verify-backup <file>: check a backup archive against its checksums without restoring it
+  'verify-backup': async ([file]) => {
+    if (!file) throw new Error('Usage: verify-backup <file>');
+    const { files, damaged, damagedFiles } = await restoreBackup(createReadStream(file), { askPassphrase: readBackupPassphrase, verifyOnly: true });
+    for (const name of damaged) console.error(`Checksum mismatch or unlisted entry: ${name}`);
+    if (damagedFiles.length) {
+      process.exitCode = 1;
+      console.error(`${damagedFiles.length} of ${files} file(s) would not restore: ${damagedFiles.join(', ')}`);
+    } else {
+      console.log(`All checksums match; ${files} file(s) can be restored`);
+    }
+  },
+  // migrate-storage <from> <to> [--delete-source]: copy every file's encrypted blob to
+  // another backend, verifying each copy. Re-running skips blobs already copied intact.
+  // Point STORAGE_BACKEND at the target afterwards.
+  'migrate-storage': async ([from, to, ...flags]) => {
+    if (!storageBackends[from] || !storageBackends[to] || from === to) {
+      throw new Error(`Usage: migrate-storage <from> <to> [--delete-source] (backends: ${Object.keys(storageBackends).join(', ')})`);
+    }
+    const source = storageBackends[from]();
+    const target = storageBackends[to]();
+    const filenames = [...await File.distinct('filename'), ...await File.distinct('thumbnail.filename'), ...await File.distinct('playable.filename')];
+    console.log(`Copying ${filenames.length} file(s) from ${from} to ${to}`);
+    let failures = 0;
+    for (const [index, filename] of filenames.entries()) {
+      const progress = `[${index + 1}/${filenames.length}] ${filename}`;
+      try {
+        let outcome = 'copied';
+        if (!await source.exists(filename)) {
+          if (!await target.exists(filename)) throw new Error(`missing from both ${from} and ${to}`);
+          outcome = 'already moved';
+        } else if (await target.exists(filename)) {
+          const [original, copy] = await Promise.all([hashBlob(source, filename), hashBlob(target, filename)]);
+          if (original.sha256 === copy.sha256) outcome = 'already copied';
+          else await copyBlob(source, target, filename);
+        } else {
+          await copyBlob(source, target, filename);
+        }
+        if (flags.includes('--delete-source') && outcome !== 'already moved') await source.remove(filename);
+        console.log(`${progress} (${outcome})`);
+      } catch (err) {
+        failures++;
+        console.error(`${progress}: ${err.message}`);
+      }
+    }
+    if (failures) {
+      process.exitCode = 1;
+      console.error(`${failures} file(s) could not be copied; fix them and run migrate-storage again`);
+    } else {
+      console.log(`All files are in ${to}; set STORAGE_BACKEND=${to} and restart`);
+    }
+  }
+};
+
+const [command, ...commandArgs] = process.argv.slice(2);
+if (command) {
+  if (!commands[command]) {
+    console.error(`Unknown command "${command}". Available commands: ${Object.keys(commands).join(', ')}`);
+    process.exit(1);
+  }
+  commands[command](commandArgs)
+    .catch(err => {
+      console.error(err.message);
+      process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
+} else {
+  // Decrypted copies left behind by a server that was killed mid-job
+  rmSync(MEDIA_TEMP_DIR, { recursive: true, force: true });
+  app.listen(PORT, "0.0.0.0", () => console.log(`Server running on port ${PORT}`));
+  recordMissingSizes().catch(err => console.error('Recording file sizes failed:', err));
+  startTranscoding().catch(err => console.error('Starting video transcoding failed:', err));
+}
@@ -0,0 +1,13 @@
+// Behaviour for the server-rendered pages, which the Content-Security-Policy doesn't
+// allow as inline event handlers:
+// - data-confirm on a form or its submit button asks before submitting;
+// - data-select-all="<selector>" on a checkbox checks or unchecks every match.
+document.addEventListener('submit', function(event) {
+  const message = (event.submitter && event.submitter.dataset.confirm) || event.target.dataset.confirm;
+  if (message && !confirm(message)) event.preventDefault();
+});
+document.addEventListener('change', function(event) {
+  const selector = event.target.dataset && event.target.dataset.selectAll;
+  if (!selector) return;
+  document.querySelectorAll(selector).forEach(function(checkbox) { checkbox.checked = event.target.checked; });
+});
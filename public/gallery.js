@@ -0,0 +1,556 @@
+// Gallery page script. The page passes its settings in the #galleryConfig JSON block:
+// the first page of files, the list and download URLs, whether it shows a share link,
+// and the CSRF token that the forms and requests it sends must carry.
+const config = JSON.parse(document.getElementById('galleryConfig').textContent);
+let currentIndex = 0, selectMode = false;
+const galleryFiles = [];
+const galleryTotal = config.total;
+const listUrl = config.listUrl;
+const bulkDownloadUrl = config.bulkDownloadUrl;
+const galleryPath = config.galleryPath;
+let nextCursor = null, loadingMore = null;
+// Sorted by date taken, the gallery is a timeline with a header per month.
+const groupByMonth = config.groupByMonth;
+let lastGroup = null;
+function formatBytes(bytes) {
+  if (bytes === 0) return '0 Bytes';
+  const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(1024));
+  return parseFloat((bytes / Math.pow(1024, i)).toFixed(2)) + ' ' + sizes[i];
+}
+// Helper: request headers plus the CSRF token, which the server wants on every change
+function requestHeaders(headers) {
+  return Object.assign(config.csrfToken ? { 'X-CSRF-Token': config.csrfToken } : {}, headers);
+}
+// Build a gallery tile; text is set through the DOM, so filenames are never parsed as HTML.
+function createGalleryItem(file, index) {
+  const item = document.createElement('div');
+  item.className = 'gallery-item';
+  item.dataset.index = index;
+  item.dataset.id = file.id;
+  item.addEventListener('click', function(event) { handleGalleryItemClick(event, index, file.id); });
+  const box = document.createElement('div');
+  box.className = 'image-box';
+  let media;
+  // Without a thumbnail, fall back to the original (only the metadata for videos).
+  if (file.thumbUrl || file.type === 'image') {
+    media = document.createElement('img');
+    media.loading = 'lazy';
+    media.src = file.thumbUrl || file.url;
+    media.alt = file.originalname;
+  } else {
+    media = document.createElement('video');
+    media.src = file.playUrl || file.url;
+    media.muted = true;
+    media.playsInline = true;
+    media.preload = 'metadata';
+  }
+  box.appendChild(media);
+  if (file.type === 'video') {
+    const badge = document.createElement('span');
+    badge.className = 'play-badge';
+    badge.textContent = file.processing ? 'Processing\u2026' : '\u25B6';
+    box.appendChild(badge);
+  }
+  const info = document.createElement('div');
+  info.className = 'info-box';
+  const details = document.createElement('div');
+  details.className = 'file-details';
+  const name = document.createElement('div');
+  name.className = 'file-name';
+  name.textContent = file.originalname;
+  if (file.caption) details.title = file.caption;
+  const size = document.createElement('div');
+  size.className = 'file-size';
+  size.textContent = file.size === null ? 'N/A' : formatBytes(file.size);
+  details.append(name, size);
+  const actions = document.createElement('div');
+  actions.className = 'actions';
+  const download = document.createElement('a');
+  download.href = file.downloadUrl;
+  download.textContent = 'Download';
+  actions.appendChild(download);
+  if (!config.share) {
+    const remove = document.createElement('a');
+    remove.href = '#';
+    remove.textContent = 'Delete';
+    remove.addEventListener('click', function(event) {
+      event.preventDefault();
+      deleteFiles([file.id], file.originalname);
+    });
+    actions.appendChild(remove);
+  }
+  info.append(details, actions);
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.name = 'ids';
+  checkbox.value = file.id;
+  checkbox.id = 'cb-' + file.id;
+  checkbox.style.display = 'none';
+  item.append(box, info, checkbox);
+  return item;
+}
+function addGalleryPage(page) {
+  const gallery = document.querySelector('.gallery');
+  page.files.forEach(function(file) {
+    const group = groupByMonth && new Date(file.takenAt).toLocaleDateString(undefined, { year: 'numeric', month: 'long' });
+    if (group && group !== lastGroup) {
+      const header = document.createElement('h3');
+      header.className = 'gallery-group';
+      header.textContent = group;
+      gallery.appendChild(header);
+      lastGroup = group;
+    }
+    gallery.appendChild(createGalleryItem(file, galleryFiles.length));
+    galleryFiles.push(file);
+  });
+  nextCursor = page.nextCursor;
+  document.getElementById('gallerySentinel').textContent = nextCursor ? 'Loading…' : '';
+}
+// Fetch the next page; concurrent callers share one request.
+function loadMore() {
+  if (!nextCursor) return Promise.resolve();
+  if (!loadingMore) {
+    loadingMore = fetch(listUrl + '&cursor=' + encodeURIComponent(nextCursor))
+      .then(function(res) {
+        if (!res.ok) throw new Error('HTTP ' + res.status);
+        return res.json();
+      })
+      .then(addGalleryPage)
+      .catch(function() {
+        document.getElementById('gallerySentinel').textContent = 'Could not load more files. Scroll to retry.';
+      })
+      .finally(function() {
+        loadingMore = null;
+        fillViewport();
+        if (currentIndex >= 0 && document.getElementById('modal').style.display === 'block') updateButtons();
+      });
+  }
+  return loadingMore;
+}
+// Keep loading while the end of the grid is (nearly) on screen.
+function fillViewport() {
+  const sentinel = document.getElementById('gallerySentinel');
+  if (nextCursor && sentinel.getBoundingClientRect().top < window.innerHeight + 600) loadMore();
+}
+function toggleSelectMode() {
+  selectMode = !selectMode;
+  const btn = document.getElementById('toggleSelectMode');
+  btn.innerText = selectMode ? "Exit Select Mode" : "Enter Select Mode";
+  document.getElementById('selectionControls').style.display = selectMode ? "block" : "none";
+  if (!selectMode) {
+    document.querySelectorAll('.gallery-item.selected').forEach(item => {
+      item.classList.remove('selected');
+      const id = item.getAttribute('data-id');
+      document.getElementById('cb-' + id).checked = false;
+    });
+  }
+}
+function handleGalleryItemClick(event, index, fileId) {
+  event.stopPropagation();
+  if (selectMode) toggleSelection(fileId);
+  else openModal(event, index);
+}
+function toggleSelection(fileId) {
+  const item = document.querySelector('.gallery-item[data-id="' + fileId + '"]');
+  const cb = document.getElementById('cb-' + fileId);
+  if (cb.checked) { cb.checked = false; item.classList.remove('selected'); }
+  else { cb.checked = true; item.classList.add('selected'); }
+}
+function selectAllItems() {
+  document.querySelectorAll('.gallery-item').forEach(item => {
+    const id = item.getAttribute('data-id');
+    item.classList.add('selected');
+    document.getElementById('cb-' + id).checked = true;
+  });
+}
+function deselectAllItems() {
+  document.querySelectorAll('.gallery-item').forEach(item => {
+    const id = item.getAttribute('data-id');
+    item.classList.remove('selected');
+    document.getElementById('cb-' + id).checked = false;
+  });
+}
+function openModal(event, index) {
+  if (event.target.closest('.info-box')) return;
+  currentIndex = index;
+  updateModal();
+  updateButtons();
+  document.getElementById('modal').style.display = "block";
+}
+function closeModal(event) {
+  if (event.target.closest('.modal-media-container img, .modal-media-container video')) return;
+  document.getElementById('modal').style.display = "none";
+  const video = document.getElementById('modalVideo');
+  if (video) { video.pause(); video.currentTime = 0; }
+  currentIndex = -1;
+  updateButtons();
+}
+function updateModal() {
+  const file = galleryFiles[currentIndex];
+  // Built through the DOM like the tiles, so a filename can't turn into markup.
+  let media;
+  if (file.type === 'image') {
+    media = document.createElement('img');
+    media.alt = file.originalname;
+    // A screen-sized rendition instead of the original; if the server can't make one,
+    // the original is shown after all. Animated GIFs would stop moving, so they are left alone.
+    if (file.mimeType !== 'image/gif') {
+      media.addEventListener('error', function() { media.src = file.url; }, { once: true });
+      media.src = file.url + '&width=' + screenDimension(window.innerWidth) + '&height=' + screenDimension(window.innerHeight);
+    }
+  } else if (file.processing) {
+    // Not playable in the browser until the server has transcoded it.
+    media = document.createElement('div');
+    media.className = 'modal-processing';
+    if (file.thumbUrl) {
+      const poster = document.createElement('img');
+      poster.src = file.thumbUrl;
+      poster.alt = file.originalname;
+      media.appendChild(poster);
+    }
+    const note = document.createElement('p');
+    note.textContent = 'This video is still being converted for playback in the browser. Download it, or check back in a few minutes.';
+    media.appendChild(note);
+  } else {
+    media = document.createElement('video');
+    media.id = 'modalVideo';
+    media.src = file.playUrl || file.url;
+    if (file.thumbUrl) media.poster = file.thumbUrl;
+    media.controls = true;
+    media.autoplay = true;
+    media.playsInline = true;
+    media.textContent = 'Your browser does not support the video tag.';
+  }
+  if (media.tagName === 'IMG' && !media.src) media.src = file.url;
+  document.getElementById('modalMediaContainer').replaceChildren(media);
+  document.getElementById('modalDownload').href = file.downloadUrl;
+  const modalDownloadStripped = document.getElementById('modalDownloadStripped');
+  if (modalDownloadStripped) {
+    modalDownloadStripped.href = file.downloadUrl + '?strip=all';
+    modalDownloadStripped.style.display = file.canStripMetadata ? '' : 'none';
+  }
+  const modalShare = document.getElementById('modalShare');
+  if (modalShare) modalShare.href = "/shares/new?ids=" + file.id;
+  document.getElementById('modalCounter').innerText = (currentIndex + 1) + " / " + galleryTotal;
+  renderModalDetails(file);
+}
+// Helper: a screen size in device pixels, rounded up to a step of 256 so that
+// renditions are shared between similar screens (and cached once)
+function screenDimension(cssPixels) {
+  return Math.min(4096, Math.ceil(cssPixels * (window.devicePixelRatio || 1) / 256) * 256);
+}
+function formatDuration(seconds) {
+  const s = Math.round(seconds);
+  return Math.floor(s / 60) + ':' + String(s % 60).padStart(2, '0');
+}
+// Helper: one line of photo / video metadata (date taken, camera, size, length, location)
+function metadataLine(metadata) {
+  const parts = [];
+  if (metadata.takenAt) parts.push('Taken ' + new Date(metadata.takenAt).toLocaleString());
+  if (metadata.camera) parts.push(metadata.camera);
+  if (metadata.width && metadata.height) parts.push(metadata.width + ' \u00D7 ' + metadata.height);
+  if (metadata.duration) parts.push(formatDuration(metadata.duration));
+  if (metadata.videoCodec) parts.push(metadata.videoCodec + (metadata.audioCodec ? ' / ' + metadata.audioCodec : ''));
+  if (metadata.location) parts.push('Location ' + metadata.location.latitude.toFixed(5) + ', ' + metadata.location.longitude.toFixed(5));
+  return parts.join(' \u00B7 ');
+}
+// Metadata, caption and tags under the viewer; tags link to a search for that tag.
+function renderModalDetails(file) {
+  const details = document.getElementById('modalDetails');
+  details.textContent = '';
+  if (file.metadata) {
+    const metadata = document.createElement('div');
+    metadata.className = 'modal-metadata';
+    metadata.textContent = metadataLine(file.metadata);
+    details.appendChild(metadata);
+  }
+  if (file.caption) {
+    const caption = document.createElement('div');
+    caption.className = 'modal-caption';
+    caption.textContent = file.caption;
+    details.appendChild(caption);
+  }
+  file.tags.forEach(function(tag) {
+    const chip = document.createElement(config.share ? 'span' : 'a');
+    chip.className = 'tag-chip';
+    chip.textContent = '#' + tag;
+    if (!config.share) chip.href = galleryPath + '?tag=' + encodeURIComponent(tag);
+    details.appendChild(chip);
+  });
+  const editForm = document.getElementById('modalEditForm');
+  if (editForm) {
+    editForm.style.display = 'none';
+    editForm.elements.tags.value = file.tags.join(', ');
+    editForm.elements.caption.value = file.caption || '';
+  }
+}
+function toggleEditForm(event) {
+  event.preventDefault();
+  const editForm = document.getElementById('modalEditForm');
+  editForm.style.display = editForm.style.display === 'block' ? 'none' : 'block';
+}
+async function saveFileDetails(event) {
+  event.preventDefault();
+  const form = event.target;
+  const file = galleryFiles[currentIndex];
+  try {
+    const res = await fetch('/api/files/' + file.id, {
+      method: 'PATCH',
+      headers: requestHeaders({ 'Content-Type': 'application/json' }),
+      body: JSON.stringify({ tags: form.elements.tags.value, caption: form.elements.caption.value })
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.message);
+    Object.assign(file, { tags: data.tags, caption: data.caption });
+    const tile = document.querySelector('.gallery-item[data-id="' + file.id + '"] .file-details');
+    if (tile) tile.title = file.caption || '';
+    renderModalDetails(file);
+  } catch (err) {
+    alert('Could not save: ' + err.message);
+  }
+}
+function toggleBulkEdit() {
+  const panel = document.getElementById('bulkEdit');
+  panel.style.display = panel.style.display === 'block' ? 'none' : 'block';
+}
+// Apply tag and caption changes to every selected file, then reload to show them.
+async function bulkEdit(event) {
+  event.preventDefault();
+  const ids = getCheckedIds();
+  if (ids.length === 0) { alert("No files selected to edit."); return; }
+  const form = event.target;
+  const body = { ids: ids, addTags: form.elements.addTags.value, removeTags: form.elements.removeTags.value };
+  if (form.elements.setCaption.checked) body.caption = form.elements.caption.value;
+  try {
+    const res = await fetch('/api/files/bulk-edit', {
+      method: 'POST',
+      headers: requestHeaders({ 'Content-Type': 'application/json' }),
+      body: JSON.stringify(body)
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.message);
+    window.location.reload();
+  } catch (err) {
+    alert('Could not update files: ' + err.message);
+  }
+}
+async function nextModal() {
+  // At the end of what is loaded, fetch the next page first.
+  if (currentIndex === galleryFiles.length - 1) await loadMore();
+  if (currentIndex < galleryFiles.length - 1) { currentIndex++; updateModal(); updateButtons(); }
+}
+function prevModal() { if(currentIndex > 0) { currentIndex--; updateModal(); updateButtons(); } }
+function updateButtons() {
+  document.getElementById('nextButton').style.display = currentIndex < galleryFiles.length - 1 || nextCursor ? 'inline-block' : 'none';
+  document.getElementById('prevButton').style.display = currentIndex > 0 ? 'inline-block' : 'none';
+}
+function getCheckedIds() {
+  const ids = [];
+  document.querySelectorAll('.gallery-item input[type="checkbox"]').forEach(cb => { if(cb.checked) ids.push(cb.value); });
+  return ids;
+}
+function bulkDownload() {
+  const ids = getCheckedIds();
+  if (ids.length === 0) {
+    alert("No files selected for bulk download.");
+    return;
+  }
+  submitSelection(bulkDownloadUrl, {}, ids);
+}
+function shareSelected() {
+  const ids = getCheckedIds();
+  if(ids.length === 0) { alert("No files selected to share."); return; }
+  submitSelection("/shares/new", {}, ids);
+}
+// Post the selected ids (plus any extra fields and the CSRF token) to `action`.
+function submitSelection(action, fields, ids) {
+  const form = document.createElement("form");
+  form.method = "POST";
+  form.action = action;
+  (ids || getCheckedIds()).forEach(function(id) {
+    const input = document.createElement("input");
+    input.type = "hidden";
+    input.name = "ids";
+    input.value = id;
+    form.appendChild(input);
+  });
+  if (config.csrfToken) fields = Object.assign({ _csrf: config.csrfToken }, fields);
+  Object.keys(fields || {}).forEach(function(name) {
+    const input = document.createElement("input");
+    input.type = "hidden";
+    input.name = name;
+    input.value = fields[name];
+    form.appendChild(input);
+  });
+  document.body.appendChild(form);
+  form.submit();
+}
+function addToAlbum() {
+  if (getCheckedIds().length === 0) { alert("No files selected to add."); return; }
+  const albumId = document.getElementById('albumSelect').value;
+  if (albumId) { submitSelection('/albums/' + albumId + '/files'); return; }
+  const name = prompt("Name of the new album:");
+  if (name && name.trim()) submitSelection('/albums', { name: name });
+}
+function removeFromAlbum() {
+  if (getCheckedIds().length === 0) { alert("No files selected to remove."); return; }
+  submitSelection(galleryPath + '/files/remove');
+}
+function setAlbumCover() {
+  if (getCheckedIds().length !== 1) { alert("Select exactly one file to use as the cover."); return; }
+  submitSelection(galleryPath + '/cover');
+}
+// Deleting moves files to the trash, then comes back to this page.
+function deleteFiles(ids, name) {
+  if (!confirm('Move ' + (name || ids.length + ' file(s)') + ' to the trash?')) return;
+  submitSelection('/delete', { returnTo: galleryPath }, ids);
+}
+function deleteCurrentFile(event) {
+  event.preventDefault();
+  const file = galleryFiles[currentIndex];
+  deleteFiles([file.id], file.originalname);
+}
+function bulkDelete() {
+  const ids = getCheckedIds();
+  if(ids.length === 0) { alert("No files selected for bulk delete."); return; }
+  deleteFiles(ids);
+}
+// Resumable uploads: files are sent in chunks and the session id is kept in
+// localStorage, so selecting the same file again after a refresh resumes it.
+const UPLOAD_CHUNK_SIZE = 4 * 1024 * 1024;
+const UPLOAD_RETRIES = 5;
+function uploadStorageKey(file) {
+  return 'upload:' + file.name + ':' + file.size + ':' + file.lastModified;
+}
+async function uploadRequest(method, url, body, headers) {
+  const res = await fetch(url, { method: method, body: body, headers: requestHeaders(headers) });
+  const data = res.status === 204 ? {} : await res.json();
+  if (!res.ok && res.status !== 409) {
+    const err = new Error(data.error || data.message || ('HTTP ' + res.status));
+    err.retryable = res.status >= 500;
+    // Over the upload rate limit: wait as long as the server asks.
+    if (res.status === 429) err.retryAfter = Number(res.headers.get('Retry-After')) || 1;
+    throw err;
+  }
+  return data;
+}
+async function startUploadSession(file, duplicates) {
+  const savedId = localStorage.getItem(uploadStorageKey(file));
+  if (savedId) {
+    try { return await uploadRequest('GET', '/uploads/' + savedId); }
+    catch (err) { localStorage.removeItem(uploadStorageKey(file)); }
+  }
+  const session = await uploadRequest('POST', '/uploads', JSON.stringify({ filename: file.name, size: file.size, duplicates: duplicates }), { 'Content-Type': 'application/json' });
+  if (!session.fileId) localStorage.setItem(uploadStorageKey(file), session.id);
+  return session;
+}
+async function uploadFile(file, progress, duplicates) {
+  const session = await startUploadSession(file, duplicates);
+  let offset = session.fileId ? file.size : session.offset;
+  let failures = 0;
+  let result = session;
+  progress.value = offset;
+  while (offset < file.size) {
+    try {
+      result = await uploadRequest('PATCH', '/uploads/' + session.id, file.slice(offset, offset + UPLOAD_CHUNK_SIZE), {
+        'Content-Type': 'application/offset+octet-stream',
+        'Upload-Offset': String(offset)
+      });
+      if (typeof result.offset !== 'number') throw new Error(result.message);
+      offset = result.offset;
+      failures = 0;
+    } catch (err) {
+      if (err.retryAfter) {
+        await new Promise(function(resolve) { setTimeout(resolve, 1000 * err.retryAfter); });
+        continue;
+      }
+      // Network errors and 5xx are retried after asking the server where it got to.
+      if (err.retryable === false || ++failures > UPLOAD_RETRIES) throw err;
+      await new Promise(function(resolve) { setTimeout(resolve, 1000 * failures); });
+      try { offset = (await uploadRequest('GET', '/uploads/' + session.id)).offset; } catch (e) { /* retry the chunk */ }
+    }
+    progress.value = offset;
+  }
+  localStorage.removeItem(uploadStorageKey(file));
+  return result;
+}
+async function uploadSelectedFiles(event) {
+  event.preventDefault();
+  const form = event.target;
+  const files = Array.from(form.querySelector('input[type="file"]').files);
+  const status = document.getElementById('uploadStatus');
+  const duplicates = form.querySelector('select[name="duplicates"]').value;
+  form.querySelector('button').disabled = true;
+  status.innerHTML = '';
+  let failed = 0;
+  let skipped = 0;
+  for (const file of files) {
+    const row = document.createElement('div');
+    row.className = 'upload-row';
+    const name = document.createElement('div');
+    name.className = 'upload-name';
+    name.textContent = file.name;
+    const progress = document.createElement('progress');
+    progress.max = file.size || 1;
+    row.appendChild(name);
+    row.appendChild(progress);
+    status.appendChild(row);
+    try {
+      const result = await uploadFile(file, progress, duplicates);
+      progress.value = progress.max;
+      if (result.skipped) {
+        skipped++;
+        name.textContent = file.name + ' – already in your library, skipped';
+      }
+    } catch (err) {
+      failed++;
+      name.textContent = file.name + ' – ' + err.message + ' (select it again to resume)';
+    }
+  }
+  form.querySelector('button').disabled = false;
+  if (!failed && !skipped) window.location.reload();
+  else if (files.length > failed + skipped) {
+    const note = document.createElement('div');
+    note.textContent = 'Reload the page to see the new files.';
+    status.appendChild(note);
+  }
+}
+function showPendingUploads() {
+  const pending = [];
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    if (key.indexOf('upload:') === 0) pending.push(key.split(':').slice(1, -2).join(':'));
+  }
+  if (pending.length === 0) return;
+  document.getElementById('uploadStatus').textContent = 'Unfinished uploads: ' + pending.join(', ') + '. Select the same files again to resume.';
+}
+document.addEventListener("DOMContentLoaded", function() {
+  addGalleryPage(config.page);
+  // Buttons and forms name their handler in data-action; the Content-Security-Policy
+  // doesn't allow inline event handlers.
+  const handlers = {
+    toggleSelectMode, selectAllItems, deselectAllItems, bulkDownload, shareSelected, bulkDelete, toggleBulkEdit,
+    removeFromAlbum, setAlbumCover, addToAlbum, bulkEdit, closeModal, prevModal, nextModal, toggleEditForm,
+    deleteCurrentFile, saveFileDetails
+  };
+  document.querySelectorAll('[data-action]').forEach(function(element) {
+    element.addEventListener(element.tagName === 'FORM' ? 'submit' : 'click', handlers[element.dataset.action]);
+  });
+  new IntersectionObserver(function(entries) {
+    if (entries[0].isIntersecting) loadMore();
+  }, { rootMargin: '600px' }).observe(document.getElementById('gallerySentinel'));
+  const uploadForm = document.querySelector('form.upload-form');
+  if (uploadForm) {
+    uploadForm.addEventListener('submit', uploadSelectedFiles);
+    showPendingUploads();
+  }
+  document.getElementById('columnsSelect').addEventListener('change', function() {
+    document.querySelector('.gallery').style.gridTemplateColumns = 'repeat(' + this.value + ', 1fr)';
+  });
+  // Sorting dropdown change event.
+  const sortSelect = document.getElementById('sortSelect');
+  if (sortSelect) sortSelect.addEventListener('change', function() {
+    this.form.submit();
+  });
+});